@@ -1,5 +1,5 @@
 import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import Toast from 'react-native-toast-message';
@@ -16,26 +16,49 @@ import EmailVerificationPW from './src/screens/EmailVerification_PW';
 import ForgotPWNewPW from './src/screens/ForgotPW_NewPW';
 import ForgotPWFin from './src/screens/ForgotPW_Fin';
 import ChangePW from './src/screens/ChangePW';
+import ChangeEmail from './src/screens/ChangeEmail';
+import DeleteAccount from './src/screens/DeleteAccount';
 import NotificationScreen from './src/screens/NotificationScreen';
 import BottomNavigator from './src/navigation/BottomNavigator';
+import useActionLinks from './src/navigation/useActionLinks';
+import useInitialRoute from './src/navigation/useInitialRoute';
 import Statistics from './src/screens/Statistics';
 import Reward from './src/screens/Reward';
 
 import { toastConfig } from './src/components/CustomToast';
 import { AuthProvider } from './src/core/context/authContext';
+import { ReauthProvider } from './src/core/context/reauthContext';
 import { UserProvider } from './src/core/context/userContext';
 import { DataProvider } from './src/core/context/dataContext';
+import { NotificationProvider } from './src/core/context/notificationContext';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
+// 이메일 작업 링크(비밀번호 재설정, 이메일 인증)로 화면 이동
+const navigationRef = createNavigationContainerRef();
+
+// 로그인 + 민감한 작업 전 다시 인증 (ReauthProvider는 useAuth 사용)
+const AuthProviders = ({ children }) => (
+  <AuthProvider>
+    <ReauthProvider>{children}</ReauthProvider>
+  </AuthProvider>
+);
+
 export default function App() {
+  const onNavigationReady = useActionLinks(navigationRef);
+  const initialRoute = useInitialRoute();
+
+  // 로그인 상태와 guest 표시를 읽은 뒤 첫 화면을 정해 화면 구성
+  if (!initialRoute) return null;
+
   return (
-    <AuthProvider>
+    <AuthProviders>
       <UserProvider>
         <DataProvider>
-            <NavigationContainer>
-              <Stack.Navigator initialRouteName="InitialScreen">
+          <NotificationProvider>
+            <NavigationContainer ref={navigationRef} onReady={onNavigationReady}>
+              <Stack.Navigator initialRouteName={initialRoute}>
                 <Stack.Screen
                   name="InitialScreen"
                   component={InitialScreen}
@@ -142,6 +165,26 @@ export default function App() {
                     headerShadowVisible: false,
                   })}
                 />
+                <Stack.Screen
+                  name="ChangeEmail"
+                  component={ChangeEmail}
+                  options={({ navigation }) => ({
+                    title: '이메일 변경',
+                    headerLeft: () => <BackButton onPress={() => navigation.goBack()} />,
+                    headerShown: true,
+                    headerShadowVisible: false,
+                  })}
+                />
+                <Stack.Screen
+                  name="DeleteAccount"
+                  component={DeleteAccount}
+                  options={({ navigation }) => ({
+                    title: '회원 탈퇴',
+                    headerLeft: () => <BackButton onPress={() => navigation.goBack()} />,
+                    headerShown: true,
+                    headerShadowVisible: false,
+                  })}
+                />
                 <Stack.Screen
                   name="Notification"
                   component={NotificationScreen}
@@ -175,8 +218,9 @@ export default function App() {
               </Stack.Navigator>
             </NavigationContainer>
           <Toast config={toastConfig} />
+          </NotificationProvider>
         </DataProvider>
       </UserProvider>
-    </AuthProvider>
+    </AuthProviders>
   );
 }
\ No newline at end of file
@@ -0,0 +1,25 @@
+// 에뮬레이터 테스트용 Firebase 설정 (src/core/firebase/config.js 대신 사용, setup.js에서 교체)
+// firebase emulators:exec가 FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST를 지정
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+// demo- 프로젝트는 실제 Firebase 프로젝트 없이 에뮬레이터로만 동작 (네트워크 불필요)
+export const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-todaydo';
+
+export const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+export const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key' });
+
+export const auth = getAuth(app);
+export const db = getFirestore(app);
+
+if (AUTH_HOST && FIRESTORE_HOST) {
+  connectAuthEmulator(auth, `http://${AUTH_HOST}`, { disableWarnings: true });
+
+  const [host, port] = FIRESTORE_HOST.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+}
+
+export default app;
@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  where,
+  orderBy,
+  startAfter,
+  limit,
+  getDocs,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+import { PROJECT_ID, FIRESTORE_HOST } from './firebaseConfig';
+import { describeEmulator } from './helpers';
+
+// 서비스 테스트와 문서가 섞이지 않도록 규칙 테스트는 별도 프로젝트 사용
+const RULES_PROJECT_ID = `${PROJECT_ID}-rules`;
+
+// 본인만 읽고 쓰는 사용자 하위 컬렉션
+const OWNER_COLLECTIONS = ['todos', 'routines', 'records', 'tags', 'expEvents', 'sessions', 'session'];
+
+// inboxService.addFriendRequest / addFriendAccepted가 쓰는 알림
+const friendNotification = (fromUid, action, fields = {}) => ({
+  type: 'friend',
+  category: '친구',
+  message: action === 'request' ? 'bob님이 친구 요청을 보냈어요.' : 'bob님이 친구 요청을 수락했어요.',
+  data: { userId: fromUid, action },
+  isRead: false,
+  createdAt: serverTimestamp(),
+  ...fields,
+});
+
+describeEmulator('firestore.rules (에뮬레이터)', () => {
+  let testEnv;
+  let alice;
+  let bob;
+  let guest;
+
+  // 보안 규칙 없이 문서 준비
+  const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(context =>
+    setDoc(doc(context.firestore(), docPath), data)
+  );
+
+  // 친구 관련 배열만 다른 alice 사용자 문서
+  const seedAlice = (fields = {}) => seed('users/alice', {
+    nickname: 'alice',
+    friends: [],
+    friendRequestsSent: [],
+    friendRequestsReceived: [],
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    const [host, port] = FIRESTORE_HOST.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: RULES_PROJECT_ID,
+      firestore: {
+        host,
+        port: Number(port),
+        rules: fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8'),
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    alice = testEnv.authenticatedContext('alice').firestore();
+    bob = testEnv.authenticatedContext('bob').firestore();
+    guest = testEnv.unauthenticatedContext().firestore();
+  });
+
+  describe('users/{userId}', () => {
+    test('본인은 문서를 만들고 읽고 수정하고 삭제할 수 있음', async () => {
+      const ref = doc(alice, 'users/alice');
+      await assertSucceeds(setDoc(ref, { nickname: 'alice', friends: [] }));
+      await assertSucceeds(getDoc(ref));
+      await assertSucceeds(updateDoc(ref, { nickname: 'alice2', stats: { totalExp: 10 } }));
+      await assertSucceeds(deleteDoc(ref));
+    });
+
+    test('다른 사용자나 로그인하지 않은 사용자는 읽기/만들기/삭제할 수 없음', async () => {
+      await seedAlice();
+      await assertFails(getDoc(doc(bob, 'users/alice')));
+      await assertFails(getDoc(doc(guest, 'users/alice')));
+      await assertFails(setDoc(doc(bob, 'users/carol'), { nickname: 'carol' }));
+      await assertFails(deleteDoc(doc(bob, 'users/alice')));
+    });
+
+    test('다른 사용자는 친구 관련이 아닌 필드를 바꿀 수 없음', async () => {
+      await seedAlice();
+      await assertFails(updateDoc(doc(bob, 'users/alice'), { nickname: 'hacked' }));
+      await assertFails(updateDoc(doc(bob, 'users/alice'), {
+        friendRequestsReceived: arrayUnion('bob'),
+        nickname: 'hacked',
+        updatedAt: serverTimestamp(),
+      }));
+      await assertFails(updateDoc(doc(guest, 'users/alice'), {
+        friendRequestsReceived: arrayUnion('bob'),
+        updatedAt: serverTimestamp(),
+      }));
+    });
+
+    test('바뀌는 것이 없는 쓰기(updatedAt만)는 거부', async () => {
+      await seedAlice({ friendRequestsReceived: ['bob'] });
+      await assertFails(updateDoc(doc(bob, 'users/alice'), { updatedAt: serverTimestamp() }));
+    });
+
+    test('updatedAt은 서버 시각만', async () => {
+      await seedAlice();
+      await assertFails(updateDoc(doc(bob, 'users/alice'), {
+        friendRequestsReceived: arrayUnion('bob'),
+        updatedAt: Timestamp.fromMillis(0),
+      }));
+    });
+
+    describe('친구 요청 보내기 (friendRequestsReceived에 추가)', () => {
+      test('내 ID 추가는 허용', async () => {
+        await seedAlice();
+        await assertSucceeds(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayUnion('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('이미 있는 내 ID를 다시 추가하는 것은 거부', async () => {
+        await seedAlice({ friendRequestsReceived: ['bob'] });
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayUnion('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('다른 사용자 ID 추가나 여러 ID 추가는 거부', async () => {
+        await seedAlice();
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayUnion('carol'),
+          updatedAt: serverTimestamp(),
+        }));
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayUnion('bob', 'carol'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+    });
+
+    describe('친구 요청 취소 (friendRequestsReceived에서 제거)', () => {
+      test('있는 내 ID 제거는 허용', async () => {
+        await seedAlice({ friendRequestsReceived: ['bob', 'carol'] });
+        await assertSucceeds(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('없는 내 ID 제거나 다른 사용자 ID 제거는 거부', async () => {
+        await seedAlice({ friendRequestsReceived: ['carol'] });
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsReceived: arrayRemove('carol'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+    });
+
+    describe('친구 요청 거절 (friendRequestsSent에서 제거)', () => {
+      test('있는 내 ID 제거는 허용', async () => {
+        await seedAlice({ friendRequestsSent: ['bob'] });
+        await assertSucceeds(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsSent: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('없는 내 ID 제거나 내 ID 추가는 거부', async () => {
+        await seedAlice({ friendRequestsSent: ['carol'] });
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsSent: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friendRequestsSent: arrayUnion('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+    });
+
+    describe('친구 요청 수락 (friends에 추가 + friendRequestsSent에서 제거)', () => {
+      test('나에게 요청을 보낸 사용자 문서는 허용', async () => {
+        await seedAlice({ friendRequestsSent: ['bob'] });
+        await assertSucceeds(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayUnion('bob'),
+          friendRequestsSent: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('요청을 받지 않았으면 friends에 추가할 수 없음', async () => {
+        await seedAlice();
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayUnion('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayUnion('bob'),
+          friendRequestsSent: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('요청을 지우지 않고 friends에만 추가하는 것은 거부', async () => {
+        await seedAlice({ friendRequestsSent: ['bob'] });
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayUnion('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+    });
+
+    describe('친구 삭제 (friends에서 제거)', () => {
+      test('있는 내 ID 제거는 허용', async () => {
+        await seedAlice({ friends: ['bob', 'carol'] });
+        await assertSucceeds(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+
+      test('없는 내 ID 제거나 다른 친구 제거는 거부', async () => {
+        await seedAlice({ friends: ['carol'] });
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayRemove('bob'),
+          updatedAt: serverTimestamp(),
+        }));
+        await assertFails(updateDoc(doc(bob, 'users/alice'), {
+          friends: arrayRemove('carol'),
+          updatedAt: serverTimestamp(),
+        }));
+      });
+    });
+  });
+
+  describe.each(OWNER_COLLECTIONS)('users/{userId}/%s', (name) => {
+    test('본인은 읽고 쓸 수 있음', async () => {
+      const ref = doc(alice, `users/alice/${name}/doc1`);
+      await assertSucceeds(setDoc(ref, { value: 1 }));
+      await assertSucceeds(getDoc(ref));
+      await assertSucceeds(updateDoc(ref, { value: 2 }));
+      await assertSucceeds(deleteDoc(ref));
+    });
+
+    test('다른 사용자나 로그인하지 않은 사용자는 읽기/쓰기 거부', async () => {
+      await seed(`users/alice/${name}/doc1`, { value: 1 });
+      await assertFails(getDoc(doc(bob, `users/alice/${name}/doc1`)));
+      await assertFails(setDoc(doc(bob, `users/alice/${name}/doc2`), { value: 1 }));
+      await assertFails(updateDoc(doc(bob, `users/alice/${name}/doc1`), { value: 2 }));
+      await assertFails(deleteDoc(doc(bob, `users/alice/${name}/doc1`)));
+      await assertFails(getDoc(doc(guest, `users/alice/${name}/doc1`)));
+    });
+  });
+
+  describe('users/{userId}/notifications', () => {
+    const notificationRef = (db, id = 'n1') => doc(db, `users/alice/notifications/${id}`);
+
+    test('본인은 어떤 알림이든 만들고 읽고 수정하고 삭제할 수 있음', async () => {
+      await assertSucceeds(setDoc(notificationRef(alice), {
+        type: 'level',
+        message: '레벨업',
+        isRead: false,
+        createdAt: serverTimestamp(),
+      }));
+      await assertSucceeds(getDoc(notificationRef(alice)));
+      await assertSucceeds(updateDoc(notificationRef(alice), { isRead: true }));
+      await assertSucceeds(deleteDoc(notificationRef(alice)));
+    });
+
+    test('다른 사용자는 읽기/수정/삭제 거부', async () => {
+      await seed('users/alice/notifications/n1', { type: 'level', isRead: false });
+      await assertFails(getDoc(notificationRef(bob)));
+      await assertFails(updateDoc(notificationRef(bob), { isRead: true }));
+      await assertFails(deleteDoc(notificationRef(bob)));
+    });
+
+    test('친구 요청을 보낸 사용자는 요청 알림을 만들 수 있음', async () => {
+      await seedAlice({ friendRequestsReceived: ['bob'] });
+      await assertSucceeds(setDoc(notificationRef(bob), friendNotification('bob', 'request')));
+    });
+
+    test('친구 요청을 보내지 않았으면 요청 알림 거부', async () => {
+      await seedAlice();
+      await assertFails(setDoc(notificationRef(bob), friendNotification('bob', 'request')));
+    });
+
+    test('친구가 된 사용자는 수락 알림을 만들 수 있음', async () => {
+      await seedAlice({ friends: ['bob'] });
+      await assertSucceeds(setDoc(notificationRef(bob), friendNotification('bob', 'accept')));
+    });
+
+    test('친구가 아니면 수락 알림 거부', async () => {
+      await seedAlice({ friendRequestsReceived: ['bob'] });
+      await assertFails(setDoc(notificationRef(bob), friendNotification('bob', 'accept')));
+    });
+
+    test('로그인하지 않은 사용자나 다른 사용자를 사칭한 알림은 거부', async () => {
+      await seedAlice({ friendRequestsReceived: ['bob', 'carol'] });
+      await assertFails(setDoc(notificationRef(guest), friendNotification('bob', 'request')));
+      await assertFails(setDoc(notificationRef(bob), friendNotification('carol', 'request')));
+    });
+
+    test.each([
+      ['다른 종류', { type: 'level' }],
+      ['다른 카테고리', { category: '레벨' }],
+      ['읽음 상태', { isRead: true }],
+      ['임의의 생성 시각', { createdAt: Timestamp.fromMillis(0) }],
+      ['추가 필드', { link: 'https://example.com' }],
+      ['긴 메시지', { message: 'x'.repeat(201) }],
+      ['알 수 없는 action', { data: { userId: 'bob', action: 'remove' } }],
+      ['data의 추가 필드', { data: { userId: 'bob', action: 'request', extra: true } }],
+    ])('형식이 다른 친구 알림 거부 (%s)', async (_, fields) => {
+      await seedAlice({ friendRequestsReceived: ['bob'] });
+      await assertFails(setDoc(notificationRef(bob), friendNotification('bob', 'request', fields)));
+    });
+
+    test('필수 필드가 빠진 친구 알림 거부', async () => {
+      await seedAlice({ friendRequestsReceived: ['bob'] });
+      const { message, ...withoutMessage } = friendNotification('bob', 'request');
+      await assertFails(setDoc(notificationRef(bob), withoutMessage));
+    });
+  });
+
+  describe('profiles/{userId}', () => {
+    const profile = { email: 'alice@todaydo.test', nickname: 'alice', level: 1, title: null, stats: {} };
+
+    test('로그인한 사용자는 uid로 한 명씩 읽을 수 있음', async () => {
+      await seed('profiles/alice', profile);
+      await assertSucceeds(getDoc(doc(bob, 'profiles/alice')));
+    });
+
+    test('로그인하지 않은 읽기와 목록 조회는 거부', async () => {
+      await seed('profiles/alice', profile);
+      await assertFails(getDoc(doc(guest, 'profiles/alice')));
+      await assertFails(getDocs(query(collection(bob, 'profiles'), where('email', '==', profile.email), limit(1))));
+      await assertFails(getDocs(collection(bob, 'profiles')));
+    });
+
+    test('한 명씩 넘기며 이메일을 모으는 조회는 거부', async () => {
+      await seed('profiles/alice', profile);
+      await seed('profiles/carol', { ...profile, email: 'carol@todaydo.test', nickname: 'carol' });
+      await assertFails(getDocs(query(collection(bob, 'profiles'), orderBy('email'), limit(1))));
+      await assertFails(getDocs(query(collection(bob, 'profiles'), orderBy('email'), startAfter(profile.email), limit(1))));
+    });
+
+    test('본인은 공개 필드만 쓰고 삭제할 수 있음', async () => {
+      const ref = doc(alice, 'profiles/alice');
+      await assertSucceeds(setDoc(ref, profile));
+      await assertSucceeds(updateDoc(ref, { level: 2 }));
+      await assertFails(updateDoc(ref, { friends: ['bob'] }));
+      await assertFails(setDoc(doc(alice, 'profiles/alice'), { ...profile, friends: [] }));
+      await assertSucceeds(deleteDoc(ref));
+    });
+
+    test('다른 사용자는 쓰기/삭제 거부', async () => {
+      await seed('profiles/alice', profile);
+      await assertFails(setDoc(doc(bob, 'profiles/alice'), profile));
+      await assertFails(updateDoc(doc(bob, 'profiles/alice'), { level: 99 }));
+      await assertFails(deleteDoc(doc(bob, 'profiles/alice')));
+    });
+  });
+
+  describe('emailLookup/{email}', () => {
+    const email = 'alice@todaydo.test';
+    let aliceWithEmail;
+
+    beforeEach(() => {
+      aliceWithEmail = testEnv.authenticatedContext('alice', { email: 'Alice@todaydo.test' }).firestore();
+    });
+
+    test('로그인한 사용자는 정확한 이메일로 읽을 수 있음', async () => {
+      await seed(`emailLookup/${email}`, { uid: 'alice' });
+      await assertSucceeds(getDoc(doc(bob, `emailLookup/${email}`)));
+      await assertFails(getDoc(doc(guest, `emailLookup/${email}`)));
+    });
+
+    test('목록 조회와 한 명씩 넘기는 조회는 거부', async () => {
+      await seed(`emailLookup/${email}`, { uid: 'alice' });
+      await seed('emailLookup/carol@todaydo.test', { uid: 'carol' });
+      await assertFails(getDocs(collection(bob, 'emailLookup')));
+      await assertFails(getDocs(query(collection(bob, 'emailLookup'), limit(1))));
+      await assertFails(getDocs(query(collection(bob, 'emailLookup'), orderBy('uid'), startAfter('alice'), limit(1))));
+    });
+
+    test('본인 로그인 이메일(소문자)로 자기 uid만 쓸 수 있음', async () => {
+      await assertSucceeds(setDoc(doc(aliceWithEmail, `emailLookup/${email}`), { uid: 'alice' }));
+      await assertFails(setDoc(doc(aliceWithEmail, 'emailLookup/Alice@todaydo.test'), { uid: 'alice' }));
+      await assertFails(setDoc(doc(aliceWithEmail, `emailLookup/${email}`), { uid: 'bob' }));
+      await assertFails(setDoc(doc(aliceWithEmail, `emailLookup/${email}`), { uid: 'alice', nickname: 'alice' }));
+      await assertFails(setDoc(doc(aliceWithEmail, 'emailLookup/bob@todaydo.test'), { uid: 'alice' }));
+    });
+
+    test('본인 문서만 삭제할 수 있음', async () => {
+      await seed(`emailLookup/${email}`, { uid: 'alice' });
+      await assertFails(deleteDoc(doc(bob, `emailLookup/${email}`)));
+      await assertSucceeds(deleteDoc(doc(alice, `emailLookup/${email}`)));
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { auth, PROJECT_ID, AUTH_HOST, FIRESTORE_HOST } from './firebaseConfig';
+import userService from '../../src/core/firebase/userService';
+
+const PASSWORD = 'password1234';
+
+// 에뮬레이터가 없으면(npm test) 건너뜀, npm run test:emulator로 실행
+export const hasEmulator = !!(AUTH_HOST && FIRESTORE_HOST);
+export const describeEmulator = hasEmulator ? describe : describe.skip;
+
+/**
+ * 에뮬레이터의 Firestore 문서와 Auth 계정 모두 삭제 (테스트 파일마다 깨끗한 상태로 시작)
+ */
+export const resetEmulators = async () => {
+  await signOut(auth);
+  await fetch(`http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, {
+    method: 'DELETE',
+  });
+  await fetch(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, {
+    method: 'DELETE',
+  });
+};
+
+/**
+ * 회원가입 + 사용자 문서 생성 (가입한 사용자로 로그인된 상태)
+ */
+export const createUser = async (nickname) => {
+  const email = `${nickname}@todaydo.test`;
+  const { user } = await createUserWithEmailAndPassword(auth, email, PASSWORD);
+  await userService.createUserProfile(user.uid, email, nickname);
+  return { uid: user.uid, email, nickname };
+};
+
+/**
+ * 다른 사용자로 로그인 (보안 규칙은 로그인한 사용자 기준으로 적용)
+ */
+export const signInAs = async ({ email }) => {
+  if (auth.currentUser?.email === email) return;
+  await signOut(auth);
+  await signInWithEmailAndPassword(auth, email, PASSWORD);
+};
+
+/**
+ * check()가 값을 반환할 때까지 기다림 (실시간 구독 결과 확인용)
+ */
+export const waitFor = async (check, timeout = 5000) => {
+  const startedAt = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('waitFor timed out');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
@@ -0,0 +1,146 @@
+import todoService from '../../src/core/firebase/todoService';
+import routineService from '../../src/core/firebase/routineService';
+import recordService from '../../src/core/firebase/recordService';
+import tagService from '../../src/core/firebase/tagService';
+import { describeEmulator, resetEmulators, createUser, waitFor } from './helpers';
+
+// 종류별 서비스와 테스트 항목 (record는 날짜가 ID)
+const CASES = [
+  {
+    name: 'todoService',
+    service: todoService,
+    subscribe: (uid, callback, since) => todoService.subscribeTodos(uid, callback, since),
+    makeItem: (n) => ({ id: `todo_${n}`, title: `할 일 ${n}`, date: '2024.03.15', completed: false }),
+    change: { title: '수정한 할 일' },
+  },
+  {
+    name: 'routineService',
+    service: routineService,
+    subscribe: (uid, callback, since) => routineService.subscribeRoutines(uid, callback, since),
+    makeItem: (n) => ({ id: `routine_${n}`, title: `루틴 ${n}`, date: '2024.03.15', completed: false, completions: {} }),
+    change: { title: '수정한 루틴' },
+  },
+  {
+    name: 'recordService',
+    service: recordService,
+    subscribe: (uid, callback, since) => recordService.subscribeRecords(uid, callback, since),
+    makeItem: (n) => ({ id: `2024.03.${String(n).padStart(2, '0')}`, date: `2024.03.${String(n).padStart(2, '0')}`, content: `일기 ${n}` }),
+    change: { content: '수정한 일기' },
+  },
+  {
+    name: 'tagService',
+    service: tagService,
+    subscribe: (uid, callback, since) => tagService.subscribeTags(uid, callback, since),
+    makeItem: (n) => ({ id: `tag_${n}`, name: `태그 ${n}` }),
+    change: { name: '수정한 태그' },
+  },
+];
+
+describeEmulator.each(CASES)('$name', ({ service, subscribe, makeItem, change }) => {
+  let user;
+
+  beforeAll(async () => {
+    await resetEmulators();
+    user = await createUser('owner');
+  });
+
+  describe('CRUD', () => {
+    test('생성한 항목을 모두 가져오기에서 받음', async () => {
+      const item = makeItem(1);
+      await service.create(user.uid, item);
+
+      const items = await service.getAllByUser(user.uid);
+      expect(items).toEqual(expect.arrayContaining([expect.objectContaining(item)]));
+    });
+
+    test('수정하면 바뀐 필드가 반영됨', async () => {
+      const item = makeItem(2);
+      await service.create(user.uid, item);
+      await service.update(user.uid, { ...item, ...change });
+
+      const items = await service.getAllByUser(user.uid);
+      expect(items.find(i => i.id === item.id)).toMatchObject(change);
+    });
+
+    test('없는 항목을 수정하면 not found 오류', async () => {
+      await expect(service.update(user.uid, makeItem(3))).rejects.toThrow(/not found/i);
+    });
+
+    test('삭제하면 삭제 표시(tombstone)만 남고 목록에서 빠짐', async () => {
+      const item = makeItem(4);
+      await service.create(user.uid, item);
+      const before = Date.now() - 1000;
+
+      await service.delete(user.uid, item.id);
+
+      const items = await service.getAllByUser(user.uid);
+      expect(items.find(i => i.id === item.id)).toBeUndefined();
+
+      // 증분 동기화에서는 삭제 표시를 받아 다른 기기에도 삭제를 전달
+      const changed = await service.getChangedSince(user.uid, before);
+      expect(changed.find(i => i.id === item.id)).toMatchObject({ deleted: true });
+    });
+
+    test('삭제 표시된 항목을 수정하면 not found 오류', async () => {
+      const item = makeItem(5);
+      await service.create(user.uid, item);
+      await service.delete(user.uid, item.id);
+
+      await expect(service.update(user.uid, { ...item, ...change })).rejects.toThrow(/not found/i);
+    });
+
+    test('getChangedSince는 기준 시각 이후 변경분만 반환', async () => {
+      await service.create(user.uid, makeItem(6));
+      const since = Date.now() + 60 * 1000;
+
+      expect(await service.getChangedSince(user.uid, since)).toEqual([]);
+    });
+  });
+
+  describe('실시간 구독', () => {
+    test('생성/수정/삭제가 구독 콜백으로 전달됨', async () => {
+      const received = [];
+      const unsubscribe = subscribe(user.uid, items => received.push(...items));
+
+      try {
+        const item = makeItem(7);
+        await service.create(user.uid, item);
+        await waitFor(() => received.find(i => i.id === item.id && !i.deleted));
+
+        await service.update(user.uid, { ...item, ...change });
+        await waitFor(() => received.find(i => i.id === item.id && Object.entries(change).every(([k, v]) => i[k] === v)));
+
+        await service.delete(user.uid, item.id);
+        await waitFor(() => received.find(i => i.id === item.id && i.deleted));
+      } finally {
+        unsubscribe();
+      }
+    });
+
+    test('since 구독은 기준 시각 이후 변경분만 받음', async () => {
+      const old = makeItem(8);
+      await service.create(user.uid, old);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const since = Date.now();
+
+      const received = [];
+      const unsubscribe = subscribe(user.uid, items => received.push(...items), since);
+
+      try {
+        const item = makeItem(9);
+        await service.create(user.uid, item);
+        await waitFor(() => received.find(i => i.id === item.id));
+
+        expect(received.find(i => i.id === old.id)).toBeUndefined();
+      } finally {
+        unsubscribe();
+      }
+    });
+  });
+
+  test('다른 사용자의 항목은 읽을 수 없음', async () => {
+    const other = await createUser(`other_${Date.now()}`);
+    await expect(service.getAllByUser(user.uid)).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(other.uid).not.toBe(user.uid);
+  });
+});
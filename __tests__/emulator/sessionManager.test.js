@@ -0,0 +1,136 @@
+import { doc, getDoc, getDocs, setDoc, deleteDoc, collection, Timestamp } from 'firebase/firestore';
+import { db, auth } from './firebaseConfig';
+import sessionManager from '../../src/core/firebase/sessionManager';
+import { describeEmulator, resetEmulators, createUser, signInAs, waitFor } from './helpers';
+
+describeEmulator('sessionManager (에뮬레이터)', () => {
+  let user;
+
+  const getSessionIds = async () => {
+    const snapshot = await getDocs(collection(db, 'users', user.uid, 'sessions'));
+    return snapshot.docs.map(d => d.id);
+  };
+
+  // 다른 기기의 세션 (lastActive: ms 전 활동)
+  const addOtherSession = async (id, ago = 0) => {
+    await setDoc(doc(db, 'users', user.uid, 'sessions', id), {
+      sessionId: id,
+      deviceName: 'Other Device',
+      lastActive: Timestamp.fromMillis(Date.now() - ago),
+      createdAt: Timestamp.now(),
+    });
+  };
+
+  beforeEach(async () => {
+    await resetEmulators();
+    user = await createUser('device');
+  });
+
+  afterEach(async () => {
+    sessionManager.setOnSessionEnded(null);
+    if (auth.currentUser) {
+      await sessionManager.endSession(user.uid);
+    }
+  });
+
+  test('로그인하면 기기 정보와 함께 세션 문서 생성, 다시 호출해도 같은 세션 유지', async () => {
+    await sessionManager.startSession(user.uid);
+    const sessionId = sessionManager.getCurrentSessionId();
+
+    const session = (await getDoc(doc(db, 'users', user.uid, 'sessions', sessionId))).data();
+    expect(session).toMatchObject({ sessionId, deviceName: 'Test Device', platform: 'iOS' });
+
+    await sessionManager.startSession(user.uid);
+    expect(sessionManager.getCurrentSessionId()).toBe(sessionId);
+    expect(await getSessionIds()).toEqual([sessionId]);
+  });
+
+  test('여러 기기에서 동시에 로그인 가능', async () => {
+    await addOtherSession('other_device');
+    await sessionManager.startSession(user.uid);
+
+    expect(await getSessionIds()).toEqual(
+      expect.arrayContaining(['other_device', sessionManager.getCurrentSessionId()])
+    );
+  });
+
+  test('다른 기기에서 세션을 삭제하면 감지하고 로그아웃', async () => {
+    const onEnded = jest.fn();
+    sessionManager.setOnSessionEnded(onEnded);
+    await sessionManager.startSession(user.uid);
+
+    // 다른 기기의 로그인된 기기 화면에서 이 기기를 로그아웃
+    await deleteDoc(doc(db, 'users', user.uid, 'sessions', sessionManager.getCurrentSessionId()));
+
+    await waitFor(() => onEnded.mock.calls.length > 0);
+    expect(auth.currentUser).toBeNull();
+    expect(onEnded).toHaveBeenCalledWith(user.uid);
+    expect(sessionManager.isActive()).toBe(false);
+  });
+
+  test('세션이 삭제된 뒤 heartbeat가 실패하면 로그아웃', async () => {
+    await sessionManager.startSession(user.uid);
+    const sessionId = sessionManager.getCurrentSessionId();
+
+    // 실시간 구독 없이 heartbeat만으로 확인
+    sessionManager.stopListening();
+    await deleteDoc(doc(db, 'users', user.uid, 'sessions', sessionId));
+    await sessionManager.updateLastActive(user.uid);
+
+    expect(sessionManager.isActive()).toBe(false);
+    await waitFor(() => auth.currentUser === null);
+  });
+
+  test('다른 기기 로그아웃 (현재 기기는 로그아웃 메뉴 사용)', async () => {
+    await addOtherSession('other_device');
+    await sessionManager.startSession(user.uid);
+
+    await sessionManager.revokeSession(user.uid, 'other_device');
+    expect(await getSessionIds()).toEqual([sessionManager.getCurrentSessionId()]);
+
+    await expect(sessionManager.revokeSession(user.uid, sessionManager.getCurrentSessionId()))
+      .rejects.toThrow('현재 기기');
+  });
+
+  test('단일 기기 모드: 켜면 다른 기기 세션을 모두 삭제', async () => {
+    await addOtherSession('other_1');
+    await addOtherSession('other_2');
+    await sessionManager.startSession(user.uid);
+
+    await sessionManager.setSingleDeviceMode(user.uid, true);
+
+    expect(await getSessionIds()).toEqual([sessionManager.getCurrentSessionId()]);
+    expect((await getDoc(doc(db, 'users', user.uid))).data().singleDeviceMode).toBe(true);
+  });
+
+  test('단일 기기 모드에서 새로 로그인하면 다른 기기 로그아웃', async () => {
+    await sessionManager.startSession(user.uid);
+    await sessionManager.setSingleDeviceMode(user.uid, true);
+    await sessionManager.endSession(user.uid);
+
+    await addOtherSession('other_device');
+    await signInAs(user);
+    await sessionManager.startSession(user.uid);
+
+    expect(await getSessionIds()).toEqual([sessionManager.getCurrentSessionId()]);
+  });
+
+  test('오래 활동이 없는 세션은 로그인 시 정리', async () => {
+    await addOtherSession('stale_device', 31 * 24 * 60 * 60 * 1000);
+    await addOtherSession('recent_device', 60 * 1000);
+
+    await sessionManager.startSession(user.uid);
+
+    const ids = await getSessionIds();
+    expect(ids).toContain('recent_device');
+    expect(ids).not.toContain('stale_device');
+  });
+
+  test('로그아웃하면 현재 세션 문서 삭제', async () => {
+    await sessionManager.startSession(user.uid);
+    await sessionManager.endSession(user.uid);
+
+    expect(await getSessionIds()).toEqual([]);
+    expect(sessionManager.getCurrentSessionId()).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+// 에뮬레이터 테스트 공통 설정 (Node 환경에서 서비스 레이어 실행)
+
+// 앱 설정 대신 에뮬레이터에 연결한 Firebase 사용
+jest.mock('../../src/core/firebase/config', () => require('./firebaseConfig'));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// sessionManager가 사용하는 네이티브 모듈
+jest.mock('react-native', () => ({
+  AppState: {
+    currentState: 'active',
+    addEventListener: jest.fn(() => ({ remove: jest.fn() })),
+  },
+  Platform: { OS: 'ios' },
+}));
+
+jest.mock('expo-device', () => ({
+  deviceName: 'Test Device',
+  modelName: 'Test Model',
+  osName: 'iOS',
+}));
+
+// 에뮬레이터 왕복이 있으므로 기본 5초보다 넉넉하게
+jest.setTimeout(20000);
+
+// 서비스 로그는 생략 (실패 원인은 console.error로 확인)
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
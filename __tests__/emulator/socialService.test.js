@@ -0,0 +1,132 @@
+import { doc, getDoc, getDocs, collection } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import socialService from '../../src/core/firebase/socialService';
+import { describeEmulator, resetEmulators, createUser, signInAs } from './helpers';
+
+describeEmulator('socialService (에뮬레이터)', () => {
+  let alice;
+  let bob;
+
+  // 사용자 문서는 본인만 읽을 수 있으므로 그 사용자로 로그인해서 확인
+  const getUserDoc = async (user) => {
+    await signInAs(user);
+    return (await getDoc(doc(db, 'users', user.uid))).data();
+  };
+
+  const getNotifications = async (user) => {
+    await signInAs(user);
+    const snapshot = await getDocs(collection(db, 'users', user.uid, 'notifications'));
+    return snapshot.docs.map(d => d.data());
+  };
+
+  beforeEach(async () => {
+    await resetEmulators();
+    bob = await createUser('bob');
+    alice = await createUser('alice');
+  });
+
+  test('이메일로 공개 프로필 검색', async () => {
+    await expect(socialService.searchUserByEmail(bob.email)).resolves.toEqual({
+      id: bob.uid,
+      email: bob.email,
+      nickname: 'bob',
+      level: 1,
+    });
+    await expect(socialService.searchUserByEmail('nobody@todaydo.test')).resolves.toBeNull();
+  });
+
+  test('친구 요청 → 수락 → 친구 목록 → 친구 삭제', async () => {
+    await signInAs(alice);
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+
+    expect((await getUserDoc(alice)).friendRequestsSent).toEqual([bob.uid]);
+    expect((await getUserDoc(bob)).friendRequestsReceived).toEqual([alice.uid]);
+    expect(await getNotifications(bob)).toEqual([
+      expect.objectContaining({ type: 'friend', data: { userId: alice.uid, action: 'request' } }),
+    ]);
+
+    await signInAs(bob);
+    expect(await socialService.getReceivedRequests(bob.uid)).toEqual([
+      expect.objectContaining({ id: alice.uid, nickname: 'alice' }),
+    ]);
+
+    await socialService.acceptFriendRequest(bob.uid, alice.uid);
+
+    expect(await getUserDoc(bob)).toMatchObject({ friends: [alice.uid], friendRequestsReceived: [] });
+    expect(await getUserDoc(alice)).toMatchObject({ friends: [bob.uid], friendRequestsSent: [] });
+    expect(await getNotifications(alice)).toEqual([
+      expect.objectContaining({ type: 'friend', data: { userId: bob.uid, action: 'accept' } }),
+    ]);
+
+    expect(await socialService.getFriendsList(alice.uid)).toEqual([
+      expect.objectContaining({ id: bob.uid, nickname: 'bob', level: 1 }),
+    ]);
+    await expect(socialService.getFriendStats(bob.uid)).resolves.toMatchObject({ nickname: 'bob' });
+
+    await socialService.removeFriend(alice.uid, bob.uid);
+
+    expect((await getUserDoc(alice)).friends).toEqual([]);
+    expect((await getUserDoc(bob)).friends).toEqual([]);
+  });
+
+  test('친구 요청 거절', async () => {
+    await signInAs(alice);
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+
+    await signInAs(bob);
+    await socialService.rejectFriendRequest(bob.uid, alice.uid);
+
+    expect((await getUserDoc(bob)).friendRequestsReceived).toEqual([]);
+    expect(await getUserDoc(alice)).toMatchObject({ friendRequestsSent: [], friends: [] });
+  });
+
+  test('상대가 이미 취소한 요청을 거절해도 실패하지 않음', async () => {
+    await signInAs(alice);
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+    await socialService.cancelFriendRequest(alice.uid, bob.uid);
+
+    // 화면에 남아 있던 요청을 거절 (alice 문서에서는 이미 제거됨)
+    await signInAs(bob);
+    await expect(socialService.rejectFriendRequest(bob.uid, alice.uid)).resolves.toEqual({ success: true });
+    expect((await getUserDoc(bob)).friendRequestsReceived).toEqual([]);
+  });
+
+  test('보낸 친구 요청 취소', async () => {
+    await signInAs(alice);
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+    await socialService.cancelFriendRequest(alice.uid, bob.uid);
+
+    expect((await getUserDoc(alice)).friendRequestsSent).toEqual([]);
+    expect((await getUserDoc(bob)).friendRequestsReceived).toEqual([]);
+  });
+
+  test('자기 자신, 없는 사용자, 이미 요청했거나 친구인 사용자에게는 요청할 수 없음', async () => {
+    await signInAs(alice);
+    await expect(socialService.sendFriendRequest(alice.uid, alice.email)).rejects.toThrow('자기 자신');
+    await expect(socialService.sendFriendRequest(alice.uid, 'nobody@todaydo.test')).rejects.toThrow('찾을 수 없습니다');
+
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+    await expect(socialService.sendFriendRequest(alice.uid, bob.email)).rejects.toThrow('이미 친구 요청을 보냈습니다');
+    await signInAs(bob);
+    await socialService.acceptFriendRequest(bob.uid, alice.uid);
+
+    await signInAs(alice);
+    await expect(socialService.sendFriendRequest(alice.uid, bob.email)).rejects.toThrow('이미 친구');
+  });
+
+  test('계정 삭제 시 다른 사용자 문서에서 내 ID 제거', async () => {
+    const carol = await createUser('carol');
+
+    await signInAs(alice);
+    await socialService.sendFriendRequest(alice.uid, bob.email);
+    await socialService.sendFriendRequest(alice.uid, carol.email);
+    await signInAs(bob);
+    await socialService.acceptFriendRequest(bob.uid, alice.uid);
+
+    await signInAs(alice);
+    await socialService.removeAllRelations(alice.uid);
+
+    expect((await getUserDoc(bob)).friends).toEqual([]);
+    expect((await getUserDoc(carol)).friendRequestsReceived).toEqual([]);
+  });
+});
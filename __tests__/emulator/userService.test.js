@@ -0,0 +1,161 @@
+import { doc, getDoc, getDocs, collection, updateDoc } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import userService from '../../src/core/firebase/userService';
+import { getTodayString, addDays } from '../../src/core/utils/dateUtils';
+import { describeEmulator, resetEmulators, createUser, signInAs } from './helpers';
+
+// 경험치/레벨 계산은 에뮬레이터 없이 실행
+describe('userService.calculateLevel', () => {
+  const start = { exp: 0, level: 1, maxExp: 300 };
+
+  test('maxExp에 못 미치면 레벨 유지', () => {
+    expect(userService.calculateLevel(start, 20)).toEqual({ exp: 20, level: 1, maxExp: 300 });
+  });
+
+  test('maxExp에 도달하면 레벨업하고 남은 경험치는 이월, maxExp는 200 증가', () => {
+    expect(userService.calculateLevel({ exp: 290, level: 1, maxExp: 300 }, 20))
+      .toEqual({ exp: 10, level: 2, maxExp: 500 });
+  });
+
+  test('한 번에 여러 레벨 상승', () => {
+    expect(userService.calculateLevel(start, 300 + 500 + 30))
+      .toEqual({ exp: 30, level: 3, maxExp: 700 });
+  });
+
+  test('경험치를 회수해 0 아래로 내려가면 레벨다운', () => {
+    expect(userService.calculateLevel({ exp: 10, level: 2, maxExp: 500 }, -20))
+      .toEqual({ exp: 290, level: 1, maxExp: 300 });
+  });
+
+  test('레벨 1에서는 0 아래로 내려가지 않음', () => {
+    expect(userService.calculateLevel({ exp: 10, level: 1, maxExp: 300 }, -20))
+      .toEqual({ exp: 0, level: 1, maxExp: 300 });
+  });
+});
+
+describeEmulator('userService (에뮬레이터)', () => {
+  let user;
+
+  const getUserDoc = async () => (await getDoc(doc(db, 'users', user.uid))).data();
+
+  beforeEach(async () => {
+    await resetEmulators();
+    user = await createUser('player');
+  });
+
+  test('회원가입 시 사용자 문서와 공개 프로필 생성', async () => {
+    expect(await getUserDoc()).toMatchObject({ email: user.email, nickname: 'player', level: 1, exp: 0, maxExp: 300 });
+
+    const profile = (await getDoc(userService.getPublicProfileRef(user.uid))).data();
+    expect(Object.keys(profile).sort()).toEqual(['email', 'level', 'nickname', 'stats']);
+  });
+
+  test('항목 완료 시 경험치/통계/연속 기록을 한 번만 지급', async () => {
+    const key = { type: 'todo', itemId: 'todo_1', title: '할 일' };
+
+    const progress = await userService.grantItemProgress(user.uid, key);
+    expect(progress).toMatchObject({ exp: 20, level: 1, expAmount: 20, leveledUp: false });
+
+    // 같은 항목은 다시 지급하지 않음
+    expect(await userService.grantItemProgress(user.uid, key)).toBeNull();
+
+    const data = await getUserDoc();
+    expect(data.exp).toBe(20);
+    expect(data.stats).toMatchObject({
+      totalTodosCompleted: 1,
+      todayStreak: 1,
+      lastActiveDate: getTodayString(),
+    });
+  });
+
+  test('완료 취소 시 지급한 만큼 회수', async () => {
+    const key = { type: 'routine', itemId: 'routine_1', date: '2024.03.15' };
+    await userService.grantItemProgress(user.uid, key);
+
+    const revoked = await userService.revokeItemProgress(user.uid, key);
+    expect(revoked).toMatchObject({ exp: 0, expAmount: -20 });
+    expect(await userService.revokeItemProgress(user.uid, key)).toBeNull();
+
+    const data = await getUserDoc();
+    expect(data.exp).toBe(0);
+    expect(data.stats.totalRoutinesCompleted).toBe(0);
+  });
+
+  test('회수 후 다시 완료하면 다시 지급', async () => {
+    const key = { type: 'record', itemId: '2024.03.15' };
+    await userService.grantItemProgress(user.uid, key);
+    await userService.revokeItemProgress(user.uid, key);
+
+    expect(await userService.grantItemProgress(user.uid, key)).toMatchObject({ exp: 10 });
+  });
+
+  test('항목 삭제 시 날짜별 기록까지 모두 회수', async () => {
+    await userService.grantItemProgress(user.uid, { type: 'routine', itemId: 'routine_2', date: '2024.03.15' });
+    await userService.grantItemProgress(user.uid, { type: 'routine', itemId: 'routine_2', date: '2024.03.16' });
+
+    await userService.revokeAllItemProgress(user.uid, 'routine_2');
+
+    const data = await getUserDoc();
+    expect(data.exp).toBe(0);
+    expect(data.stats.totalRoutinesCompleted).toBe(0);
+  });
+
+  test('레벨업하면 결과와 알림, 공개 프로필에 반영', async () => {
+    await updateDoc(doc(db, 'users', user.uid), { exp: 290 });
+
+    const progress = await userService.grantItemProgress(user.uid, { type: 'todo', itemId: 'todo_2' });
+    expect(progress).toMatchObject({ level: 2, exp: 10, maxExp: 500, previousLevel: 1, leveledUp: true });
+
+    const profile = (await getDoc(userService.getPublicProfileRef(user.uid))).data();
+    expect(profile.level).toBe(2);
+
+    const notifications = await getDocs(collection(db, 'users', user.uid, 'notifications'));
+    expect(notifications.docs.map(d => d.data())).toEqual([
+      expect.objectContaining({ type: 'level', data: { level: 2 }, isRead: false }),
+    ]);
+  });
+
+  test('레벨다운 후 같은 레벨에 다시 오르면 알림을 다시 기록', async () => {
+    await updateDoc(doc(db, 'users', user.uid), { exp: 290 });
+    const key = { type: 'todo', itemId: 'todo_3' };
+
+    await userService.grantItemProgress(user.uid, key);
+    await userService.revokeItemProgress(user.uid, key);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await userService.grantItemProgress(user.uid, key);
+
+    const notifications = await getDocs(collection(db, 'users', user.uid, 'notifications'));
+    expect(notifications.size).toBe(2);
+  });
+
+  test('연속 기록: 어제 활동했으면 이어지고, 나중에 보낸 예전 활동은 반영하지 않음', async () => {
+    const today = getTodayString();
+    await updateDoc(doc(db, 'users', user.uid), {
+      'stats.todayStreak': 3,
+      'stats.maxStreak': 3,
+      'stats.lastActiveDate': addDays(today, -1),
+    });
+
+    await userService.grantItemProgress(user.uid, { type: 'todo', itemId: 'todo_4' });
+    expect((await getUserDoc()).stats).toMatchObject({ todayStreak: 4, maxStreak: 4, lastActiveDate: today });
+
+    // 오프라인에서 어제 완료한 항목을 오늘 보낸 경우
+    await userService.grantItemProgress(user.uid, { type: 'todo', itemId: 'todo_5', activeDate: addDays(today, -1) });
+    expect((await getUserDoc()).stats).toMatchObject({ todayStreak: 4, lastActiveDate: today });
+  });
+
+  test('닉네임을 바꾸면 공개 프로필도 갱신', async () => {
+    await userService.updateNickname(user.uid, 'renamed');
+
+    const profile = (await getDoc(userService.getPublicProfileRef(user.uid))).data();
+    expect(profile.nickname).toBe('renamed');
+  });
+
+  test('다른 사용자의 경험치는 지급할 수 없음', async () => {
+    const other = await createUser('other');
+    await signInAs(other);
+
+    await expect(userService.grantItemProgress(user.uid, { type: 'todo', itemId: 'todo_6' }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AuthProvider } from '../../src/core/context/authContext';
+import { auth } from '../../src/core/firebase/config';
+import sessionManager from '../../src/core/firebase/sessionManager';
+import database from '../../src/core/storage/database';
+import syncQueue from '../../src/core/storage/syncQueue';
+import syncState from '../../src/core/storage/syncState';
+
+const UID = 'user1';
+
+// 로그인 상태 변경은 테스트에서 직접 전달
+let mockAuthListener = null;
+jest.mock('../../src/core/firebase/authService', () => ({
+  onAuthStateChanged: jest.fn((callback) => {
+    mockAuthListener = callback;
+    return () => {};
+  }),
+  logOut: jest.fn(async () => {}),
+}));
+
+jest.mock('../../src/core/firebase/userService', () => ({
+  syncEmail: jest.fn(async () => false),
+}));
+
+// 로컬 데이터베이스는 메모리로 대체 (대기열/기준점은 실제 구현)
+jest.mock('../../src/core/storage/database', () => {
+  const MemoryDatabase = require('../../src/core/storage/memoryDatabase').default;
+  return { __esModule: true, default: new MemoryDatabase() };
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  auth.signOut = jest.fn(async () => {});
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  jest.spyOn(sessionManager, 'startSession').mockImplementation(async () => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('session revoked on another device', () => {
+  it('signs out and leaves no local data for the account', async () => {
+    // 로그인한 계정의 로컬 항목, 동기화 기준점, 보내지 못한 변경
+    await database.use(UID);
+    await database.put('todos', { id: 'todo_a', title: '장보기', date: '2026.10.18' });
+    await syncState.setHighWaterMark(UID, 'todo', 1000);
+    await syncQueue.push(UID, 'todo', 'create', 'todo_a', { id: 'todo_a' });
+    await syncQueue.push('user2', 'todo', 'create', 'todo_b', { id: 'todo_b' });
+
+    const view = render(<AuthProvider />);
+    await act(() => mockAuthListener({ uid: UID, email: 'user1@todaydo.test', displayName: 'user1' }));
+
+    // 다른 기기에서 이 기기의 세션을 삭제
+    sessionManager.userId = UID;
+    await act(async () => {
+      await sessionManager.handleSessionConflict();
+      await mockAuthListener(null);
+    });
+
+    expect(auth.signOut).toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('로그아웃', expect.any(String));
+    expect(await database.getAllIn(UID, 'todos')).toEqual([]);
+    expect(await syncState.getHighWaterMark(UID, 'todo')).toBeNull();
+    expect(await syncQueue.getByUser(UID)).toEqual([]);
+    // 다른 계정의 보내지 못한 변경은 그대로
+    expect(await syncQueue.getByUser('user2')).toHaveLength(1);
+
+    view.unmount();
+  });
+});
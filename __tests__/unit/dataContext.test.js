@@ -0,0 +1,353 @@
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DataProvider, useData } from '../../src/core/context/dataContext';
+import { SCHEMA_VERSION } from '../../src/core/utils/schema';
+import { createStorages, createModules, MemoryDatabase } from './mocks/modules';
+import { createServices } from './mocks/services';
+
+const UID = 'user1';
+
+// 로그인한 사용자 (렌더마다 같은 객체)
+const mockAuth = { user: { uid: 'user1', email: 'user1@todaydo.test', nickname: 'user1' }, loading: false };
+jest.mock('../../src/core/context/authContext', () => ({
+  useAuth: () => mockAuth,
+}));
+
+const todo = (id, fields = {}) => ({
+  id,
+  title: id,
+  date: '2026.10.18',
+  time: null,
+  completed: false,
+  important: false,
+  remind: null,
+  repeated: null,
+  tag: null,
+  subs: [],
+  schemaVersion: SCHEMA_VERSION.todo,
+  ...fields,
+});
+
+/**
+ * DataProvider 렌더 (local: 미리 넣어 둘 로컬 Todo, remote: 미리 넣어 둘 Firebase Todo, prepare: 렌더 전 모듈 조작)
+ * 초기 동기화가 끝나고 실시간 구독이 시작될 때까지 대기
+ */
+const setup = async ({ local = [], remote = [], prepare = () => {} } = {}) => {
+  const db = new MemoryDatabase();
+  const storages = createStorages(db);
+  const services = createServices();
+  const modules = createModules(db);
+
+  await db.use(UID);
+  await db.putMany('todos', local);
+  services.todo.seed(remote);
+  prepare(modules);
+
+  const ctx = { db, storages, services, modules, data: null };
+  const Probe = () => {
+    ctx.data = useData();
+    return null;
+  };
+
+  ctx.view = render(
+    <DataProvider storages={storages} services={services} modules={modules}>
+      <Probe />
+    </DataProvider>
+  );
+  await waitFor(() => expect(services.todo.listeners.size).toBe(1));
+
+  ctx.getQueue = () => modules.syncQueue.getByUser(UID);
+  ctx.getLocal = (id) => storages.todo.getById(id);
+  ctx.waitForSync = () => waitFor(async () => expect(await ctx.getQueue()).toHaveLength(0));
+  return ctx;
+};
+
+let ctx = null;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  ctx?.view.unmount();
+  ctx = null;
+});
+
+describe('saveData / updateData / deleteData', () => {
+  it('saves locally and pushes a create to Firebase', async () => {
+    ctx = await setup();
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a', { title: '장보기' })));
+
+    expect(ctx.data.todos.map(item => item.id)).toEqual(['todo_a']);
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).toMatchObject({ title: '장보기', deleted: false });
+    expect(ctx.modules.notificationService.scheduleReminders).toHaveBeenCalledWith('todo', expect.objectContaining({ id: 'todo_a' }));
+  });
+
+  it('keeps a failed write in the queue and sends it on retry', async () => {
+    ctx = await setup();
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+
+    await waitFor(async () => expect((await ctx.getQueue())[0]).toMatchObject({ op: 'create', attempts: 1 }));
+    expect(await ctx.getLocal('todo_a')).not.toBeNull();
+    expect(ctx.services.todo.get('todo_a')).toBeNull();
+
+    ctx.services.todo.offline = false;
+    await act(() => ctx.data.retrySync());
+
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).not.toBeNull();
+  });
+
+  it('pushes an update with the changed fields stamped', async () => {
+    ctx = await setup({ remote: [todo('todo_a')] });
+
+    await act(() => ctx.data.updateData('todo', 'todo_a', { title: '수정' }));
+
+    await ctx.waitForSync();
+    const pushed = ctx.services.todo.get('todo_a');
+    expect(pushed.title).toBe('수정');
+    expect(pushed.fieldVersions.title).toEqual(expect.any(Number));
+    expect(pushed).not.toHaveProperty('baseVersions');
+  });
+
+  it('re-creates an item that was deleted remotely when it is updated', async () => {
+    ctx = await setup({ remote: [todo('todo_a')] });
+    await ctx.services.todo.delete(UID, 'todo_a');
+
+    await act(() => ctx.data.updateData('todo', 'todo_a', { title: '수정' }));
+
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).toMatchObject({ title: '수정', deleted: false });
+  });
+
+  it('deletes locally, leaves a tombstone and revokes progress', async () => {
+    ctx = await setup({ remote: [todo('todo_a')] });
+
+    await act(() => ctx.data.deleteData('todo', 'todo_a'));
+
+    expect(ctx.data.todos).toEqual([]);
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).toMatchObject({ deleted: true });
+    expect(ctx.modules.notificationService.cancelReminders).toHaveBeenCalledWith('todo_a');
+    expect(ctx.modules.userService.revokeAllItemProgress).toHaveBeenCalledWith(UID, 'todo_a');
+  });
+
+  it('drops a create and delete of the same item made offline', async () => {
+    ctx = await setup();
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+    await act(() => ctx.data.deleteData('todo', 'todo_a'));
+
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).toBeNull();
+  });
+});
+
+describe('paused queue (account deletion)', () => {
+  it('keeps changes in the queue while paused and sends them after resume', async () => {
+    ctx = await setup();
+    await ctx.modules.syncQueue.pause(UID);
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+    await act(() => ctx.data.retrySync());
+
+    expect(await ctx.getQueue()).toEqual([expect.objectContaining({ itemId: 'todo_a', attempts: 0 })]);
+    expect(ctx.services.todo.get('todo_a')).toBeNull();
+
+    ctx.modules.syncQueue.resume(UID);
+    await act(() => ctx.data.retrySync());
+
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).not.toBeNull();
+  });
+
+  it('waits for a write in flight before pausing', async () => {
+    ctx = await setup();
+    let finishWrite;
+    const create = ctx.services.todo.create.bind(ctx.services.todo);
+    ctx.services.todo.create = (...args) => new Promise(resolve => {
+      finishWrite = () => resolve(create(...args));
+    });
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+    await waitFor(() => expect(finishWrite).toBeDefined());
+
+    let paused = false;
+    const pausing = ctx.modules.syncQueue.pause(UID).then(() => { paused = true; });
+    await act(() => new Promise(resolve => setTimeout(resolve, 10)));
+    expect(paused).toBe(false);
+
+    await act(async () => {
+      finishWrite();
+      await pausing;
+    });
+    expect(ctx.services.todo.get('todo_a')).not.toBeNull();
+  });
+});
+
+describe('initial pull', () => {
+  it('loads remote items and removes local items missing from Firebase', async () => {
+    ctx = await setup({
+      local: [todo('todo_stale')],
+      remote: [todo('todo_a')],
+    });
+
+    await waitFor(() => expect(ctx.data.todos.map(item => item.id)).toEqual(['todo_a']));
+    expect(await ctx.getLocal('todo_stale')).toBeNull();
+  });
+
+  it('removes items that Firebase marked as deleted', async () => {
+    ctx = await setup({ remote: [todo('todo_a')] });
+
+    await act(() => ctx.services.todo.emit([{ id: 'todo_a', deleted: true, updatedAt: Date.now() }]));
+
+    expect(await ctx.getLocal('todo_a')).toBeNull();
+    expect(ctx.data.todos).toEqual([]);
+  });
+});
+
+describe('pending local changes', () => {
+  it('does not resurrect an item whose delete is still queued', async () => {
+    ctx = await setup({ remote: [todo('todo_a')] });
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.deleteData('todo', 'todo_a'));
+    await waitFor(async () => expect((await ctx.getQueue())[0]).toMatchObject({ op: 'delete', attempts: 1 }));
+
+    await act(() => ctx.services.todo.emit([todo('todo_a', { title: '다른 기기' })]));
+
+    expect(await ctx.getLocal('todo_a')).toBeNull();
+    expect(ctx.data.todos).toEqual([]);
+  });
+
+  it('keeps an item created offline when Firebase marks it deleted', async () => {
+    ctx = await setup();
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+    await waitFor(async () => expect((await ctx.getQueue())[0]).toMatchObject({ op: 'create', attempts: 1 }));
+
+    await act(() => ctx.services.todo.emit([{ id: 'todo_a', deleted: true, updatedAt: Date.now() }]));
+
+    expect(await ctx.getLocal('todo_a')).not.toBeNull();
+  });
+});
+
+describe('merging remote changes', () => {
+  it('merges a remote change of another field and re-queues the local change', async () => {
+    ctx = await setup({ remote: [todo('todo_a', { fieldVersions: { title: 1000 } })] });
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.updateData('todo', 'todo_a', { title: '내 변경' }));
+
+    await act(() => ctx.services.todo.emit([
+      todo('todo_a', { important: true, fieldVersions: { title: 1000, important: Date.now() } })
+    ]));
+
+    expect(await ctx.getLocal('todo_a')).toMatchObject({ title: '내 변경', important: true });
+    expect(ctx.data.conflicts).toEqual([]);
+
+    ctx.services.todo.offline = false;
+    await act(() => ctx.data.retrySync());
+
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).toMatchObject({ title: '내 변경', important: true });
+  });
+
+  it('keeps the later local value on a conflict and records it', async () => {
+    ctx = await setup({ remote: [todo('todo_a', { fieldVersions: { title: 1000 } })] });
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.updateData('todo', 'todo_a', { title: '내 변경' }));
+
+    await act(() => ctx.services.todo.emit([
+      todo('todo_a', { title: '다른 기기', fieldVersions: { title: 2000 } })
+    ]));
+
+    expect((await ctx.getLocal('todo_a')).title).toBe('내 변경');
+    expect(ctx.data.conflicts).toEqual([
+      expect.objectContaining({ itemId: 'todo_a', field: 'title', localValue: '내 변경', remoteValue: '다른 기기', winner: 'local' })
+    ]);
+  });
+
+  it('applies the later remote value on a conflict and lets the user pick the local one', async () => {
+    ctx = await setup({ remote: [todo('todo_a', { fieldVersions: { title: 1000 } })] });
+    ctx.services.todo.offline = true;
+
+    await act(() => ctx.data.updateData('todo', 'todo_a', { title: '내 변경 2' }));
+
+    // 다른 기기가 나중에 같은 필드를 수정
+    await act(() => ctx.services.todo.emit([
+      todo('todo_a', { title: '다른 기기', fieldVersions: { title: Date.now() + 60 * 1000 } })
+    ]));
+
+    expect((await ctx.getLocal('todo_a')).title).toBe('다른 기기');
+    const [conflict] = ctx.data.conflicts;
+    expect(conflict).toMatchObject({ field: 'title', localValue: '내 변경 2', winner: 'remote' });
+
+    await act(() => ctx.data.resolveConflict(conflict.id, 'local'));
+
+    expect(ctx.data.conflicts).toEqual([]);
+    expect((await ctx.getLocal('todo_a')).title).toBe('내 변경 2');
+  });
+});
+
+describe('storage failures', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('logs a queue read failure while flushing instead of rejecting', async () => {
+    ctx = await setup();
+    const getByUser = jest.spyOn(ctx.modules.syncQueue, 'getByUser').mockRejectedValue(new Error('storage failed'));
+
+    await act(() => ctx.data.retrySync());
+
+    expect(console.error).toHaveBeenCalledWith('[Data] Flush queue error:', expect.any(Error));
+    expect(console.error).toHaveBeenCalledWith('[Data] Refresh sync status error:', expect.any(Error));
+
+    // 저장소가 돌아오면 다시 전송
+    getByUser.mockRestore();
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+    await ctx.waitForSync();
+    expect(ctx.services.todo.get('todo_a')).not.toBeNull();
+  });
+
+  it('logs a queue read failure in a background flush instead of rejecting', async () => {
+    ctx = await setup();
+    const getByUser = ctx.modules.syncQueue.getByUser.bind(ctx.modules.syncQueue);
+    // 저장 직후 상태 갱신은 성공하고, 이어지는 백그라운드 전송부터 실패
+    jest.spyOn(ctx.modules.syncQueue, 'getByUser')
+      .mockImplementationOnce(getByUser)
+      .mockRejectedValue(new Error('storage failed'));
+
+    await act(() => ctx.data.saveData('todo', todo('todo_a')));
+
+    await waitFor(() => expect(console.error).toHaveBeenCalledWith('[Data] Refresh sync status error:', expect.any(Error)));
+    expect(console.error).toHaveBeenCalledWith('[Data] Flush queue error:', expect.any(Error));
+  });
+
+  it('starts the realtime listeners when the high-water marks cannot be read', async () => {
+    ctx = await setup({
+      remote: [todo('todo_a')],
+      prepare: (modules) => {
+        jest.spyOn(modules.syncState, 'getHighWaterMark').mockRejectedValue(new Error('storage failed'));
+      },
+    });
+
+    expect(console.error).toHaveBeenCalledWith('[Data] Read high-water marks error:', expect.any(Error));
+
+    await act(() => ctx.services.todo.emit([todo('todo_b')]));
+    expect(await ctx.getLocal('todo_b')).not.toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+// DataProvider에 넣을 메모리 저장소와 가짜 모듈
+import MemoryDatabase from '../../../src/core/storage/memoryDatabase';
+import { TodoStorage } from '../../../src/core/storage/todoStorage';
+import { RoutineStorage } from '../../../src/core/storage/routineStorage';
+import { RecordStorage } from '../../../src/core/storage/recordStorage';
+import { TagStorage } from '../../../src/core/storage/tagStorage';
+import { SyncQueue } from '../../../src/core/storage/syncQueue';
+import { SyncState } from '../../../src/core/storage/syncState';
+
+export const createStorages = (db) => ({
+  todo: new TodoStorage(db),
+  routine: new RoutineStorage(db),
+  record: new RecordStorage(db),
+  tag: new TagStorage(db),
+});
+
+/**
+ * DataProvider의 modules (대기열/기준점은 실제 구현, 기기/Firebase가 필요한 모듈은 가짜)
+ */
+export const createModules = (db) => ({
+  database: db,
+  syncQueue: new SyncQueue(),
+  syncState: new SyncState(),
+  notificationService: {
+    initialize: jest.fn(async () => {}),
+    syncReminders: jest.fn(async () => {}),
+    scheduleReminders: jest.fn(async () => {}),
+    cancelReminders: jest.fn(async () => {}),
+  },
+  idMigration: {
+    migrateLocal: jest.fn(async () => ({})),
+    isRemoteMigrated: jest.fn(async () => true),
+    markRemoteMigrated: jest.fn(async () => {}),
+  },
+  schemaMigration: {
+    run: jest.fn(async () => ({})),
+  },
+  idMigrationService: {
+    migrateUser: jest.fn(async () => {}),
+  },
+  userService: {
+    getExpEventId: jest.fn((type, itemId, date = null) => date ? `${type}_${itemId}@${date}` : `${type}_${itemId}`),
+    grantItemProgress: jest.fn(async () => null),
+    revokeItemProgress: jest.fn(async () => {}),
+    revokeAllItemProgress: jest.fn(async () => {}),
+  },
+  guestData: {
+    mergeIntoCurrent: jest.fn(async () => null),
+    clear: jest.fn(async () => {}),
+  },
+});
+
+export { MemoryDatabase };
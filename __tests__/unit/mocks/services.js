@@ -0,0 +1,103 @@
+// 가짜 Firebase 서비스 (todoService 등과 같은 메서드, 문서는 메모리에 저장)
+
+// 종류별 실시간 구독 메서드 이름
+const SUBSCRIBE_METHODS = {
+  todo: 'subscribeTodos',
+  routine: 'subscribeRoutines',
+  record: 'subscribeRecords',
+  tag: 'subscribeTags',
+};
+
+const copy = (item) => JSON.parse(JSON.stringify(item));
+
+// 문서 updatedAt (ms, 같은 밀리초에 여러 번 써도 늘어나도록)
+let lastTime = 0;
+const nextTime = () => {
+  lastTime = Math.max(Date.now(), lastTime + 1);
+  return lastTime;
+};
+
+export class FakeService {
+  constructor(type) {
+    this.type = type;
+    // { [id]: 문서 } (삭제하면 { id, deleted: true } 표시만 남김)
+    this.docs = new Map();
+    this.listeners = new Set();
+    // true면 모든 요청이 실패 (오프라인)
+    this.offline = false;
+
+    this[SUBSCRIBE_METHODS[type]] = (userId, callback) => {
+      this.listeners.add(callback);
+      return () => this.listeners.delete(callback);
+    };
+  }
+
+  getId(data) {
+    return this.type === 'record' ? (data.date || data.id) : data.id;
+  }
+
+  checkOnline() {
+    if (this.offline) {
+      throw new Error('Network request failed');
+    }
+  }
+
+  /**
+   * 테스트 준비용 문서 저장 (updatedAt이 없으면 현재 시각)
+   */
+  seed(items) {
+    items.forEach(item => {
+      this.docs.set(this.getId(item), copy({ updatedAt: nextTime(), ...item }));
+    });
+  }
+
+  get(id) {
+    return this.docs.get(id) || null;
+  }
+
+  async getAllByUser() {
+    this.checkOnline();
+    return [...this.docs.values()].map(copy);
+  }
+
+  async getChangedSince(userId, since) {
+    this.checkOnline();
+    return [...this.docs.values()].filter(item => item.updatedAt > since).map(copy);
+  }
+
+  async create(userId, data) {
+    this.checkOnline();
+    const id = this.getId(data);
+    this.docs.set(id, copy({ ...data, id, deleted: false, updatedAt: nextTime() }));
+  }
+
+  async update(userId, data) {
+    this.checkOnline();
+    const id = this.getId(data);
+    const existing = this.docs.get(id);
+    if (!existing || existing.deleted) {
+      throw new Error(`${this.type} not found`);
+    }
+    this.docs.set(id, copy({ ...existing, ...data, updatedAt: nextTime() }));
+  }
+
+  async delete(userId, id) {
+    this.checkOnline();
+    this.docs.set(id, { id, deleted: true, updatedAt: nextTime() });
+  }
+
+  /**
+   * 실시간 구독 스냅샷 전달 (다른 기기에서 바뀐 문서)
+   */
+  async emit(items) {
+    const snapshot = items.map(copy);
+    await Promise.all([...this.listeners].map(callback => callback(snapshot)));
+  }
+}
+
+export const createServices = () => ({
+  todo: new FakeService('todo'),
+  routine: new FakeService('routine'),
+  record: new FakeService('record'),
+  tag: new FakeService('tag'),
+});
@@ -0,0 +1,23 @@
+// 단위 테스트 공통 설정 (네이티브 모듈과 Firebase 연결 없이 실행)
+
+// Firebase 서비스는 가짜로 주입하므로 SDK와 프로젝트 설정은 불러오지 않음
+jest.mock('../../src/core/firebase/config', () => ({ auth: {}, db: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('firebase/auth', () => ({}));
+
+// 로컬 데이터베이스는 MemoryDatabase를 주입하므로 SQLite는 열지 않음
+jest.mock('expo-sqlite', () => ({}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+
+// 동기화 로그는 생략 (실패 원인은 console.error로 확인)
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
@@ -0,0 +1,53 @@
+import { renderHook, act, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import useInitialRoute from '../../src/navigation/useInitialRoute';
+import guestData from '../../src/core/storage/guestData';
+
+// 저장된 로그인 상태는 테스트에서 직접 전달
+let mockAuthListener = null;
+jest.mock('../../src/core/firebase/authService', () => ({
+  onAuthStateChanged: jest.fn((callback) => {
+    mockAuthListener = callback;
+    return () => {};
+  }),
+}));
+
+jest.mock('../../src/core/storage/database', () => {
+  const MemoryDatabase = require('../../src/core/storage/memoryDatabase').default;
+  const { GUEST_NAMESPACE } = require('../../src/core/storage/tables');
+  return { __esModule: true, default: new MemoryDatabase(), GUEST_NAMESPACE };
+});
+
+const renderInitialRoute = async (firebaseUser) => {
+  const { result } = renderHook(() => useInitialRoute());
+  expect(result.current).toBeNull();
+
+  await act(() => mockAuthListener(firebaseUser));
+  await waitFor(() => expect(result.current).not.toBeNull());
+  return result.current;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('useInitialRoute', () => {
+  it('opens InitialScreen for a new device', async () => {
+    expect(await renderInitialRoute(null)).toBe('InitialScreen');
+  });
+
+  it('opens Main for a signed-in user', async () => {
+    expect(await renderInitialRoute({ uid: 'user1', emailVerified: true })).toBe('Main');
+  });
+
+  it('opens Main after the user chose to start without signing in', async () => {
+    await guestData.startGuestMode();
+    expect(await renderInitialRoute(null)).toBe('Main');
+  });
+
+  it('opens InitialScreen again once the guest data is merged into an account', async () => {
+    await guestData.startGuestMode();
+    await guestData.clear();
+    expect(await renderInitialRoute(null)).toBe('InitialScreen');
+  });
+});
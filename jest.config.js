@@ -0,0 +1,25 @@
+/**
+ * Jest 설정
+ * - unit: 기기/Firebase 없이 실행하는 테스트 (DataProvider에 메모리 저장소와 가짜 서비스를 넣어 실행)
+ * - emulator: Firebase 서비스 레이어 테스트 (Firebase Local Emulator Suite 사용, npm run test:emulator)
+ *   에뮬레이터 주소가 없으면(npm test) 에뮬레이터가 필요한 테스트는 건너뜀
+ */
+module.exports = {
+  projects: [
+    {
+      displayName: 'unit',
+      preset: 'jest-expo',
+      testMatch: ['<rootDir>/__tests__/unit/**/*.test.js'],
+      setupFilesAfterEnv: ['<rootDir>/__tests__/unit/setup.js'],
+    },
+    {
+      displayName: 'emulator',
+      testEnvironment: 'node',
+      testMatch: ['<rootDir>/__tests__/emulator/**/*.test.js'],
+      transform: {
+        '\\.[jt]sx?$': ['babel-jest', { presets: ['babel-preset-expo'] }],
+      },
+      setupFilesAfterEnv: ['<rootDir>/__tests__/emulator/setup.js'],
+    },
+  ],
+};
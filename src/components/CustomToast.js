@@ -1,5 +1,6 @@
 import React from 'react';
 import { View, StyleSheet } from 'react-native';
+import Toast from 'react-native-toast-message';
 import { NoScaleText } from './NoScaleText';
 
 export const toastConfig = {
@@ -16,6 +17,26 @@ export const toastConfig = {
       <NoScaleText style={styles.desc}>{text2}</NoScaleText>
     </View>
   ),
+
+  levelUp: ({ text1, text2 }) => (
+    <View style={styles.levelUp}>
+      <NoScaleText style={styles.title}>{text1}</NoScaleText>
+      <NoScaleText style={styles.desc}>{text2}</NoScaleText>
+    </View>
+  ),
+};
+
+// 경험치 추가 결과(userService)에 레벨업이 있으면 토스트 표시
+export const showLevelUpToast = (progress) => {
+  if (!progress?.leveledUp) return;
+
+  Toast.show({
+    type: 'levelUp',
+    text1: 'LEVEL UP!',
+    text2: `레벨 ${progress.level}을 달성했어요.`,
+    position: 'bottom',
+    visibilityTime: 2500,
+  });
 };
 
 const styles = StyleSheet.create({
@@ -33,6 +54,13 @@ const styles = StyleSheet.create({
     borderRadius: 60,
     opacity: 0.8
   },
+  levelUp: {
+    width: '90%',
+    backgroundColor: '#3A9CFF',
+    padding: 14,
+    borderRadius: 60,
+    opacity: 0.9
+  },
   title: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { View, Modal, TouchableOpacity, StyleSheet, KeyboardAvoidingView, Platform, ActivityIndicator } from 'react-native';
+import { NoScaleText, NoScaleTextInput } from './NoScaleText';
+
+/**
+ * 다시 인증 비밀번호 입력창 (ReauthProvider가 표시)
+ * - onSubmit(password): 다시 인증 시도 (실패하면 error로 메시지 표시, 창은 유지)
+ * - onCancel: 취소 (원래 작업도 취소)
+ */
+export default function ReauthPrompt({ visible, error, submitting, onSubmit, onCancel }) {
+  const [password, setPassword] = useState('');
+
+  // 열 때마다 입력 초기화
+  useEffect(() => {
+    if (visible) setPassword('');
+  }, [visible]);
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onCancel}
+      statusBarTranslucent={true}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.overlay}
+      >
+        <View style={styles.content}>
+          <NoScaleText style={styles.title}>비밀번호 확인</NoScaleText>
+          <NoScaleText style={styles.description}>
+            보안을 위해 현재 비밀번호를 다시 입력해주세요.
+          </NoScaleText>
+
+          <NoScaleTextInput
+            style={styles.input}
+            placeholder="password"
+            placeholderTextColor="#bbb"
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry={true}
+            autoCapitalize="none"
+            autoFocus={true}
+            editable={!submitting}
+          />
+          {error ? <NoScaleText style={styles.error}>{error}</NoScaleText> : null}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              disabled={submitting}
+              onPress={onCancel}
+            >
+              <NoScaleText style={styles.cancelText}>취소</NoScaleText>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, (!password || submitting) && styles.buttonDisabled]}
+              disabled={!password || submitting}
+              onPress={() => onSubmit(password)}
+            >
+              {submitting
+                ? <ActivityIndicator color="#fff" />
+                : <NoScaleText style={styles.buttonText}>확인</NoScaleText>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  content: {
+    width: '85%',
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 25,
+    paddingVertical: 25,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  description: {
+    color: '#6D6D6D',
+    marginBottom: 20,
+  },
+  input: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#ccc',
+    height: 40,
+    fontSize: 14,
+    color: '#333',
+  },
+  error: {
+    color: '#FF5A5A',
+    marginTop: 10,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 25,
+  },
+  button: {
+    backgroundColor: '#3A9CFF',
+    paddingVertical: 10,
+    borderRadius: 60,
+    alignItems: 'center',
+    width: 80,
+    marginLeft: 10,
+  },
+  cancelButton: {
+    backgroundColor: '#edededff',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  cancelText: {
+    color: '#333',
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,134 @@
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { NoScaleText } from './NoScaleText';
+import { useData } from '../core/context/dataContext';
+
+const TYPE_LABELS = {
+  todo: 'Todo',
+  routine: '루틴',
+  record: '일기',
+  tag: '태그',
+};
+
+const FIELD_LABELS = {
+  title: '제목',
+  name: '이름',
+  date: '날짜',
+  time: '시간',
+  completed: '완료 여부',
+  important: '중요 표시',
+  remind: '알림',
+  repeated: '반복',
+  tag: '태그',
+  subs: '세부 항목',
+  completions: '완료 기록',
+  content: '내용',
+  mood: '기분',
+};
+
+// 충돌한 값을 짧은 문구로 표시
+const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '없음';
+  if (typeof value === 'boolean') return value ? '예' : '아니오';
+  if (field === 'subs') return `${value.title}${value.completed ? ' (완료)' : ''}`;
+  if (field === 'completions') return value.completed ? '완료' : '미완료';
+  if (field === 'repeated') return (value.days || []).join(', ') || '없음';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// 다른 기기와 같은 필드를 동시에 수정한 항목 표시 (없으면 숨김)
+export default function SyncConflictList() {
+  const { conflicts, resolveConflict } = useData();
+
+  if (conflicts.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {conflicts.map(conflict => (
+        <View key={conflict.id} style={styles.item}>
+          <View style={styles.header}>
+            <Ionicons name="git-compare-outline" size={14} color="#FF8A00"/>
+            <NoScaleText style={styles.title} numberOfLines={1}>
+              {`${TYPE_LABELS[conflict.type] || ''} '${conflict.title}'의 ${FIELD_LABELS[conflict.field] || conflict.field}을(를) 다른 기기에서도 수정했어요`}
+            </NoScaleText>
+          </View>
+
+          <View style={styles.options}>
+            <TouchableOpacity
+              style={[styles.option, conflict.winner === 'local' && styles.selected]}
+              onPress={() => resolveConflict(conflict.id, 'local')}
+            >
+              <NoScaleText style={styles.optionLabel}>이 기기</NoScaleText>
+              <NoScaleText style={styles.optionValue} numberOfLines={2}>
+                {formatValue(conflict.field, conflict.localValue)}
+              </NoScaleText>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.option, conflict.winner === 'remote' && styles.selected]}
+              onPress={() => resolveConflict(conflict.id, 'remote')}
+            >
+              <NoScaleText style={styles.optionLabel}>다른 기기</NoScaleText>
+              <NoScaleText style={styles.optionValue} numberOfLines={2}>
+                {formatValue(conflict.field, conflict.remoteValue)}
+              </NoScaleText>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  item: {
+    backgroundColor: '#FFF7EC',
+    borderRadius: 15,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 11,
+    color: '#FF8A00',
+    marginLeft: 6,
+  },
+  options: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  option: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#FFFFFF',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    marginHorizontal: 2,
+  },
+  selected: {
+    borderColor: '#FF8A00',
+  },
+  optionLabel: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#FF8A00',
+  },
+  optionValue: {
+    fontSize: 11,
+    color: '#333',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { NoScaleText } from './NoScaleText';
+import { useData } from '../core/context/dataContext';
+
+// 아직 Firebase에 반영되지 않은 변경사항 표시 (없으면 숨김)
+export default function SyncStatusBar() {
+  const { syncStatus, retrySync } = useData();
+  const { pendingCount, failedItems } = syncStatus;
+
+  if (pendingCount === 0) return null;
+
+  const hasFailed = failedItems.length > 0;
+
+  return (
+    <View style={[styles.bar, hasFailed && styles.failedBar]}>
+      <Ionicons
+        name={hasFailed ? 'cloud-offline-outline' : 'cloud-upload-outline'}
+        size={14}
+        color={hasFailed ? '#E50000' : '#3A9CFF'}
+      />
+      <NoScaleText style={[styles.text, hasFailed && styles.failedText]}>
+        {hasFailed
+          ? `동기화되지 않은 변경 ${pendingCount}건 (연결되면 자동으로 다시 시도해요)`
+          : `변경사항 ${pendingCount}건 동기화 중...`}
+      </NoScaleText>
+
+      {hasFailed && (
+        <TouchableOpacity onPress={retrySync}>
+          <NoScaleText style={styles.retry}>다시 시도</NoScaleText>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F2F8FF',
+    borderRadius: 15,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  failedBar: {
+    backgroundColor: '#FFF2F2',
+  },
+  text: {
+    flex: 1,
+    fontSize: 11,
+    color: '#3A9CFF',
+    marginLeft: 6,
+  },
+  failedText: {
+    color: '#E50000',
+  },
+  retry: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#E50000',
+    marginLeft: 8,
+  },
+});
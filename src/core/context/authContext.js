@@ -1,9 +1,32 @@
 import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
 import authService from '../firebase/authService';
 import sessionManager from '../firebase/sessionManager';
+import userService from '../firebase/userService';
+import database from '../storage/database';
+import syncState from '../storage/syncState';
+import syncQueue from '../storage/syncQueue';
+import guestData from '../storage/guestData';
 
 const AuthContext = createContext();
 
+/**
+ * 이 기기에 남은 계정의 로컬 데이터(항목, 동기화 기준점) 삭제
+ * dropQueue면 보내지 못한 변경(syncQueue)도 버림 (전송 중인 변경이 끝날 때까지 기다린 뒤)
+ */
+const clearLocalData = async (uid, { dropQueue = false } = {}) => {
+  if (dropQueue) {
+    await syncQueue.pause(uid);
+    try {
+      await syncQueue.clear(uid);
+    } finally {
+      syncQueue.resume(uid);
+    }
+  }
+  await database.deleteNamespace(uid);
+  await syncState.clear(uid);
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -11,6 +34,19 @@ export const AuthProvider = ({ children }) => {
   const isSigningUp = useRef(false); // 회원가입 중 플래그 추가
 
   useEffect(() => {
+    // 다른 기기에서 이 기기를 로그아웃시킨 경우 (원격 로그아웃, 단일 기기 모드)
+    // 로그아웃과 같이 로컬 데이터를 지우고, 이 기기에서 더 이상 쓸 수 없는 계정이므로 보내지 못한 변경도 버림
+    sessionManager.setOnSessionEnded(async (uid) => {
+      Alert.alert('로그아웃', '다른 기기에서 이 기기를 로그아웃해 현재 세션이 종료됩니다.');
+      if (!uid) return;
+
+      try {
+        await clearLocalData(uid, { dropQueue: true });
+      } catch (error) {
+        console.error('[Auth] Local data cleanup failed:', error);
+      }
+    });
+
     // 인증 상태 변경 리스너
     const unsubscribe = authService.onAuthStateChanged(async (firebaseUser) => {
       // 로그아웃 중이거나 회원가입 중이면 처리 스킵
@@ -37,8 +73,13 @@ export const AuthProvider = ({ children }) => {
           email: firebaseUser.email,
           nickname: firebaseUser.displayName
         });
+
+        // 이메일 변경 인증을 마쳤으면 Firestore 이메일도 변경 (친구 검색용)
+        userService.syncEmail(firebaseUser.uid, firebaseUser.email).catch(error => {
+          console.error('[Auth] Email sync failed:', error);
+        });
         
-        // 세션 시작 (단일 기기만 허용)
+        // 세션 시작 (단일 기기 모드면 다른 기기 로그아웃)
         try {
           await sessionManager.startSession(firebaseUser.uid);
         } catch (error) {
@@ -67,6 +108,7 @@ export const AuthProvider = ({ children }) => {
 
     return () => {
       unsubscribe();
+      sessionManager.setOnSessionEnded(null);
     };
   }, []);
 
@@ -134,7 +176,7 @@ export const AuthProvider = ({ children }) => {
       const userData = await authService.signIn(email, password);
       setUser(userData);
       
-      // 세션 시작 (기존 세션 강제 종료)
+      // 세션 시작 (단일 기기 모드면 다른 기기 로그아웃)
       await sessionManager.startSession(userData.uid);
       
       return userData;
@@ -145,10 +187,13 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * 로그아웃
+   * 이 기기에 남은 계정의 로컬 데이터(항목, 동기화 기준점)도 삭제
+   * 아직 보내지 못한 변경(syncQueue)은 계정별로 남겨두었다가 다음 로그인 때 전송
    */
   const logOut = async () => {
     try {
       isLoggingOut.current = true;
+      const uid = user?.uid;
       
       // 세션 종료
       if (user) {
@@ -157,10 +202,76 @@ export const AuthProvider = ({ children }) => {
       
       await authService.logOut();
       setUser(null);
+
+      // 다음 실행 때도 InitialScreen부터
+      await guestData.endGuestMode();
+      if (uid) {
+        await clearLocalData(uid);
+      }
+    } catch (error) {
+      isLoggingOut.current = false;
+      throw error;
+    }
+  };
+
+  /**
+   * 비밀번호 변경 (최근 로그인이 필요 → useReauth의 withRecentLogin으로 호출)
+   */
+  const changePassword = async (newPassword) => {
+    await authService.changePassword(newPassword);
+  };
+
+  /**
+   * 이메일 변경 요청 (최근 로그인이 필요 → withRecentLogin으로 호출)
+   */
+  const requestEmailChange = async (newEmail) => {
+    await authService.requestEmailChange(newEmail);
+  };
+
+  /**
+   * 이메일 변경 인증 확인 (바뀌었으면 user.email도 갱신)
+   */
+  const checkEmailChange = async () => {
+    const email = await authService.checkEmailChange();
+    if (email) {
+      setUser(prevUser => ({ ...prevUser, email }));
+    }
+    return email;
+  };
+
+  /**
+   * 계정 삭제 (다시 인증한 직후에 호출 → withRecentLogin(deleteAccount, { force: true }))
+   * Firestore 데이터와 Auth 사용자를 삭제하고,
+   * 이 기기의 로컬 데이터(항목, 동기화 기준점, 보내지 못한 변경)도 모두 삭제
+   */
+  const deleteAccount = async () => {
+    const uid = user?.uid;
+    if (!uid) throw new Error('로그인이 필요합니다.');
+
+    try {
+      isLoggingOut.current = true;
+      // 보내지 못한 변경이 삭제 중에 문서를 다시 만들지 않도록 전송을 멈춤 (전송 중인 변경은 끝날 때까지 대기)
+      await syncQueue.pause(uid);
+      await sessionManager.endSession(uid);
+      await authService.deleteAccount();
+      setUser(null);
     } catch (error) {
+      // 삭제에 실패하면 계정은 그대로 → 보내지 못한 변경은 남겨 두고 전송과 세션 다시 시작
       isLoggingOut.current = false;
+      syncQueue.resume(uid);
+      await sessionManager.startSession(uid).catch(sessionError => {
+        console.error('[Auth] Session restart failed:', sessionError);
+      });
       throw error;
     }
+
+    await guestData.endGuestMode();
+
+    // 삭제가 끝난 뒤에만 보내지 못한 변경을 버림
+    await syncQueue.clear(uid);
+    syncQueue.resume(uid);
+    await database.deleteNamespace(uid);
+    await syncState.clear(uid);
   };
 
   /**
@@ -199,6 +310,10 @@ export const AuthProvider = ({ children }) => {
     completeSignUp,
     signIn,
     logOut,
+    changePassword,
+    requestEmailChange,
+    checkEmailChange,
+    deleteAccount,
     resetPassword,
     updateNickname,
   };
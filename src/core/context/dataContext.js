@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
 import { useAuth } from './authContext';
 import todoStorage from '../storage/todoStorage';
 import routineStorage from '../storage/routineStorage';
@@ -9,11 +10,88 @@ import todoService from '../firebase/todoService';
 import routineService from '../firebase/routineService';
 import recordService from '../firebase/recordService';
 import tagService from '../firebase/tagService';
-// import notificationService from '../storage/notificationService';
+import notificationService from '../storage/notificationService';
+import userService from '../firebase/userService';
+import syncQueue from '../storage/syncQueue';
+import syncState from '../storage/syncState';
+import database from '../storage/database';
+import guestData from '../storage/guestData';
+import idMigration from '../storage/idMigration';
+import schemaMigration from '../storage/schemaMigration';
+import idMigrationService from '../firebase/idMigrationService';
+import { toMillis, getTodayString } from '../utils/dateUtils';
+import { setPathValue, toRemoteItem } from '../utils/merge';
+import { ID_PREFIX, createId, isLegacyId, getMigratedId } from '../utils/idUtils';
+import { migrateItem } from '../utils/schema';
 
 const DataContext = createContext(null);
 
-export const DataProvider = ({ children }) => {
+// 종류별 로컬 저장소 / Firebase 서비스
+const STORAGES = {
+  todo: todoStorage,
+  routine: routineStorage,
+  record: recordStorage,
+  tag: tagStorage
+};
+
+const SERVICES = {
+  todo: todoService,
+  routine: routineService,
+  record: recordService,
+  tag: tagService
+};
+
+// 동기화에 쓰는 그 밖의 모듈 (로컬 데이터베이스, 대기열, 알림, 마이그레이션 등)
+const MODULES = {
+  database,
+  syncQueue,
+  syncState,
+  notificationService,
+  idMigration,
+  schemaMigration,
+  idMigrationService,
+  userService,
+  guestData
+};
+
+// 경험치 지급/회수 대기열 항목의 종류
+const PROGRESS_TYPE = 'progress';
+
+// 대기열 항목 하나의 전송 제한 시간
+// Firestore 쓰기는 오프라인이면 실패하지 않고 연결될 때까지 기다리므로, 시간이 지나면 실패로 보고 백오프
+const WRITE_TIMEOUT_MS = 15 * 1000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Firebase write timed out (offline?)')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// 컬렉션별 증분 동기화 기준점 { todo, routine, record, tag } (없으면 null)
+const getHighWaterMarks = async (syncState, uid, types) => {
+  const marks = await Promise.all(types.map(type => syncState.getHighWaterMark(uid, type)));
+  return Object.fromEntries(types.map((type, i) => [type, marks[i]]));
+};
+
+/**
+ * storages / services: 종류별 로컬 저장소 / Firebase 서비스 (기본은 실제 구현)
+ * modules: MODULES와 같은 모양의 그 밖의 모듈
+ * 기기 없이 실행할 때 MemoryDatabase를 넣은 *Storage, 가짜 서비스/모듈로 바꿔 사용
+ */
+export const DataProvider = ({ children, storages = STORAGES, services = SERVICES, modules = MODULES }) => {
+  const {
+    database,
+    syncQueue,
+    syncState,
+    notificationService,
+    idMigration,
+    schemaMigration,
+    idMigrationService,
+    userService,
+    guestData
+  } = modules;
   const { user, loading: authLoading } = useAuth();
   const [todos, setTodos] = useState([]);
   const [routines, setRoutines] = useState([]);
@@ -21,6 +99,9 @@ export const DataProvider = ({ children }) => {
   const [tags, setTags] = useState([]);
   const [syncing, setSyncing] = useState(false);
 
+  // 다른 기기와 같은 필드를 동시에 수정한 항목 (사용자가 선택할 때까지 표시)
+  const [conflicts, setConflicts] = useState([]);
+
   // 동기화 상태 관리
   const [syncStatus, setSyncStatus] = useState({
     lastSyncTime: null,
@@ -28,10 +109,25 @@ export const DataProvider = ({ children }) => {
     failedItems: []
   });
 
-  // 낙관적 업데이트 ID 저장 (중복 반영 방지)
-  // 로컬에서 변경 중인 항목 추적 (실시간 구독과 충돌 방지)
+  // 현재 계정의 로컬 데이터 준비 (네임스페이스 전환, ID 이전이 끝날 때까지 동기화 대기)
+  const localReady = useRef(Promise.resolve());
+
+  // 로컬에서 변경 중인 항목 추적 (대기열에 들어가기 전까지, 실시간 구독과 충돌 방지)
   const pendingLocalChanges = useRef(new Set());
 
+  // 대기열에 남아 있는 항목 ID (Firebase에 반영되기 전까지 원격 데이터와 필드 단위로 병합)
+  const queuedIds = useRef(new Set());
+
+  // 대기열 전송 상태
+  const flushing = useRef(false);
+  const flushRequested = useRef(false);
+  const retryTimer = useRef(null);
+
+  // 원격 데이터로 덮어쓰거나 삭제하면 안 되는 항목인지
+  const isPending = useCallback((id) => {
+    return pendingLocalChanges.current.has(id) || queuedIds.current.has(id);
+  }, []);
+
   // Firebase 실시간 구독 unsubscribe 함수들
   const unsubscribes = useRef({
     todos: null,
@@ -44,10 +140,10 @@ export const DataProvider = ({ children }) => {
   const loadLocalData = useCallback(async () => {
     try {
       const [todoList, routineList, recordList, tagList] = await Promise.all([
-        todoStorage.getAll(),
-        routineStorage.getAll(),
-        recordStorage.getAll(),
-        tagStorage.getAll()
+        storages.todo.getAll(),
+        storages.routine.getAll(),
+        storages.record.getAll(),
+        storages.tag.getAll()
       ]);
 
       setTodos(todoList || []);
@@ -64,156 +160,443 @@ export const DataProvider = ({ children }) => {
     } catch (error) {
       console.error('[Data] Load local data error:', error);
     }
-  }, []);
+  }, [storages]);
+
+  // 알림 예약 동기화 (todo, routine만 해당, 실패해도 데이터 처리는 계속)
+  const syncReminders = useCallback(async (type, items) => {
+    if (type !== 'todo' && type !== 'routine') return;
+    try {
+      await notificationService.syncReminders(type, items);
+    } catch (error) {
+      console.error(`[Data] Sync ${type} reminders error:`, error);
+    }
+  }, [notificationService]);
+
+  const scheduleReminders = useCallback(async (type, item) => {
+    if ((type !== 'todo' && type !== 'routine') || !item) return;
+    try {
+      await notificationService.scheduleReminders(type, item);
+    } catch (error) {
+      console.error(`[Data] Schedule ${type} reminders error:`, error);
+    }
+  }, [notificationService]);
 
-  // 앱 시작 시 로컬 데이터 로드
+  // 앱 시작 시 알림 설정
   useEffect(() => {
-    loadLocalData();
-  }, [loadLocalData]);
+    notificationService.initialize().catch(error => {
+      console.error('[Data] Notification initialize error:', error);
+    });
+  }, [notificationService]);
+
+  // 인증 상태가 정해지면 그 계정의 로컬 데이터 로드 및 알림 예약 확인
+  // 계정마다 로컬 데이터를 따로 저장 (로그인하지 않은 상태는 guest)
+  const uid = user?.uid || null;
+  useEffect(() => {
+    if (authLoading) return;
+
+    const activate = async () => {
+      // 이전 계정의 데이터가 보이지 않도록 먼저 비움
+      setTodos([]);
+      setRoutines([]);
+      setRecords([]);
+      setTags([]);
+      setConflicts([]);
+
+      await database.use(uid);
+
+      // 예전 형식 ID를 새 ID로 (데이터베이스마다 한 번)
+      try {
+        await idMigration.migrateLocal();
+      } catch (error) {
+        console.error('[Data] Local ID migration error:', error);
+      }
+
+      // 저장된 항목을 현재 schema 버전 모양으로
+      try {
+        await schemaMigration.run();
+      } catch (error) {
+        console.error('[Data] Schema migration error:', error);
+      }
+
+      await loadLocalData();
+
+      // 다른 계정의 항목 알림은 취소되고 이 계정의 알림만 예약
+      await syncReminders('todo', await storages.todo.getAll());
+      await syncReminders('routine', await storages.routine.getAll());
+    };
+
+    localReady.current = activate().catch(error => {
+      console.error('[Data] Activate local data error:', error);
+    });
+  }, [uid, authLoading, storages, database, idMigration, schemaMigration, loadLocalData, syncReminders]);
+
+  // 대기열 상태를 syncStatus / queuedIds에 반영하고, 남은 항목의 재시도 예약
+  const refreshSyncStatus = useCallback(async () => {
+    const entries = user ? await syncQueue.getByUser(user.uid) : [];
+
+    queuedIds.current = new Set(entries.map(entry => entry.itemId));
+
+    setSyncStatus(prev => ({
+      ...prev,
+      pendingCount: entries.length,
+      failedItems: entries
+        .filter(entry => entry.attempts > 0)
+        .map(entry => ({
+          id: entry.itemId,
+          type: entry.type,
+          op: entry.op,
+          error: entry.lastError,
+          attempts: entry.attempts,
+          nextAttemptAt: entry.nextAttemptAt
+        }))
+    }));
+
+    return entries;
+  }, [user, syncQueue]);
+
+  // 대기열 항목 하나를 Firebase에 반영
+  const runOperation = useCallback(async (uid, entry) => {
+    // 오프라인에서 완료/완료 취소한 항목의 경험치 지급/회수
+    if (entry.type === PROGRESS_TYPE) {
+      if (entry.op === 'grant') {
+        await userService.grantItemProgress(uid, entry.data);
+      } else {
+        await userService.revokeItemProgress(uid, entry.data);
+      }
+      return;
+    }
+
+    const service = services[entry.type];
+    const data = toRemoteItem(entry.data);
+
+    if (entry.op === 'delete') {
+      await service.delete(uid, entry.itemId);
+
+      // 삭제한 항목으로 받은 경험치/통계 회수
+      if (entry.type !== 'tag') {
+        await userService.revokeAllItemProgress(uid, entry.itemId)
+          .catch(error => console.error('[Data] Revoke progress error:', error));
+      }
+      return;
+    }
+
+    if (entry.op === 'create') {
+      await service.create(uid, data);
+      return;
+    }
+
+    try {
+      await service.update(uid, data);
+    } catch (error) {
+      // 원격에 없는 항목(다른 기기에서 삭제 등)은 로컬 변경으로 다시 생성
+      if (/not found/i.test(error.message)) {
+        await service.create(uid, data);
+        return;
+      }
+      throw error;
+    }
+  }, [services, userService]);
+
+  // 대기열 전송 (순서대로, 실패한 항목은 백오프 후 재시도)
+  const flushQueue = useCallback(async () => {
+    // 계정 삭제 중에는 보내지 않음 (삭제한 문서를 다시 만들지 않도록)
+    if (!user || syncQueue.isPaused(user.uid)) return;
+
+    // 전송 중이면 끝난 뒤 한 번 더 실행
+    if (flushing.current) {
+      flushRequested.current = true;
+      return;
+    }
+
+    flushing.current = true;
+    if (retryTimer.current) {
+      clearTimeout(retryTimer.current);
+      retryTimer.current = null;
+    }
+
+    try {
+      do {
+        flushRequested.current = false;
+        const entries = await syncQueue.getByUser(user.uid);
+        const now = Date.now();
+
+        for (const queued of entries) {
+          if (queued.nextAttemptAt > now) continue;
+
+          // 전송 중으로 표시한 최신 항목을 보냄 (그 사이 상쇄된 항목은 건너뜀)
+          const entry = await syncQueue.begin(queued);
+          if (!entry) continue;
+
+          try {
+            await withTimeout(runOperation(user.uid, entry), WRITE_TIMEOUT_MS);
+            await syncQueue.remove(entry);
+
+            console.log(`✅ ${entry.type} ${entry.op} synced to Firebase:`, entry.itemId);
+            setSyncStatus(prev => ({ ...prev, lastSyncTime: new Date().toISOString() }));
+          } catch (error) {
+            console.error(`[Data] Push ${entry.type} ${entry.op} error:`, error);
+            await syncQueue.markFailed(entry, error);
+          } finally {
+            syncQueue.end(entry);
+          }
+        }
+      } while (flushRequested.current);
+    } catch (error) {
+      // 대기열 저장소 오류 (호출한 곳 대부분이 기다리지 않으므로 여기서 처리)
+      console.error('[Data] Flush queue error:', error);
+    } finally {
+      flushing.current = false;
+
+      // 남은 항목 중 가장 빠른 재시도 시각에 다시 전송
+      try {
+        const remaining = await refreshSyncStatus();
+        const nextAttemptAt = Math.min(...remaining.map(entry => entry.nextAttemptAt));
+        if (remaining.length > 0 && isFinite(nextAttemptAt)) {
+          retryTimer.current = setTimeout(() => {
+            retryTimer.current = null;
+            flushQueue();
+          }, Math.max(nextAttemptAt - Date.now(), 0));
+        }
+      } catch (error) {
+        console.error('[Data] Refresh sync status error:', error);
+      }
+    }
+  }, [user, syncQueue, runOperation, refreshSyncStatus]);
+
+  // 변경사항을 대기열에 넣고 전송 (로그인 상태일 때만)
+  const queueChange = useCallback(async (type, op, itemId, data = null) => {
+    if (!user) return;
+
+    try {
+      await syncQueue.push(user.uid, type, op, itemId, data);
+      queuedIds.current.add(itemId);
+      await refreshSyncStatus();
+    } finally {
+      pendingLocalChanges.current.delete(itemId);
+    }
+
+    // 백그라운드에서 Firebase 동기화
+    flushQueue();
+  }, [user, syncQueue, refreshSyncStatus, flushQueue]);
+
+  // 경험치 지급/회수 (op: 'grant' / 'revoke', key: { type, itemId, date, title })
+  // 바로 반영하지 못하면(오프라인 등) 대기열에 넣어 연결되면 다시 보냄
+  // 같은 기록의 요청이 대기열에 남아 있으면 순서가 바뀌지 않도록 대기열 뒤에 합침
+  const queueProgress = useCallback(async (op, key) => {
+    if (!user) return null;
+
+    const eventId = userService.getExpEventId(key.type, key.itemId, key.date);
+    const data = op === 'grant' ? { ...key, activeDate: getTodayString() } : key;
+
+    if (!queuedIds.current.has(eventId)) {
+      try {
+        return op === 'grant'
+          ? await userService.grantItemProgress(user.uid, data)
+          : await userService.revokeItemProgress(user.uid, data);
+      } catch (error) {
+        console.warn(`[Data] Progress ${op} queued:`, error.message);
+      }
+    }
+
+    await syncQueue.push(user.uid, PROGRESS_TYPE, op, eventId, data);
+    queuedIds.current.add(eventId);
+    await refreshSyncStatus();
+    flushQueue();
+    return null;
+  }, [user, syncQueue, userService, refreshSyncStatus, flushQueue]);
+
+  // 항목 완료 시 경험치 지급 (레벨업 결과 반환, 대기열에 넣었으면 null)
+  const grantProgress = useCallback((key) => queueProgress('grant', key), [queueProgress]);
+
+  // 완료 취소 시 경험치 회수
+  const revokeProgress = useCallback((key) => queueProgress('revoke', key), [queueProgress]);
+
+  // 수동 재시도 (백오프 무시하고 즉시 전송)
+  const retrySync = useCallback(async () => {
+    if (!user) return;
+    await syncQueue.resetBackoff(user.uid);
+    await flushQueue();
+  }, [user, syncQueue, flushQueue]);
+
+  // 자동으로 합치지 못한 충돌 기록 (같은 항목/필드는 최신 충돌로 교체)
+  const addConflicts = useCallback((type, item, itemConflicts) => {
+    if (itemConflicts.length === 0) return;
+
+    const added = itemConflicts.map(conflict => ({
+      ...conflict,
+      id: `${type}_${item.id}_${conflict.path}`,
+      type,
+      itemId: item.id,
+      title: item.title || item.name || item.date || item.id
+    }));
+    const addedIds = new Set(added.map(conflict => conflict.id));
 
-  // Firebase 실시간 구독 설정
-  const setupRealtimeListeners = useCallback((userId) => {
+    console.log('[Data] Conflicts detected:', [...addedIds]);
+    setConflicts(prev => [...prev.filter(conflict => !addedIds.has(conflict.id)), ...added]);
+  }, []);
+
+  // Firebase 변경분을 로컬에 반영
+  // - 삭제 표시(tombstone)된 항목은 로컬에서도 삭제, full이면 Firebase에 없는 항목도 삭제
+  // - 대기열에 있는 항목은 필드 단위로 병합 (아직 전송하지 않은 로컬 변경 유지)
+  // - 로컬 변경을 유지한 항목은 병합 결과를 다시 대기열에 넣어 원격 변경을 덮어쓰지 않게 함
+  // - 예전 schema 버전 문서는 현재 모양으로 바꿔 저장하고 Firebase에도 다시 보냄
+  // - 받은 항목 중 가장 늦은 updatedAt을 다음 증분 동기화 기준점으로 저장
+  const applyRemoteItems = useCallback(async (type, remoteItems, { full = false } = {}) => {
+    const upgradedIds = new Set();
+    const fbItems = remoteItems.map(item => {
+      if (item.deleted) return item;
+      const migrated = migrateItem(type, item);
+      if (migrated !== item) upgradedIds.add(item.id);
+      return migrated;
+    });
+
+    if (fbItems.length === 0 && !full) return;
+
+    // 다른 계정으로 전환된 뒤 늦게 도착한 변경은 버림
+    if (!user || database.getNamespace() !== user.uid) return;
+
+    const storage = storages[type];
+    const localItems = await storage.getAll();
+    const localIds = new Set(localItems.map(item => item.id));
+
+    const deletedIds = new Set(fbItems.filter(item => item.deleted).map(item => item.id));
+    if (full) {
+      const fbIds = new Set(fbItems.map(item => item.id));
+      localItems.forEach(local => {
+        if (!fbIds.has(local.id)) deletedIds.add(local.id);
+      });
+    }
+
+    const toDelete = [...deletedIds].filter(id => localIds.has(id) && !isPending(id));
+    if (toDelete.length > 0) {
+      await storage.deleteMany(toDelete);
+    }
+
+    // 로컬에 저장 중이거나, 로컬에서 삭제해 대기열에 있는 항목은 건너뜀
+    // 로컬은 새 ID로 옮겼는데 Firebase는 아직 옮기지 않은 예전 문서도 건너뜀 (옮긴 뒤 새 ID로 다시 받음)
+    const prefix = ID_PREFIX[type];
+    const toSync = fbItems.filter(item =>
+      !item.deleted &&
+      !pendingLocalChanges.current.has(item.id) &&
+      (localIds.has(item.id) || !isPending(item.id)) &&
+      !(prefix && isLegacyId(item.id) && localIds.has(getMigratedId(prefix, item.id)))
+    );
+    const results = toSync.length > 0 ? await storage.syncMany(toSync) : [];
+
+    let merged = 0;
+    for (const result of results) {
+      addConflicts(type, result.item, result.conflicts);
+
+      if ((result.keptLocal || upgradedIds.has(result.item.id)) && user) {
+        await syncQueue.push(user.uid, type, 'update', result.item.id, result.item);
+        queuedIds.current.add(result.item.id);
+        merged++;
+      }
+    }
+
+    console.log(`[Data] ${type} synced (${full ? 'full' : 'delta'}) - Updated:`, results.length, 'Removed:', toDelete.length, 'Merged:', merged);
+
+    if (user) {
+      // 기기 시계가 틀린 예전 문서 때문에 기준점이 미래로 가지 않도록 현재 시각까지만
+      const mark = Math.min(Math.max(0, ...fbItems.map(item => toMillis(item.updatedAt))), Date.now());
+      await syncState.setHighWaterMark(user.uid, type, mark);
+    }
+
+    if (merged > 0) {
+      await refreshSyncStatus();
+      flushQueue();
+    }
+  }, [user, storages, database, syncQueue, syncState, isPending, addConflicts, refreshSyncStatus, flushQueue]);
+
+  // 로그인하지 않고 만든 데이터(guest)를 로그인한 계정으로 합치기
+  // Firebase에서 받은 계정 데이터와 같은 항목은 건너뛰고, 합친 항목은 대기열로 Firebase에 전송
+  const mergeGuestData = useCallback(async () => {
+    if (!user) return;
+
+    const result = await guestData.mergeIntoCurrent();
+    if (!result) return;
+
+    for (const [type, { added, updated }] of Object.entries(result)) {
+      for (const item of added) {
+        await syncQueue.push(user.uid, type, 'create', item.id, item);
+        queuedIds.current.add(item.id);
+      }
+      for (const item of updated) {
+        await syncQueue.push(user.uid, type, 'update', item.id, item);
+        queuedIds.current.add(item.id);
+      }
+    }
+
+    // 대기열에 넣은 뒤 guest 데이터 삭제 (중간에 실패하면 다음 로그인 때 다시 합침)
+    await guestData.clear();
+
+    await refreshSyncStatus();
+    flushQueue();
+  }, [user, syncQueue, guestData, refreshSyncStatus, flushQueue]);
+
+  // Firebase 실시간 구독 설정 (marks: 컬렉션별 기준점, 그 이후 변경분만 구독)
+  const setupRealtimeListeners = useCallback((userId, marks = {}) => {
     console.log('[Data] Setting up real-time listeners');
 
     // Todos 실시간 구독
-    unsubscribes.current.todos = todoService.subscribeTodos(userId, async (fbTodos) => {
+    unsubscribes.current.todos = services.todo.subscribeTodos(userId, async (fbTodos) => {
       console.log('[Data] Todos updated from Firebase:', fbTodos.length);
-      
+
       try {
-        // 현재 로컬 데이터 가져오기
-        const localTodos = await todoStorage.getAll();
-        
-        // 로컬 변경 중인 항목 제외 (pendingLocalChanges)
-        const pendingIds = Array.from(pendingLocalChanges.current);
-        console.log('[Data] Pending local changes:', pendingIds);
-        
-        // Firebase 데이터를 기준으로 로컬 업데이트
-        // - pendingLocalChanges에 있는 항목은 건너뜀
-        // - 나머지는 Firebase 데이터로 동기화
-        
-        // 로컬에서 삭제해야 할 항목 찾기 (Firebase, pending 양쪽에 모두 없는 것)
-        const fbTodoIds = new Set(fbTodos.map(t => t.id));
-        const toDelete = localTodos.filter(local => 
-          !fbTodoIds.has(local.id) && !pendingLocalChanges.current.has(local.id)
-        );
-        
-        // Firebase에서 온 데이터 중 pending이 아닌 것만 업데이트
-        const toSync = fbTodos.filter(fb => !pendingLocalChanges.current.has(fb.id));
-        
-        // 삭제 실행
-        for (const item of toDelete) {
-          await todoStorage.delete(item.id);
-          console.log('[Data] Removed stale todo:', item.id);
-        }
-        
-        // 동기화 실행
-        for (const todo of toSync) {
-          await todoStorage.sync(todo);
-        }
-        
-        console.log('[Data] Todos synced - Updated:', toSync.length, 'Removed:', toDelete.length);
-        
+        await applyRemoteItems('todo', fbTodos);
+
         // UI 업데이트
         await loadLocalData();
+
+        // 다른 기기에서 변경된 항목의 알림 다시 예약
+        await syncReminders('todo', await storages.todo.getAll());
       } catch (error) {
         console.error('[Data] Todos sync error:', error);
       }
-    });
+    }, marks.todo);
 
     // Routines 실시간 구독
-    unsubscribes.current.routines = routineService.subscribeRoutines(userId, async (fbRoutines) => {
+    unsubscribes.current.routines = services.routine.subscribeRoutines(userId, async (fbRoutines) => {
       console.log('[Data] Routines updated from Firebase:', fbRoutines.length);
-      
+
       try {
-        const localRoutines = await routineStorage.getAll();
-        const fbRoutineIds = new Set(fbRoutines.map(r => r.id));
-        
-        // 삭제할 항목 (Firebase x, pending x)
-        const toDelete = localRoutines.filter(local => 
-          !fbRoutineIds.has(local.id) && !pendingLocalChanges.current.has(local.id)
-        );
-        
-        // 동기화할 항목 (pending x)
-        const toSync = fbRoutines.filter(fb => !pendingLocalChanges.current.has(fb.id));
-        
-        for (const item of toDelete) {
-          await routineStorage.delete(item.id);
-        }
-        
-        for (const routine of toSync) {
-          await routineStorage.sync(routine);
-        }
-        
-        console.log('[Data] Routines synced - Updated:', toSync.length, 'Removed:', toDelete.length);
+        await applyRemoteItems('routine', fbRoutines);
         await loadLocalData();
+        await syncReminders('routine', await storages.routine.getAll());
       } catch (error) {
         console.error('[Data] Routines sync error:', error);
       }
-    });
+    }, marks.routine);
 
     // Records 실시간 구독
-    unsubscribes.current.records = recordService.subscribeRecords(userId, async (fbRecords) => {
+    unsubscribes.current.records = services.record.subscribeRecords(userId, async (fbRecords) => {
       console.log('[Data] Records updated from Firebase:', fbRecords.length);
-      
+
       try {
-        const localRecords = await recordStorage.getAll();
-        const fbRecordIds = new Set(fbRecords.map(r => r.id));
-        
-        const toDelete = localRecords.filter(local => 
-          !fbRecordIds.has(local.id) && !pendingLocalChanges.current.has(local.id)
-        );
-        
-        const toSync = fbRecords.filter(fb => !pendingLocalChanges.current.has(fb.id));
-        
-        for (const item of toDelete) {
-          await recordStorage.delete(item.id);
-        }
-        
-        for (const record of toSync) {
-          await recordStorage.sync(record);
-        }
-        
-        console.log('[Data] Records synced - Updated:', toSync.length, 'Removed:', toDelete.length);
+        await applyRemoteItems('record', fbRecords);
         await loadLocalData();
       } catch (error) {
         console.error('[Data] Records sync error:', error);
       }
-    });
+    }, marks.record);
 
     // Tags 실시간 구독
-    unsubscribes.current.tags = tagService.subscribeTags(userId, async (fbTags) => {
+    unsubscribes.current.tags = services.tag.subscribeTags(userId, async (fbTags) => {
       console.log('[Data] Tags updated from Firebase:', fbTags.length);
-      
+
       try {
-        const localTags = await tagStorage.getAll();
-        const fbTagIds = new Set(fbTags.map(t => t.id));
-        
-        const toDelete = localTags.filter(local => 
-          !fbTagIds.has(local.id) && !pendingLocalChanges.current.has(local.id)
-        );
-        
-        const toSync = fbTags.filter(fb => !pendingLocalChanges.current.has(fb.id));
-        
-        for (const item of toDelete) {
-          await tagStorage.delete(item.id);
-        }
-        
-        for (const tag of toSync) {
-          await tagStorage.sync(tag);
-        }
-        
-        console.log('[Data] Tags synced - Updated:', toSync.length, 'Removed:', toDelete.length);
+        await applyRemoteItems('tag', fbTags);
         await loadLocalData();
       } catch (error) {
         console.error('[Data] Tags sync error:', error);
       }
-    });
+    }, marks.tag);
 
     setSyncStatus(prev => ({
       ...prev,
       lastSyncTime: new Date().toISOString()
     }));
-  }, [loadLocalData]);
+  }, [storages, services, loadLocalData, syncReminders, applyRemoteItems]);
 
   // 실시간 구독 정리
   const cleanupListeners = useCallback(() => {
@@ -236,46 +619,78 @@ export const DataProvider = ({ children }) => {
       return;
     }
 
+    // 구독 시작 전에 로그아웃/사용자 변경되면 구독하지 않음
+    let active = true;
+
     const initializeSync = async () => {
       setSyncing(true);
       try {
-        // 초기 데이터 로드
-        console.log('[Data] Initial data pull from Firebase');
-        const [fbTodos, fbRoutines, fbRecords, fbTags] = await Promise.all([
-          todoService.getAllByUser(user.uid),
-          routineService.getAllByUser(user.uid),
-          recordService.getAllByUser(user.uid),
-          tagService.getAllByUser(user.uid)
-        ]);
-
-        // 로컬 스토리지 초기화 및 저장
-        await todoStorage.clear();
-        await routineStorage.clear();
-        await recordStorage.clear();
-        await tagStorage.clear();
-
-        for (const todo of fbTodos) await todoStorage.sync(todo);
-        for (const routine of fbRoutines) await routineStorage.sync(routine);
-        for (const record of fbRecords) await recordStorage.sync(record);
-        for (const tag of fbTags) await tagStorage.sync(tag);
+        // 이 계정의 로컬 데이터가 준비될 때까지 대기
+        await localReady.current;
+        if (!active) return;
+
+        // 예전 형식 ID 문서를 새 ID로 (사용자별 한 번, 대기열의 변경을 보내기 전에 옮겨야 덮어쓰지 않음)
+        if (!(await idMigration.isRemoteMigrated(user.uid))) {
+          await idMigrationService.migrateUser(user.uid);
+          await idMigration.markRemoteMigrated(user.uid);
+        }
 
-        await loadLocalData();
+        // 오프라인에서 쌓인 변경사항 먼저 전송 (로그인 복구 시 즉시 재시도)
+        await syncQueue.resetBackoff(user.uid);
+        await refreshSyncStatus();
+        await flushQueue();
+
+        // 컬렉션별로 기준점 이후 변경분만 받음 (기준점이 없으면 전체를 받아 로컬과 맞춤)
+        const types = Object.keys(services);
+        const marks = await getHighWaterMarks(syncState, user.uid, types);
+        console.log('[Data] Initial data pull from Firebase:', marks);
+
+        const fbItems = await Promise.all(types.map(type => marks[type]
+          ? services[type].getChangedSince(user.uid, marks[type])
+          : services[type].getAllByUser(user.uid)
+        ));
+
+        // 아직 전송되지 않은 변경은 유지
+        for (let i = 0; i < types.length; i++) {
+          await applyRemoteItems(types[i], fbItems[i], { full: !marks[types[i]] });
+        }
 
-        // 실시간 구독 시작
-        setupRealtimeListeners(user.uid);
+        // 로그인 전에 만든 데이터 합치기 (계정 데이터를 받은 뒤에 중복 확인)
+        await mergeGuestData();
+
+        await loadLocalData();
+        await syncReminders('todo', await storages.todo.getAll());
+        await syncReminders('routine', await storages.routine.getAll());
       } catch (error) {
         console.error('[Data] Initialize sync error:', error);
       } finally {
+        // 초기 로드에 실패해도 (오프라인 등) 실시간 구독은 시작 (기준점을 읽지 못하면 전체 구독)
+        let marks = {};
+        try {
+          marks = await getHighWaterMarks(syncState, user.uid, Object.keys(services));
+        } catch (error) {
+          console.error('[Data] Read high-water marks error:', error);
+        }
+        if (active) {
+          setupRealtimeListeners(user.uid, marks);
+        }
         setSyncing(false);
       }
     };
 
     initializeSync();
 
-    return cleanupListeners;
-  }, [user, authLoading, loadLocalData, setupRealtimeListeners, cleanupListeners]);
+    return () => {
+      active = false;
+      cleanupListeners();
+      if (retryTimer.current) {
+        clearTimeout(retryTimer.current);
+        retryTimer.current = null;
+      }
+    };
+  }, [user, authLoading, storages, services, syncQueue, syncState, idMigration, idMigrationService, loadLocalData, syncReminders, setupRealtimeListeners, cleanupListeners, refreshSyncStatus, flushQueue, applyRemoteItems, mergeGuestData]);
 
-  // 앱 포그라운드 복귀 시 로컬 데이터만 새로고침
+  // 앱 포그라운드 복귀 시 로컬 데이터 새로고침 및 대기열 재전송
   useEffect(() => {
     if (!user) return;
 
@@ -283,6 +698,7 @@ export const DataProvider = ({ children }) => {
       if (nextAppState === 'active') {
         console.log('[Data] App resumed, refreshing local data');
         loadLocalData();
+        retrySync();
       }
     };
 
@@ -291,93 +707,49 @@ export const DataProvider = ({ children }) => {
     return () => {
       subscription?.remove();
     };
-  }, [user, loadLocalData]);
+  }, [user, loadLocalData, retrySync]);
 
-  // Firebase에 데이터 푸시 (백그라운드)
-  const pushToFirebase = useCallback(async (type, data, isNew = false) => {
+  // 네트워크 연결이 돌아오면 대기열 즉시 재전송
+  useEffect(() => {
     if (!user) return;
 
-    try {
-      if (type === 'todo') {
-        if (isNew) {
-          await todoService.create(user.uid, data);
-        } else {
-          await todoService.update(user.uid, data);
-        }
-      } else if (type === 'routine') {
-        if (isNew) {
-          await routineService.create(user.uid, data);
-        } else {
-          await routineService.update(user.uid, data);
-        }
-      } else if (type === 'record') {
-        if (isNew) {
-          await recordService.create(user.uid, data);
-        } else {
-          await recordService.update(user.uid, data);
-        }
-      } else if (type === 'tag') {
-        if (isNew) {
-          await tagService.create(user.uid, data);
-        } else {
-          await tagService.update(user.uid, data);
-        }
+    let wasConnected = true;
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const connected = !!state.isConnected && state.isInternetReachable !== false;
+      if (connected && !wasConnected) {
+        console.log('[Data] Connection restored, retrying sync');
+        retrySync();
       }
+      wasConnected = connected;
+    });
 
-      console.log(`✅ ${type} ${isNew ? 'created' : 'updated'} in Firebase:`, data.id);
-
-      // 동기화 성공 시 상태 업데이트
-      setSyncStatus(prev => ({
-        ...prev,
-        lastSyncTime: new Date().toISOString(),
-        pendingCount: Math.max(0, prev.pendingCount - 1),
-        failedItems: prev.failedItems.filter(item => item.id !== data.id)
-      }));
-
-      // 로컬 변경 추적에서 제거 (짧은 지연 후)
-      setTimeout(() => {
-        pendingLocalChanges.current.delete(data.id);
-        console.log('[Data] Removed from pending:', data.id);
-      }, 1000);
-
-    } catch (error) {
-      console.error(`[Data] Push ${type} to Firebase error:`, error);
-
-      // 실패한 항목 추가
-      setSyncStatus(prev => ({
-        ...prev,
-        failedItems: [...prev.failedItems, { id: data.id, type, error: error.message }]
-      }));
-
-      // 로컬 변경 추적에서 제거
-      pendingLocalChanges.current.delete(data.id);
-    }
-  }, [user]);
+    return () => unsubscribe();
+  }, [user, retrySync]);
 
   // 데이터 추가/저장
   const saveData = useCallback(async (type, data) => {
+    // 로컬 변경 추적에 추가 (실시간 구독 충돌 방지, record는 날짜가 ID)
+    const itemId = type === 'record' ? data.date : (data.id || createId(ID_PREFIX[type]));
+    pendingLocalChanges.current.add(itemId);
+    console.log('[Data] Added to pending:', itemId);
+
     try {
       let savedData;
       let isNew;
 
-      // 로컬 변경 추적에 추가 (실시간 구독 충돌 방지)
-      const itemId = data.id || `${type}_${Date.now()}`;
-      pendingLocalChanges.current.add(itemId);
-      console.log('[Data] Added to pending:', itemId);
-
       // 로컬 스토리지에 즉시 저장 (Optimistic Update)
       if (type === 'todo') {
-        savedData = await todoStorage.add(data);
+        savedData = await storages.todo.add({ ...data, id: itemId });
         isNew = true;
       } else if (type === 'routine') {
-        savedData = await routineStorage.add(data);
+        savedData = await storages.routine.add({ ...data, id: itemId });
         isNew = true;
       } else if (type === 'record') {
-        const exists = await recordStorage.exists(data.date);
-        savedData = await recordStorage.save(data);
+        const exists = await storages.record.exists(data.date);
+        savedData = await storages.record.save(data);
         isNew = !exists;
       } else if (type === 'tag') {
-        savedData = await tagStorage.add(data);
+        savedData = await storages.tag.add({ ...data, id: itemId });
         isNew = true;
       }
 
@@ -386,44 +758,39 @@ export const DataProvider = ({ children }) => {
 
       console.log(`[Data] ${type} saved locally (${isNew ? 'new' : 'update'})`);
 
-      // 백그라운드에서 Firebase 동기화
-      if (user) {
-        setSyncStatus(prev => ({
-          ...prev,
-          pendingCount: prev.pendingCount + 1
-        }));
+      // 알림 예약
+      await scheduleReminders(type, savedData);
 
-        pushToFirebase(type, savedData, isNew);
+      // 대기열에 넣고 Firebase 동기화
+      if (user) {
+        await queueChange(type, isNew ? 'create' : 'update', savedData.id, savedData);
       } else {
         console.log(`[Data] ${type} saved locally only (not logged in)`);
-        pendingLocalChanges.current.delete(itemId);
       }
-
     } catch (error) {
       console.error(`[Data] Save ${type} error:`, error);
-      if (data.id) {
-        pendingLocalChanges.current.delete(data.id);
-      }
       throw error;
+    } finally {
+      pendingLocalChanges.current.delete(itemId);
     }
-  }, [user, loadLocalData, pushToFirebase]);
+  }, [user, storages, loadLocalData, queueChange, scheduleReminders]);
 
   // 데이터 삭제
   const deleteData = useCallback(async (type, id) => {
-    try {
-      // 로컬 변경 추적
-      pendingLocalChanges.current.add(id);
-      console.log('[Data] Added to pending (delete):', id);
+    // 로컬 변경 추적
+    pendingLocalChanges.current.add(id);
+    console.log('[Data] Added to pending (delete):', id);
 
+    try {
       // 로컬 삭제 (Optimistic Update)
       if (type === 'todo') {
-        await todoStorage.delete(id);
+        await storages.todo.delete(id);
       } else if (type === 'routine') {
-        await routineStorage.delete(id);
+        await storages.routine.delete(id);
       } else if (type === 'record') {
-        await recordStorage.delete(id);
+        await storages.record.delete(id);
       } else if (type === 'tag') {
-        await tagStorage.delete(id);
+        await storages.tag.delete(id);
       }
 
       // UI 즉시 업데이트
@@ -431,51 +798,38 @@ export const DataProvider = ({ children }) => {
 
       console.log(`[Data] ${type} deleted locally (optimistic update)`);
 
-      // 백그라운드에서 Firebase 동기화
-      if (user) {
-        if (type === 'todo') {
-          await todoService.delete(user.uid, id);
-        } else if (type === 'routine') {
-          await routineService.delete(user.uid, id);
-        } else if (type === 'record') {
-          await recordService.delete(user.uid, id);
-        } else if (type === 'tag') {
-          await tagService.delete(user.uid, id);
-        }
-
-        console.log(`[Data] ${type} deleted from Firebase`);
+      // 예약된 알림 취소
+      if (type === 'todo' || type === 'routine') {
+        await notificationService.cancelReminders(id);
       }
 
-      // 추적에서 제거
-      setTimeout(() => {
-        pendingLocalChanges.current.delete(id);
-        console.log('[Data] Removed from pending (delete):', id);
-      }, 1000);
-
+      // 대기열에 넣고 Firebase 동기화 (오프라인이면 연결 후 삭제)
+      await queueChange(type, 'delete', id);
     } catch (error) {
       console.error(`[Data] Delete ${type} error:`, error);
-      pendingLocalChanges.current.delete(id);
       throw error;
+    } finally {
+      pendingLocalChanges.current.delete(id);
     }
-  }, [user, loadLocalData]);
+  }, [storages, notificationService, loadLocalData, queueChange]);
 
   // 데이터 업데이트
   const updateData = useCallback(async (type, id, updates) => {
-    try {
-      // 로컬 변경 추적
-      pendingLocalChanges.current.add(id);
-      console.log('[Data] Added to pending (update):', id);
+    // 로컬 변경 추적
+    pendingLocalChanges.current.add(id);
+    console.log('[Data] Added to pending (update):', id);
 
+    try {
       // 로컬 업데이트 (Optimistic Update)
       let updatedData;
       if (type === 'todo') {
-        updatedData = await todoStorage.update(id, updates);
+        updatedData = await storages.todo.update(id, updates);
       } else if (type === 'routine') {
-        updatedData = await routineStorage.update(id, updates);
+        updatedData = await storages.routine.update(id, updates);
       } else if (type === 'record') {
-        updatedData = await recordStorage.update(id, updates);
+        updatedData = await storages.record.update(id, updates);
       } else if (type === 'tag') {
-        updatedData = await tagStorage.update(id, updates);
+        updatedData = await storages.tag.update(id, updates);
       }
 
       // UI 즉시 업데이트
@@ -483,19 +837,39 @@ export const DataProvider = ({ children }) => {
 
       console.log(`[Data] ${type} updated locally (optimistic update)`);
 
-      // 백그라운드에서 Firebase 동기화
-      if (user && updatedData) {
-        pushToFirebase(type, updatedData, false);
-      } else {
-        pendingLocalChanges.current.delete(id);
-      }
+      // 완료/수정 시 알림 취소 또는 다시 예약
+      await scheduleReminders(type, updatedData);
 
+      // 대기열에 넣고 Firebase 동기화
+      if (updatedData) {
+        await queueChange(type, 'update', id, updatedData);
+      }
     } catch (error) {
       console.error(`[Data] Update ${type} error:`, error);
-      pendingLocalChanges.current.delete(id);
       throw error;
+    } finally {
+      pendingLocalChanges.current.delete(id);
     }
-  }, [user, loadLocalData, pushToFirebase]);
+  }, [storages, loadLocalData, queueChange, scheduleReminders]);
+
+  // 충돌 해결 (choice: 'local' 내 변경 유지 / 'remote' 다른 기기 변경 적용)
+  // 자동으로 적용된 쪽(winner)을 고르면 표시만 닫고, 아니면 고른 값으로 다시 수정
+  const resolveConflict = useCallback(async (conflictId, choice) => {
+    const conflict = conflicts.find(item => item.id === conflictId);
+    if (!conflict) return;
+
+    setConflicts(prev => prev.filter(item => item.id !== conflictId));
+    if (choice === conflict.winner) return;
+
+    const item = (await storages[conflict.type].getAll()).find(data => data.id === conflict.itemId);
+    if (!item) return;
+
+    const value = choice === 'local' ? conflict.localValue : conflict.remoteValue;
+    const next = setPathValue(item, conflict.path, value);
+    await updateData(conflict.type, conflict.itemId, {
+      [conflict.field]: next[conflict.field] === undefined ? null : next[conflict.field]
+    });
+  }, [storages, conflicts, updateData]);
 
   // 수동 동기화 (필요시)
   const refreshData = useCallback(async () => {
@@ -516,11 +890,16 @@ export const DataProvider = ({ children }) => {
     tags,
     syncing,
     syncStatus,
+    retrySync,
+    conflicts,
+    resolveConflict,
     user,
     saveData,
     deleteData,
     updateData,
     refreshData,
+    grantProgress,
+    revokeProgress,
   };
 
   return (
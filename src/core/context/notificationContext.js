@@ -0,0 +1,167 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { useAuth } from './authContext';
+import { useUser } from './userContext';
+import { useData } from './dataContext';
+import inboxService from '../firebase/inboxService';
+import { evaluateTitles, getAchievableTitles } from '../utils/achievements';
+
+const NotificationContext = createContext(null);
+
+// 알림함에 기록할 예약 알림인지 확인 (notificationService가 예약한 리마인더만)
+const isReminder = (notification) => {
+  const type = notification?.request?.content?.data?.type;
+  return type === 'todo' || type === 'routine';
+};
+
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { userProfile } = useUser();
+  const { todos, routines, records } = useData();
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // 이번 세션에서 이미 알림함에 기록한 칭호 ID
+  const notifiedTitleIds = useRef(new Set());
+
+  // 알림함 실시간 구독
+  useEffect(() => {
+    if (!user) {
+      setNotifications([]);
+      setLoading(false);
+      return;
+    }
+
+    console.log('[Notification] Setting up inbox listener');
+    setLoading(true);
+
+    const unsubscribe = inboxService.subscribeNotifications(user.uid, (items) => {
+      setNotifications(items);
+      setLoading(false);
+    });
+
+    return () => {
+      console.log('[Notification] Cleaning up inbox listener');
+      unsubscribe();
+    };
+  }, [user]);
+
+  // 리마인더 수신 기록
+  const recordReminder = useCallback(async (notification) => {
+    if (!user || !isReminder(notification)) return;
+
+    try {
+      await inboxService.addReminder(user.uid, notification);
+    } catch (error) {
+      console.error('[Notification] Record reminder error:', error);
+    }
+  }, [user]);
+
+  // 알림 센터에 표시된 리마인더 기록 (앱이 꺼져 있을 때 울린 알림)
+  const collectPresentedReminders = useCallback(async () => {
+    try {
+      const presented = await Notifications.getPresentedNotificationsAsync();
+      for (const notification of presented) {
+        await recordReminder(notification);
+      }
+    } catch (error) {
+      console.error('[Notification] Collect presented reminders error:', error);
+    }
+  }, [recordReminder]);
+
+  // 리마인더 수신/탭 및 앱 복귀 감지
+  useEffect(() => {
+    if (!user) return;
+
+    collectPresentedReminders();
+
+    const receivedSubscription = Notifications.addNotificationReceivedListener(recordReminder);
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener(
+      (response) => recordReminder(response.notification)
+    );
+    const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        collectPresentedReminders();
+      }
+    });
+
+    return () => {
+      receivedSubscription.remove();
+      responseSubscription.remove();
+      appStateSubscription?.remove();
+    };
+  }, [user, recordReminder, collectPresentedReminders]);
+
+  // 조건을 달성했지만 아직 받지 않은 칭호
+  const achievableTitles = useMemo(() => {
+    if (!userProfile) return [];
+    return getAchievableTitles(evaluateTitles({ todos, routines, records, userProfile }));
+  }, [todos, routines, records, userProfile]);
+
+  // 새로 받을 수 있게 된 칭호 알림 기록 (알림 ID로 중복 방지)
+  useEffect(() => {
+    if (!user) {
+      notifiedTitleIds.current.clear();
+      return;
+    }
+
+    achievableTitles
+      .filter(reward => !notifiedTitleIds.current.has(reward.id))
+      .forEach(reward => {
+        notifiedTitleIds.current.add(reward.id);
+        inboxService.addTitleAchievable(user.uid, reward)
+          .catch(error => console.error('[Notification] Title notification error:', error));
+      });
+  }, [user, achievableTitles]);
+
+  // 읽음 처리
+  const markAsRead = useCallback(async (notificationId) => {
+    if (!user) return;
+
+    try {
+      await inboxService.markAsRead(user.uid, notificationId);
+    } catch (error) {
+      console.error('[Notification] Mark as read error:', error);
+    }
+  }, [user]);
+
+  // 모두 읽음 처리
+  const markAllAsRead = useCallback(async () => {
+    if (!user) return;
+
+    const unreadIds = notifications.filter(n => !n.isRead).map(n => n.id);
+    if (unreadIds.length === 0) return;
+
+    try {
+      await inboxService.markAllAsRead(user.uid, unreadIds);
+    } catch (error) {
+      console.error('[Notification] Mark all as read error:', error);
+    }
+  }, [user, notifications]);
+
+  const unreadCount = notifications.filter(n => !n.isRead).length;
+
+  const value = {
+    notifications,
+    unreadCount,
+    achievableTitles,
+    loading,
+    markAsRead,
+    markAllAsRead,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within NotificationProvider');
+  }
+  return context;
+};
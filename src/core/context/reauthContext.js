@@ -0,0 +1,112 @@
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
+import authService from '../firebase/authService';
+import ReauthPrompt from '../../components/ReauthPrompt';
+
+const ReauthContext = createContext(null);
+
+// 최근 로그인이 필요한 작업에서 Firebase가 주는 오류 코드
+const REQUIRES_RECENT_LOGIN = 'auth/requires-recent-login';
+
+// 사용자가 비밀번호 입력을 취소했을 때의 오류 코드
+export const REAUTH_CANCELLED = 'auth/reauth-cancelled';
+
+const createCancelledError = () =>
+  Object.assign(new Error('다시 인증이 취소되었습니다.'), { code: REAUTH_CANCELLED });
+
+/**
+ * 민감한 계정 작업(비밀번호 변경, 이메일 변경, 계정 삭제)의 다시 인증
+ * 작업이 auth/requires-recent-login으로 실패하면 비밀번호를 입력받아
+ * reauthenticateWithCredential로 다시 인증한 뒤 원래 작업을 한 번 더 실행
+ */
+export const ReauthProvider = ({ children }) => {
+  const [visible, setVisible] = useState(false);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // 입력을 기다리는 요청 { resolve, reject }
+  const pending = useRef(null);
+
+  // 비밀번호 입력창 열기 → 다시 인증에 성공하면 resolve, 취소하면 reject
+  const requestReauth = useCallback(() => {
+    // 이미 열려 있으면 앞의 요청은 취소
+    pending.current?.reject(createCancelledError());
+
+    return new Promise((resolve, reject) => {
+      pending.current = { resolve, reject };
+      setError(null);
+      setVisible(true);
+    });
+  }, []);
+
+  const handleSubmit = useCallback(async (password) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await authService.reauthenticate(password);
+      setVisible(false);
+      pending.current?.resolve();
+      pending.current = null;
+    } catch (reauthError) {
+      // 비밀번호가 틀리면 창을 유지하고 다시 입력받음
+      setError(reauthError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    setVisible(false);
+    pending.current?.reject(createCancelledError());
+    pending.current = null;
+  }, []);
+
+  /**
+   * 최근 로그인이 필요한 작업 실행
+   * @param {Function} operation - 실행할 작업 (async)
+   * @param {Object} options
+   * @param {boolean} options.force - 먼저 다시 인증하고 실행 (되돌릴 수 없는 작업: 계정 삭제 등)
+   * @returns 작업 결과 (비밀번호 입력을 취소하면 code가 REAUTH_CANCELLED인 오류)
+   */
+  const withRecentLogin = useCallback(async (operation, { force = false } = {}) => {
+    if (force) {
+      await requestReauth();
+      return operation();
+    }
+
+    try {
+      return await operation();
+    } catch (operationError) {
+      if (operationError?.code !== REQUIRES_RECENT_LOGIN) throw operationError;
+
+      console.log('[Reauth] Recent login required - prompting for password');
+      await requestReauth();
+      return operation();
+    }
+  }, [requestReauth]);
+
+  const value = {
+    withRecentLogin,
+  };
+
+  return (
+    <ReauthContext.Provider value={value}>
+      {children}
+      <ReauthPrompt
+        visible={visible}
+        error={error}
+        submitting={submitting}
+        onSubmit={handleSubmit}
+        onCancel={handleCancel}
+      />
+    </ReauthContext.Provider>
+  );
+};
+
+export const useReauth = () => {
+  const context = useContext(ReauthContext);
+  if (!context) {
+    throw new Error('useReauth must be used within ReauthProvider');
+  }
+  return context;
+};
@@ -28,15 +28,18 @@ export const UserProvider = ({ children }) => {
           setUserProfile({
             uid: authUser.uid,
             email: data.email,
+            pendingEmail: data.pendingEmail || null,
             nickname: data.nickname,
             level: data.level,
             exp: data.exp,
             maxExp: data.maxExp,
             title: data.title,
+            claimedTitles: data.claimedTitles || [],
             stats: data.stats,
             friends: data.friends || [],
             friendRequestsSent: data.friendRequestsSent || [],
             friendRequestsReceived: data.friendRequestsReceived || [],
+            singleDeviceMode: !!data.singleDeviceMode,
             createdAt: data.createdAt,
             updatedAt: data.updatedAt
           });
@@ -0,0 +1,77 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    deleteDoc,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from './config';
+import todoService from './todoService';
+import routineService from './routineService';
+import recordService from './recordService';
+import tagService from './tagService';
+import socialService from './socialService';
+import userService from './userService';
+
+// 항목 서비스가 없는 하위 컬렉션 (직접 삭제)
+const OTHER_COLLECTIONS = ['expEvents', 'notifications', 'sessions', 'session'];
+
+// 한 번에 커밋할 최대 쓰기 수 (Firestore 배치 제한 500)
+const BATCH_SIZE = 450;
+
+/**
+ * 계정 삭제 시 Firestore의 사용자 데이터 정리
+ * Auth 사용자는 authService.deleteAccount에서 마지막에 삭제 (중간에 실패하면 다시 시도할 수 있도록)
+ */
+class AccountService {
+    /**
+     * 하위 컬렉션의 문서 모두 삭제 (삭제 표시 없이)
+     */
+    async deleteCollection(userId, name) {
+        const snapshot = await getDocs(query(collection(db, 'users', userId, name)));
+
+        for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+            const batch = writeBatch(db);
+            snapshot.docs.slice(i, i + BATCH_SIZE).forEach(docSnap => batch.delete(docSnap.ref));
+            await batch.commit();
+        }
+        return snapshot.docs.length;
+    }
+
+    /**
+     * 사용자의 모든 Firestore 데이터 삭제
+     * 1. 친구 / 친구 요청 관계 정리 (다른 사용자 문서에서 내 ID 제거)
+     * 2. 하위 컬렉션 (todos, routines, records, tags, expEvents, notifications, sessions)
+     * 3. 공개 프로필, 이메일 찾기 문서, 사용자 문서
+     */
+    async deleteUserData(userId) {
+        try {
+            const userSnap = await getDoc(doc(db, 'users', userId));
+            const email = userSnap.exists() ? userSnap.data().email : null;
+
+            await socialService.removeAllRelations(userId);
+
+            await todoService.deleteAllByUser(userId);
+            await routineService.deleteAllByUser(userId);
+            await recordService.deleteAllByUser(userId);
+            await tagService.deleteAllByUser(userId);
+
+            for (const name of OTHER_COLLECTIONS) {
+                await this.deleteCollection(userId, name);
+            }
+
+            await deleteDoc(userService.getPublicProfileRef(userId));
+            await userService.removeEmailLookup(userId, email);
+            await deleteDoc(doc(db, 'users', userId));
+
+            console.log('User data deleted:', userId);
+        } catch (error) {
+            console.error('Delete user data error:', error);
+            throw error;
+        }
+    }
+}
+
+export default new AccountService();
@@ -6,10 +6,30 @@ import {
     updateProfile,
     updatePassword,
     onAuthStateChanged,
-    sendEmailVerification
+    sendEmailVerification,
+    EmailAuthProvider,
+    reauthenticateWithCredential,
+    deleteUser,
+    verifyBeforeUpdateEmail,
+    verifyPasswordResetCode,
+    confirmPasswordReset,
+    applyActionCode
 } from 'firebase/auth';
 import { auth } from './config';
 import userService from './userService';
+import accountService from './accountService';
+
+// 이메일 작업 링크(비밀번호 재설정, 이메일 인증/변경)를 여는 주소
+// Firebase Hosting의 public/auth/action 페이지가 받은 mode / oobCode를 앱 링크(todaydo://auth/action)로 넘김
+// EXPO_PUBLIC_AUTH_ACTION_URL이 없으면 프로젝트 기본 Hosting 도메인(authDomain, 승인된 도메인에 기본 포함) 사용
+const AUTH_ACTION_URL = process.env.EXPO_PUBLIC_AUTH_ACTION_URL
+    || `https://${process.env.EXPO_PUBLIC_FIREBASE_AUTH_DOMAIN}/auth/action`;
+
+// 메일 링크를 웹 페이지에서 끝내지 않고 앱에서 처리
+const actionCodeSettings = {
+    url: AUTH_ACTION_URL,
+    handleCodeInApp: true
+};
 
 class AuthService {
     /**
@@ -23,7 +43,7 @@ class AuthService {
             const user = userCredential.user;
 
             // 이메일 인증 메일 발송
-            await sendEmailVerification(user);
+            await sendEmailVerification(user, actionCodeSettings);
             console.log('✅ Verification email sent to:', email);
 
             return {
@@ -70,7 +90,7 @@ class AuthService {
                 throw new Error('이미 인증된 계정입니다.');
             }
 
-            await sendEmailVerification(user);
+            await sendEmailVerification(user, actionCodeSettings);
             console.log('✅ Verification email resent');
         } catch (error) {
             console.error('Resend verification email error:', error);
@@ -137,6 +157,14 @@ class AuthService {
             // Firestore 프로필 가져오기
             let userProfile = await userService.getUserProfile(user.uid);
 
+            // 다른 곳에서 이메일 변경 인증을 마쳤으면 Firestore 이메일도 변경
+            if (await userService.syncEmail(user.uid, user.email)) {
+                userProfile = await userService.getUserProfile(user.uid);
+            }
+
+            // 공개 프로필이 없던 계정도 친구 검색에 나오도록 갱신
+            await userService.updatePublicProfile(user.uid, userProfile);
+
             // Firebase Auth와 Firestore 동기화
             if (user.emailVerified && !userProfile.emailVerified) {
                 console.log('[Auth] Syncing emailVerified to Firestore...');
@@ -197,7 +225,7 @@ class AuthService {
      */
     async resetPassword(email) {
         try {
-            await sendPasswordResetEmail(auth, email);
+            await sendPasswordResetEmail(auth, email, actionCodeSettings);
         } catch (error) {
             console.error('Reset Password Error:', error);
             const errorMessage = this._handleAuthError(error);
@@ -205,6 +233,51 @@ class AuthService {
         }
     }
 
+    /**
+     * 비밀번호 재설정 링크 확인 (앱으로 연 링크의 oobCode)
+     * @returns {string} 비밀번호를 바꿀 계정의 이메일
+     */
+    async verifyPasswordResetCode(oobCode) {
+        try {
+            return await verifyPasswordResetCode(auth, oobCode);
+        } catch (error) {
+            console.error('Verify Password Reset Code Error:', error);
+            throw this._toAuthError(error);
+        }
+    }
+
+    /**
+     * 비밀번호 재설정 (링크의 oobCode + 새 비밀번호)
+     */
+    async confirmPasswordReset(oobCode, newPassword) {
+        try {
+            await confirmPasswordReset(auth, oobCode, newPassword);
+            console.log('✅ Password reset confirmed');
+        } catch (error) {
+            console.error('Confirm Password Reset Error:', error);
+            throw this._toAuthError(error);
+        }
+    }
+
+    /**
+     * 이메일 작업 링크 적용 (이메일 인증, 이메일 변경 인증/복구)
+     * 로그인 상태면 사용자 정보를 다시 불러옴 (emailVerified 반영)
+     */
+    async applyActionCode(oobCode) {
+        try {
+            await applyActionCode(auth, oobCode);
+            console.log('✅ Action code applied');
+        } catch (error) {
+            console.error('Apply Action Code Error:', error);
+            throw this._toAuthError(error);
+        }
+
+        // 이메일 변경 등으로 로그인이 만료됐으면 다음 로그인 때 반영
+        await auth.currentUser?.reload().catch(error => {
+            console.warn('Reload after action code failed:', error.code);
+        });
+    }
+
     /**
      * 비밀번호 변경 (로그인 상태에서)
      */
@@ -217,8 +290,83 @@ class AuthService {
             console.log('✅ Password changed successfully');
         } catch (error) {
             console.error('Change Password Error:', error);
-            const errorMessage = this._handleAuthError(error);
-            throw new Error(errorMessage);
+            throw this._toAuthError(error);
+        }
+    }
+
+    /**
+     * 비밀번호로 다시 인증 (계정 삭제 등 최근 로그인이 필요한 작업 전)
+     */
+    async reauthenticate(password) {
+        try {
+            const user = auth.currentUser;
+            if (!user) throw new Error('로그인이 필요합니다.');
+
+            const credential = EmailAuthProvider.credential(user.email, password);
+            await reauthenticateWithCredential(user, credential);
+            console.log('✅ Reauthenticated');
+        } catch (error) {
+            console.error('Reauthenticate Error:', error);
+            throw this._toAuthError(error);
+        }
+    }
+
+    /**
+     * 이메일 변경 요청 (새 이메일로 인증 메일 발송, 최근 로그인이 필요 → withRecentLogin으로 호출)
+     * 새 이메일에서 링크를 눌러야 Auth 이메일이 바뀜 → 그 전까지 Firestore 이메일은 그대로
+     */
+    async requestEmailChange(newEmail) {
+        const user = auth.currentUser;
+        if (!user) throw new Error('로그인이 필요합니다.');
+        if (newEmail === user.email) throw new Error('현재 사용 중인 이메일입니다.');
+
+        try {
+            await verifyBeforeUpdateEmail(user, newEmail, actionCodeSettings);
+            console.log('✅ Email change verification sent to:', newEmail);
+        } catch (error) {
+            console.error('Request Email Change Error:', error);
+            throw this._toAuthError(error);
+        }
+
+        await userService.setPendingEmail(user.uid, newEmail);
+    }
+
+    /**
+     * 이메일 변경 인증 확인 (Auth 이메일이 바뀌었으면 Firestore 이메일도 변경)
+     * 이메일이 바뀌면 기존 로그인이 만료될 수 있음 → auth/user-token-expired면 새 이메일로 다시 로그인
+     * @returns {string|null} 바뀐 이메일 (아직 인증 전이면 null)
+     */
+    async checkEmailChange() {
+        const user = auth.currentUser;
+        if (!user) throw new Error('로그인이 필요합니다.');
+
+        try {
+            await user.reload();
+        } catch (error) {
+            console.error('Check Email Change Error:', error);
+            throw this._toAuthError(error);
+        }
+
+        const changed = await userService.syncEmail(user.uid, user.email);
+        return changed ? user.email : null;
+    }
+
+    /**
+     * 계정 삭제 (Firestore 데이터 → Auth 사용자 순서)
+     * 다시 인증한 직후에 호출 (useReauth의 withRecentLogin, force)
+     */
+    async deleteAccount() {
+        const user = auth.currentUser;
+        if (!user) throw new Error('로그인이 필요합니다.');
+
+        await accountService.deleteUserData(user.uid);
+
+        try {
+            await deleteUser(user);
+            console.log('✅ Account deleted');
+        } catch (error) {
+            console.error('Delete Account Error:', error);
+            throw this._toAuthError(error);
         }
     }
 
@@ -263,6 +411,13 @@ class AuthService {
         return onAuthStateChanged(auth, callback);
     }
 
+    /**
+     * 화면에 보여줄 메시지의 오류 (원래 code 유지 → auth/requires-recent-login이면 다시 인증 후 재시도)
+     */
+    _toAuthError(error) {
+        return Object.assign(new Error(this._handleAuthError(error)), { code: error.code });
+    }
+
     /**
      * 에러 처리
      */
@@ -306,6 +461,12 @@ class AuthService {
             case 'auth/requires-recent-login':
                 return '보안을 위해 다시 로그인이 필요합니다.';
 
+            // 이메일 링크 관련
+            case 'auth/expired-action-code':
+                return '링크가 만료되었습니다. 메일을 다시 요청해주세요.';
+            case 'auth/invalid-action-code':
+                return '유효하지 않거나 이미 사용한 링크입니다.';
+
             // 기타
             case 'auth/network-request-failed':
                 return '네트워크 연결을 확인해주세요.';
@@ -1,6 +1,6 @@
 import { initializeApp } from 'firebase/app';
-import { initializeAuth, getReactNativePersistence } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { initializeAuth, getReactNativePersistence, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // Firebase 구성 정보 
@@ -22,4 +22,11 @@ export const auth = initializeAuth(app, {
 
 export const db = getFirestore(app);
 
+// 로컬 에뮬레이터 사용 (EXPO_PUBLIC_FIREBASE_EMULATOR_HOST="127.0.0.1" 등, 실제 프로젝트 대신 오프라인 개발/테스트)
+const emulatorHost = process.env.EXPO_PUBLIC_FIREBASE_EMULATOR_HOST;
+if (emulatorHost) {
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, emulatorHost, 8080);
+}
+
 export default app;
\ No newline at end of file
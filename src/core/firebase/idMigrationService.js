@@ -0,0 +1,98 @@
+import {
+    collection,
+    doc,
+    getDocs,
+    query,
+    writeBatch,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from './config';
+import userService from './userService';
+import { ID_PREFIX, isLegacyId, getMigratedId, migrateItemIds } from '../utils/idUtils';
+
+// 옮길 컬렉션 → 항목 종류 (records는 날짜가 ID라 제외)
+const COLLECTION_TYPES = {
+    todos: 'todo',
+    routines: 'routine',
+    tags: 'tag'
+};
+
+// 한 번에 커밋할 최대 쓰기 수 (Firestore 배치 제한 500)
+const BATCH_SIZE = 450;
+
+/**
+ * 예전 형식 ID 문서를 새 ID 문서로 옮기기
+ * - 새 ID로 문서를 만들고 예전 문서는 삭제 표시(tombstone) → 다른 기기에도 증분 동기화로 전달
+ * - 이미 새 ID 문서가 있으면 (다른 기기에서 먼저 옮김) 예전 문서만 삭제 표시
+ * - 경험치 기록(expEvents)의 itemId도 새 ID로 (완료 취소/삭제 시 회수되도록)
+ */
+class IdMigrationService {
+    /**
+     * 사용자의 모든 예전 ID 문서 옮기기
+     * @returns {number} 쓰기 수 (0이면 옮길 문서 없음)
+     */
+    async migrateUser(userId) {
+        try {
+            const writes = [];
+
+            for (const [name, type] of Object.entries(COLLECTION_TYPES)) {
+                const snapshot = await getDocs(query(collection(db, 'users', userId, name)));
+                const ids = new Set(snapshot.docs.map(docSnap => docSnap.id));
+
+                snapshot.docs.forEach(docSnap => {
+                    const data = docSnap.data();
+                    if (data.deleted) return;
+
+                    const item = { ...data, id: docSnap.id };
+                    const migrated = migrateItemIds(type, item);
+                    if (migrated === item) return;
+
+                    const { baseVersions, ...remote } = migrated;
+
+                    // 세부 단계 ID만 바뀐 문서는 그 자리에서 수정
+                    if (migrated.id === docSnap.id) {
+                        writes.push(batch => batch.set(docSnap.ref, { ...remote, updatedAt: serverTimestamp() }));
+                        return;
+                    }
+
+                    if (!ids.has(migrated.id)) {
+                        writes.push(batch => batch.set(doc(db, 'users', userId, name, migrated.id), {
+                            ...remote,
+                            updatedAt: serverTimestamp()
+                        }));
+                    }
+                    writes.push(batch => batch.set(docSnap.ref, {
+                        deleted: true,
+                        updatedAt: serverTimestamp()
+                    }));
+                });
+            }
+
+            const events = await getDocs(query(userService.getExpEventsCollection(userId)));
+            events.docs.forEach(eventSnap => {
+                const event = eventSnap.data();
+                if (!ID_PREFIX[event.type] || !isLegacyId(event.itemId)) return;
+
+                const itemId = getMigratedId(ID_PREFIX[event.type], event.itemId);
+                const eventId = userService.getExpEventId(event.type, itemId, event.date);
+
+                writes.push(batch => batch.set(doc(userService.getExpEventsCollection(userId), eventId), { ...event, itemId }));
+                writes.push(batch => batch.delete(eventSnap.ref));
+            });
+
+            for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+                const batch = writeBatch(db);
+                writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+                await batch.commit();
+            }
+
+            console.log('Legacy IDs migrated:', userId, writes.length);
+            return writes.length;
+        } catch (error) {
+            console.error('Migrate legacy IDs error:', error);
+            throw error;
+        }
+    }
+}
+
+export default new IdMigrationService();
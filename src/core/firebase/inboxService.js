@@ -0,0 +1,206 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    orderBy,
+    limit,
+    getDocs,
+    onSnapshot,
+    writeBatch,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from './config';
+
+// 알림 종류별 카테고리 라벨
+const CATEGORY = {
+    todo: 'Todo',
+    routine: 'Routine',
+    record: 'Record',
+    friend: '친구',
+    level: '레벨',
+    title: '리워드'
+};
+
+// 구독 시 가져올 최대 알림 수
+const MAX_NOTIFICATIONS = 100;
+
+class InboxService {
+    // 사용자의 notifications 서브컬렉션 참조
+    getNotificationsCollection(userId) {
+        return collection(db, 'users', userId, 'notifications');
+    }
+
+    /**
+     * 실시간 구독: 최신순 알림 목록
+     */
+    subscribeNotifications(userId, callback) {
+        const q = query(
+            this.getNotificationsCollection(userId),
+            orderBy('createdAt', 'desc'),
+            limit(MAX_NOTIFICATIONS)
+        );
+        return onSnapshot(
+            q,
+            (snapshot) => {
+                const notifications = snapshot.docs.map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+                callback(notifications);
+            },
+            (error) => console.error('Subscribe notifications error:', error)
+        );
+    }
+
+    /**
+     * 알림 추가
+     * notificationId를 지정하면 같은 알림이 이미 있을 때 다시 만들지 않음 (중복 방지)
+     */
+    async add(userId, { type, message, data = null }, notificationId = null) {
+        try {
+            const docRef = notificationId
+                ? doc(db, 'users', userId, 'notifications', notificationId)
+                : doc(this.getNotificationsCollection(userId));
+
+            if (notificationId) {
+                const docSnap = await getDoc(docRef);
+                if (docSnap.exists()) return docRef.id;
+            }
+
+            await setDoc(docRef, {
+                type,
+                category: CATEGORY[type] || '알림',
+                message,
+                data,
+                isRead: false,
+                createdAt: serverTimestamp()
+            });
+
+            console.log('Notification added:', docRef.id);
+            return docRef.id;
+        } catch (error) {
+            console.error('Add notification error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 예약 알림(리마인더) 수신 기록
+     */
+    async addReminder(userId, notification) {
+        const { identifier, content } = notification.request;
+        const type = content.data?.type === 'routine' ? 'routine' : 'todo';
+
+        return this.add(userId, {
+            type,
+            message: content.body,
+            data: content.data || null
+        }, `reminder_${identifier}`);
+    }
+
+    /**
+     * 친구 요청 받음 (요청 보낸 사용자가 상대방 알림함에 기록)
+     */
+    async addFriendRequest(targetUserId, fromUser) {
+        return this.add(targetUserId, {
+            type: 'friend',
+            message: `${fromUser.nickname || '알 수 없음'}님이 친구 요청을 보냈어요.`,
+            data: { userId: fromUser.id, action: 'request' }
+        });
+    }
+
+    /**
+     * 친구 요청 수락됨 (수락한 사용자가 요청자 알림함에 기록)
+     */
+    async addFriendAccepted(requesterId, accepter) {
+        return this.add(requesterId, {
+            type: 'friend',
+            message: `${accepter.nickname || '알 수 없음'}님이 친구 요청을 수락했어요.`,
+            data: { userId: accepter.id, action: 'accept' }
+        });
+    }
+
+    /**
+     * 레벨업
+     * 레벨다운 후 같은 레벨에 다시 오를 수 있으므로 달성 시각까지 ID에 포함
+     */
+    async addLevelUp(userId, level) {
+        return this.add(userId, {
+            type: 'level',
+            message: `축하해요! 레벨 ${level}을 달성했어요.`,
+            data: { level }
+        }, `level_${level}_${Date.now()}`);
+    }
+
+    /**
+     * 획득 가능한 칭호
+     */
+    async addTitleAchievable(userId, reward) {
+        return this.add(userId, {
+            type: 'title',
+            message: `'${reward.title}' 칭호를 받을 수 있어요!`,
+            data: { rewardId: reward.id }
+        }, `title_${reward.id}`);
+    }
+
+    /**
+     * 읽음 처리
+     */
+    async markAsRead(userId, notificationId) {
+        try {
+            await updateDoc(doc(db, 'users', userId, 'notifications', notificationId), {
+                isRead: true
+            });
+        } catch (error) {
+            console.error('Mark notification as read error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 모두 읽음 처리
+     */
+    async markAllAsRead(userId, notificationIds) {
+        try {
+            const batch = writeBatch(db);
+            notificationIds.forEach(id => {
+                batch.update(doc(db, 'users', userId, 'notifications', id), { isRead: true });
+            });
+            await batch.commit();
+        } catch (error) {
+            console.error('Mark all notifications as read error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 알림 삭제
+     */
+    async delete(userId, notificationId) {
+        try {
+            await deleteDoc(doc(db, 'users', userId, 'notifications', notificationId));
+        } catch (error) {
+            console.error('Delete notification error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자의 모든 알림 삭제
+     */
+    async deleteAllByUser(userId) {
+        try {
+            const snapshot = await getDocs(this.getNotificationsCollection(userId));
+            await Promise.all(snapshot.docs.map(docSnap => deleteDoc(docSnap.ref)));
+        } catch (error) {
+            console.error('Delete all notifications error:', error);
+            throw error;
+        }
+    }
+}
+
+export default new InboxService();
@@ -8,7 +8,9 @@ import {
     getDocs,
     doc,
     onSnapshot,
-    Timestamp
+    where,
+    Timestamp,
+    serverTimestamp
 } from 'firebase/firestore';
 import { db } from './config';
 
@@ -19,18 +21,28 @@ class RecordService {
     }
 
     /**
-     * 실시간 구독: userId의 모든 Record
+     * 실시간 구독: userId의 Record 변경분
+     * since(ms)가 있으면 그 이후 변경된 항목만 받음, 삭제된 항목은 { id, deleted: true }
      */
-    subscribeRecords(userId, callback) {
-        const q = query(this.getRecordsCollection(userId));
+    subscribeRecords(userId, callback, since = null) {
+        const q = since
+            ? query(this.getRecordsCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)))
+            : query(this.getRecordsCollection(userId));
         return onSnapshot(
             q,
             (snapshot) => {
-                const records = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    date: doc.id, // id와 date 일치 보장
-                    ...doc.data()
-                }));
+                const records = snapshot.docChanges()
+                    // 서버에 아직 반영되지 않은 변경은 서버 시각(updatedAt)이 정해진 뒤 다시 받음
+                    .filter(change => !change.doc.metadata.hasPendingWrites)
+                    // since 구독에서 빠지는 항목은 삭제가 아님 (updatedAt 갱신 대기 중)
+                    .filter(change => change.type !== 'removed' || !since)
+                    .map(change => change.type === 'removed'
+                        ? { id: change.doc.id, deleted: true }
+                        : {
+                            id: change.doc.id,
+                            date: change.doc.id, // id와 date 일치 보장
+                            ...change.doc.data()
+                        });
                 callback(records);
             },
             (error) => console.error('Subscribe records error:', error)
@@ -44,14 +56,34 @@ class RecordService {
         try {
             const q = query(this.getRecordsCollection(userId));
             const snapshot = await getDocs(q);
+            return snapshot.docs
+                .filter(doc => !doc.data().deleted)
+                .map(doc => ({
+                    id: doc.id,
+                    date: doc.id, // id와 date 일치 보장
+                    ...doc.data()
+                }));
+        } catch (error) {
+            console.error('Get records error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * since(ms) 이후 변경된 Record (삭제 표시 포함, 증분 동기화용)
+     */
+    async getChangedSince(userId, since) {
+        try {
+            const q = query(this.getRecordsCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)));
+            const snapshot = await getDocs(q);
             return snapshot.docs.map(doc => ({
                 id: doc.id,
                 date: doc.id, // id와 date 일치 보장
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('Get records error:', error);
-            return [];
+            console.error('Get changed records error:', error);
+            throw error;
         }
     }
 
@@ -97,7 +129,7 @@ class RecordService {
                 ...dataWithoutId,
                 date: recordId, // date 명시적 저장
                 createdAt: Timestamp.now(),
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Record created:', recordId);
@@ -123,7 +155,8 @@ class RecordService {
             const docRef = doc(db, 'users', userId, 'records', recordId);
             const docSnap = await getDoc(docRef);
 
-            if (!docSnap.exists()) {
+            // 삭제 표시된 항목도 없는 것으로 처리 (다시 생성)
+            if (!docSnap.exists() || docSnap.data().deleted) {
                 throw new Error('Record not found');
             }
 
@@ -133,7 +166,7 @@ class RecordService {
             await updateDoc(docRef, {
                 ...updateData,
                 date: recordId, // date 유지
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Record updated:', recordId);
@@ -146,10 +179,14 @@ class RecordService {
 
     /**
      * Record 삭제 (ID로 - date와 동일)
+     * 다른 기기에 삭제가 전달되도록 문서 대신 삭제 표시(tombstone)를 남김
      */
     async delete(userId, recordId) {
         try {
-            await deleteDoc(doc(db, 'users', userId, 'records', recordId));
+            await setDoc(doc(db, 'users', userId, 'records', recordId), {
+                deleted: true,
+                updatedAt: serverTimestamp()
+            });
             console.log('Record deleted:', recordId);
         } catch (error) {
             console.error('Delete record error:', error);
@@ -158,12 +195,12 @@ class RecordService {
     }
 
     /**
-     * 여러 Record 삭제 (ID 배열)
+     * 여러 Record 완전 삭제 (ID 배열, 삭제 표시 없이)
      */
     async deleteMany(userId, recordIds) {
         try {
             await Promise.all(
-                recordIds.map(id => this.delete(userId, id))
+                recordIds.map(id => deleteDoc(doc(db, 'users', userId, 'records', id)))
             );
         } catch (error) {
             console.error('Delete many records error:', error);
@@ -176,8 +213,9 @@ class RecordService {
      */
     async deleteAllByUser(userId) {
         try {
-            const records = await this.getAllByUser(userId);
-            await this.deleteMany(userId, records.map(r => r.id));
+            // 삭제 표시까지 모두 지움
+            const snapshot = await getDocs(query(this.getRecordsCollection(userId)));
+            await this.deleteMany(userId, snapshot.docs.map(doc => doc.id));
         } catch (error) {
             console.error('Delete all records error:', error);
             throw error;
@@ -8,7 +8,9 @@ import {
     getDocs,
     doc,
     onSnapshot,
-    Timestamp
+    where,
+    Timestamp,
+    serverTimestamp
 } from 'firebase/firestore';
 import { db } from './config';
 
@@ -19,17 +21,27 @@ class RoutineService {
     }
 
     /**
-     * 실시간 구독: userId의 모든 Routine
+     * 실시간 구독: userId의 Routine 변경분
+     * since(ms)가 있으면 그 이후 변경된 항목만 받음, 삭제된 항목은 { id, deleted: true }
      */
-    subscribeRoutines(userId, callback) {
-        const q = query(this.getRoutinesCollection(userId));
+    subscribeRoutines(userId, callback, since = null) {
+        const q = since
+            ? query(this.getRoutinesCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)))
+            : query(this.getRoutinesCollection(userId));
         return onSnapshot(
             q,
             (snapshot) => {
-                const routines = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }));
+                const routines = snapshot.docChanges()
+                    // 서버에 아직 반영되지 않은 변경은 서버 시각(updatedAt)이 정해진 뒤 다시 받음
+                    .filter(change => !change.doc.metadata.hasPendingWrites)
+                    // since 구독에서 빠지는 항목은 삭제가 아님 (updatedAt 갱신 대기 중)
+                    .filter(change => change.type !== 'removed' || !since)
+                    .map(change => change.type === 'removed'
+                        ? { id: change.doc.id, deleted: true }
+                        : {
+                            id: change.doc.id,
+                            ...change.doc.data()
+                        });
                 callback(routines);
             },
             (error) => console.error('Subscribe routines error:', error)
@@ -43,13 +55,32 @@ class RoutineService {
         try {
             const q = query(this.getRoutinesCollection(userId));
             const snapshot = await getDocs(q);
+            return snapshot.docs
+                .filter(doc => !doc.data().deleted)
+                .map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+        } catch (error) {
+            console.error('Get routines error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * since(ms) 이후 변경된 Routine (삭제 표시 포함, 증분 동기화용)
+     */
+    async getChangedSince(userId, since) {
+        try {
+            const q = query(this.getRoutinesCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)));
+            const snapshot = await getDocs(q);
             return snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('Get routines error:', error);
-            return [];
+            console.error('Get changed routines error:', error);
+            throw error;
         }
     }
 
@@ -87,7 +118,7 @@ class RoutineService {
             await setDoc(docRef, {
                 ...routineData,
                 createdAt: Timestamp.now(),
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Routine created:', routineData.id);
@@ -110,7 +141,8 @@ class RoutineService {
             const docRef = doc(db, 'users', userId, 'routines', routineData.id);
             const docSnap = await getDoc(docRef);
 
-            if (!docSnap.exists()) {
+            // 삭제 표시된 항목도 없는 것으로 처리 (다시 생성)
+            if (!docSnap.exists() || docSnap.data().deleted) {
                 throw new Error('Routine not found');
             }
 
@@ -118,7 +150,7 @@ class RoutineService {
             
             await updateDoc(docRef, {
                 ...updateData,
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Routine updated:', routineData.id);
@@ -131,10 +163,14 @@ class RoutineService {
 
     /**
      * Routine 삭제
+     * 다른 기기에 삭제가 전달되도록 문서 대신 삭제 표시(tombstone)를 남김
      */
     async delete(userId, routineId) {
         try {
-            await deleteDoc(doc(db, 'users', userId, 'routines', routineId));
+            await setDoc(doc(db, 'users', userId, 'routines', routineId), {
+                deleted: true,
+                updatedAt: serverTimestamp()
+            });
         } catch (error) {
             console.error('Delete routine error:', error);
             throw error;
@@ -142,7 +178,7 @@ class RoutineService {
     }
 
     /**
-     * 여러 Routine 삭제
+     * 여러 Routine 완전 삭제 (삭제 표시 없이)
      */
     async deleteMany(userId, routineIds) {
         try {
@@ -160,8 +196,9 @@ class RoutineService {
      */
     async deleteAllByUser(userId) {
         try {
-            const routines = await this.getAllByUser(userId);
-            await this.deleteMany(userId, routines.map(r => r.id));
+            // 삭제 표시까지 모두 지움
+            const snapshot = await getDocs(query(this.getRoutinesCollection(userId)));
+            await this.deleteMany(userId, snapshot.docs.map(doc => doc.id));
         } catch (error) {
             console.error('Delete all routines error:', error);
             throw error;
@@ -1,12 +1,43 @@
-import { doc, setDoc, deleteDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { AppState, Platform } from 'react-native';
+import * as Device from 'expo-device';
 import { db, auth } from './config';
+import { toMillis } from '../utils/dateUtils';
 
+// lastActive 갱신 주기
+const HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
+
+// 이 기간 동안 활동이 없는 세션은 목록에서 정리
+const STALE_SESSION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 기기별 로그인 세션 (users/{uid}/sessions/{sessionId})
+ * - 여러 기기에서 동시에 로그인 가능, 세션마다 기기 이름과 마지막 활동 시각(lastActive) 저장
+ * - 다른 기기에서 세션 문서를 삭제하면(원격 로그아웃) 그 기기는 로그아웃
+ * - 단일 기기 모드(users/{uid}.singleDeviceMode)면 로그인 시 다른 기기의 세션을 모두 삭제
+ */
 class SessionManager {
   constructor() {
+    this.userId = null;
     this.currentSessionId = null;
     this.sessionUnsubscribe = null;
     this.isActiveSession = true;
     this.isHandlingConflict = false;
+    this.heartbeatTimer = null;
+    this.appStateSubscription = null;
+    this.onSessionEndedCallback = null;
   }
 
   /**
@@ -16,18 +47,37 @@ class SessionManager {
     return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  // 사용자의 sessions 서브컬렉션 참조
+  getSessionsCollection(userId) {
+    return collection(db, 'users', userId, 'sessions');
+  }
+
+  /**
+   * 목록에 보여줄 기기 정보
+   */
+  getDeviceInfo() {
+    return {
+      deviceName: Device.deviceName || Device.modelName || '알 수 없는 기기',
+      modelName: Device.modelName || null,
+      platform: Device.osName || Platform.OS,
+    };
+  }
+
   /**
    * 세션 시작 (로그인 시 호출)
+   * 같은 사용자의 세션이 이미 진행 중이면 그대로 사용
    */
   async startSession(userId) {
     try {
-      // 기존 구독 정리
-      if (this.sessionUnsubscribe) {
-        this.sessionUnsubscribe();
-        this.sessionUnsubscribe = null;
+      if (this.currentSessionId && this.userId === userId && this.isActiveSession) {
+        return true;
       }
 
+      // 기존 구독 정리
+      this.stopListening();
+
       // 1. 새 세션 ID 생성
+      this.userId = userId;
       this.currentSessionId = this.generateSessionId();
       this.isActiveSession = true;
       this.isHandlingConflict = false;
@@ -35,38 +85,37 @@ class SessionManager {
       console.log('[Session] Starting session:', this.currentSessionId);
 
       // 2. Firestore에 현재 세션 저장
-      const sessionRef = doc(db, 'users', userId, 'session', 'active');
+      const sessionRef = doc(this.getSessionsCollection(userId), this.currentSessionId);
       await setDoc(sessionRef, {
         sessionId: this.currentSessionId,
+        ...this.getDeviceInfo(),
         lastActive: serverTimestamp(),
         createdAt: serverTimestamp()
       });
 
-      // 3. 세션 변경 감지 (다른 기기에서 로그인 시)
+      // 3. 단일 기기 모드면 다른 기기 로그아웃, 오래된 세션 정리
+      const userSnap = await getDoc(doc(db, 'users', userId));
+      const singleDeviceMode = !!userSnap.data()?.singleDeviceMode;
+      await this.cleanupSessions(userId, { revokeOthers: singleDeviceMode });
+
+      // 4. 내 세션 문서가 삭제되면(다른 기기에서 로그아웃) 로그아웃
       this.sessionUnsubscribe = onSnapshot(
-        sessionRef, 
+        sessionRef,
         (docSnap) => {
-          // 이미 충돌 처리 중이거나 세션이 비활성화되면 무시
+          // 이미 처리 중이거나 세션이 비활성화되면 무시
           if (this.isHandlingConflict || !this.isActiveSession) {
             return;
           }
 
-          if (docSnap.exists()) {
-            const data = docSnap.data();
-            
-            // 다른 세션 ID가 감지되면 강제 로그아웃
-            if (data.sessionId !== this.currentSessionId) {
-              console.warn('[Session] Another device logged in. Current session will be terminated.');
-              this.handleSessionConflict();
-            }
+          if (!docSnap.exists()) {
+            console.warn('[Session] Session revoked from another device.');
+            this.handleSessionConflict();
           }
         },
         (error) => {
-          // permission-denied 오류는 세션이 만료되었다는 의미
           if (error.code === 'permission-denied') {
-            console.warn('[Session] Permission denied - session has been replaced by another device');
-            
-            // 이미 처리 중이 아니면 충돌 처리
+            console.warn('[Session] Permission denied - session is no longer valid');
+
             if (!this.isHandlingConflict && this.isActiveSession) {
               this.handleSessionConflict();
             }
@@ -76,6 +125,8 @@ class SessionManager {
         }
       );
 
+      this.startHeartbeat(userId);
+
       console.log('✅ Session started successfully');
       return true;
 
@@ -86,19 +137,66 @@ class SessionManager {
   }
 
   /**
-   * 세션 충돌 처리 (다른 기기 로그인 감지)
+   * 다른 세션 정리
+   * - revokeOthers: 현재 세션을 제외한 모든 세션 삭제 (단일 기기 모드)
+   * - 오래 활동이 없는 세션, 예전 단일 세션 문서(session/active) 삭제
    */
-  handleSessionConflict() {
-    if (this.isHandlingConflict) {
-      return; // 이미 처리 중이면 중복 실행 방지
+  async cleanupSessions(userId, { revokeOthers = false } = {}) {
+    try {
+      const snapshot = await getDocs(this.getSessionsCollection(userId));
+      const now = Date.now();
+
+      const targets = snapshot.docs.filter(docSnap => {
+        if (docSnap.id === this.currentSessionId) return false;
+        if (revokeOthers) return true;
+
+        const lastActive = toMillis(docSnap.data().lastActive);
+        return lastActive > 0 && now - lastActive > STALE_SESSION_MS;
+      });
+
+      await Promise.all(targets.map(docSnap => deleteDoc(docSnap.ref)));
+      await deleteDoc(doc(db, 'users', userId, 'session', 'active'));
+
+      if (targets.length > 0) {
+        console.log('[Session] Removed sessions:', targets.length);
+      }
+    } catch (error) {
+      console.warn('[Session] Cleanup sessions error:', error);
     }
+  }
 
-    this.isHandlingConflict = true;
-    this.isActiveSession = false;
-    
-    console.log('[Session] Handling session conflict - cleaning up');
-    
-    // 실시간 구독 즉시 정리 (추가 오류 방지)
+  /**
+   * lastActive 주기적 갱신 (앱이 활성 상태로 돌아올 때도 갱신)
+   */
+  startHeartbeat(userId) {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (AppState.currentState === 'active') {
+        this.updateLastActive(userId);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.updateLastActive(userId);
+      }
+    });
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+  }
+
+  // 실시간 구독과 heartbeat 정리
+  stopListening() {
     if (this.sessionUnsubscribe) {
       try {
         this.sessionUnsubscribe();
@@ -107,22 +205,40 @@ class SessionManager {
       }
       this.sessionUnsubscribe = null;
     }
+    this.stopHeartbeat();
+  }
 
-    // 사용자에게 알림
-    alert('다른 기기에서 로그인되어 현재 세션이 종료됩니다.');
-    
-    // Firebase 로그아웃 강제 실행
-    console.log('[Session] Force logout due to session conflict');
-    auth.signOut().catch(err => {
-      console.error('[Session] Logout error:', err);
-    });
+  /**
+   * 세션 종료 처리 (다른 기기에서 로그아웃시킴, 단일 기기 모드)
+   */
+  handleSessionConflict() {
+    if (this.isHandlingConflict) {
+      return; // 이미 처리 중이면 중복 실행 방지
+    }
+
+    this.isHandlingConflict = true;
+    this.isActiveSession = false;
+    const userId = this.userId;
+
+    console.log('[Session] Handling session revoke - cleaning up');
+
+    // 실시간 구독 즉시 정리 (추가 오류 방지)
+    this.stopListening();
+
+    // Firebase 로그아웃 강제 실행 → 끝나면 authContext에서 알림과 로컬 데이터 삭제
+    console.log('[Session] Force logout due to session revoke');
+    return auth.signOut()
+      .catch(err => {
+        console.error('[Session] Logout error:', err);
+      })
+      .then(() => this.onSessionEndedCallback?.(userId));
   }
 
   /**
-   * 세션 충돌 콜백 등록 (UI에서 모달 표시용)
+   * 세션 종료 콜백 등록 (다른 기기에서 로그아웃시켰을 때 알림과 로컬 데이터 삭제용, 인자는 로그아웃된 uid)
    */
-  setOnSessionConflict(callback) {
-    this.onSessionConflictCallback = callback;
+  setOnSessionEnded(callback) {
+    this.onSessionEndedCallback = callback;
   }
 
   /**
@@ -136,29 +252,22 @@ class SessionManager {
       this.isActiveSession = false;
 
       // 실시간 구독 정리
-      if (this.sessionUnsubscribe) {
-        try {
-          this.sessionUnsubscribe();
-        } catch (err) {
-          console.error('[Session] Error unsubscribing:', err);
-        }
-        this.sessionUnsubscribe = null;
-      }
+      this.stopListening();
 
       // Firestore 세션 삭제 (현재 세션이 활성 상태였을 때만)
       if (this.currentSessionId && !this.isHandlingConflict) {
         try {
-          const sessionRef = doc(db, 'users', userId, 'session', 'active');
-          await deleteDoc(sessionRef);
+          await deleteDoc(doc(this.getSessionsCollection(userId), this.currentSessionId));
           console.log('[Session] Firestore session deleted');
         } catch (error) {
-          // permission-denied는 이미 다른 세션으로 대체된 경우이므로 무시
+          // permission-denied는 이미 세션이 정리된 경우이므로 무시
           if (error.code !== 'permission-denied') {
             console.warn('[Session] Failed to delete session from Firestore:', error);
           }
         }
       }
-      
+
+      this.userId = null;
       this.currentSessionId = null;
       this.isHandlingConflict = false;
 
@@ -177,29 +286,89 @@ class SessionManager {
   }
 
   /**
-   * 주기적으로 세션 활성화 업데이트 (선택사항)
-   * 앱이 활성 상태일 때 주기적으로 호출
+   * 현재 기기의 세션 ID
+   */
+  getCurrentSessionId() {
+    return this.currentSessionId;
+  }
+
+  /**
+   * 마지막 활동 시각 갱신 (heartbeat)
+   * 세션 문서가 삭제되었으면(다른 기기에서 로그아웃) 다시 만들지 않고 로그아웃
    */
   async updateLastActive(userId) {
     if (!this.isActiveSession || !this.currentSessionId) return;
 
     try {
-      const sessionRef = doc(db, 'users', userId, 'session', 'active');
-      await setDoc(sessionRef, {
-        sessionId: this.currentSessionId,
+      await updateDoc(doc(this.getSessionsCollection(userId), this.currentSessionId), {
         lastActive: serverTimestamp()
-      }, { merge: true });
+      });
 
     } catch (error) {
-      // permission-denied는 세션이 만료되었다는 의미
-      if (error.code === 'permission-denied') {
-        console.warn('[Session] Session expired during updateLastActive');
+      if (error.code === 'not-found' || error.code === 'permission-denied') {
+        console.warn('[Session] Session revoked during updateLastActive');
         this.handleSessionConflict();
       } else {
         console.error('[Session] Update last active error:', error);
       }
     }
   }
+
+  /**
+   * 로그인된 기기 목록 실시간 구독 (최근 활동순)
+   */
+  subscribeSessions(userId, callback) {
+    const q = query(this.getSessionsCollection(userId), orderBy('lastActive', 'desc'));
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        const sessions = snapshot.docs.map(docSnap => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+          isCurrent: docSnap.id === this.currentSessionId
+        }));
+        callback(sessions);
+      },
+      (error) => console.error('[Session] Subscribe sessions error:', error)
+    );
+  }
+
+  /**
+   * 다른 기기 로그아웃 (세션 문서 삭제 → 그 기기가 감지하고 로그아웃)
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      if (sessionId === this.currentSessionId) {
+        throw new Error('현재 기기는 로그아웃 메뉴를 사용해주세요.');
+      }
+
+      await deleteDoc(doc(this.getSessionsCollection(userId), sessionId));
+      console.log('[Session] Session revoked:', sessionId);
+    } catch (error) {
+      console.error('[Session] Revoke session error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 단일 기기 모드 설정 (켜면 다른 기기는 바로 로그아웃)
+   */
+  async setSingleDeviceMode(userId, enabled) {
+    try {
+      await updateDoc(doc(db, 'users', userId), {
+        singleDeviceMode: enabled,
+        updatedAt: serverTimestamp()
+      });
+
+      if (enabled) {
+        await this.cleanupSessions(userId, { revokeOthers: true });
+      }
+      console.log('[Session] Single device mode:', enabled);
+    } catch (error) {
+      console.error('[Session] Set single device mode error:', error);
+      throw error;
+    }
+  }
 }
 
-export default new SessionManager();
\ No newline at end of file
+export default new SessionManager();
@@ -4,29 +4,45 @@ import {
     updateDoc,
     arrayUnion,
     arrayRemove,
-    query,
-    collection,
-    where,
-    getDocs,
     serverTimestamp
 } from 'firebase/firestore';
 import { db } from './config';
+import inboxService from './inboxService';
+import userService from './userService';
 
 class SocialService {
+    /**
+     * 다른 사용자 문서의 친구 관련 배열에서 내 ID 제거
+     * 이미 제거됐으면(보안 규칙이 바뀌지 않는 쓰기를 거부) 또는 문서가 없으면 건너뜀
+     */
+    async removeSelfFrom(otherId, field, userId) {
+        try {
+            await updateDoc(doc(db, 'users', otherId), {
+                [field]: arrayRemove(userId),
+                updatedAt: serverTimestamp()
+            });
+        } catch (error) {
+            if (error.code !== 'not-found' && error.code !== 'permission-denied') throw error;
+            console.log('Relation already removed:', otherId, field);
+        }
+    }
+
     /**
      * 이메일로 사용자 검색
      */
     async searchUserByEmail(email) {
         try {
-            const usersRef = collection(db, 'users');
-            const q = query(usersRef, where('email', '==', email));
-            const snapshot = await getDocs(q);
-            
-            if (snapshot.empty) {
+            // 정확한 이메일로 찾기 문서를 읽은 뒤 공개 프로필 조회 (보안 규칙상 프로필 목록 조회 불가)
+            const lookupSnap = await getDoc(userService.getEmailLookupRef(email));
+            if (!lookupSnap.exists()) {
                 return null;
             }
-            
-            const userDoc = snapshot.docs[0];
+
+            const userDoc = await getDoc(userService.getPublicProfileRef(lookupSnap.data().uid));
+            if (!userDoc.exists()) {
+                return null;
+            }
+
             return {
                 id: userDoc.id,
                 email: userDoc.data().email,
@@ -62,6 +78,11 @@ class SocialService {
             if (friends.includes(targetUser.id)) {
                 throw new Error('이미 친구입니다.');
             }
+
+            // 같은 요청을 다시 보내지 않음 (보안 규칙이 바뀌지 않는 쓰기를 거부)
+            if ((fromUserDoc.data()?.friendRequestsSent || []).includes(targetUser.id)) {
+                throw new Error('이미 친구 요청을 보냈습니다.');
+            }
             
             // 요청 보낸 목록에 추가
             await updateDoc(doc(db, 'users', fromUserId), {
@@ -75,6 +96,12 @@ class SocialService {
                 updatedAt: serverTimestamp()
             });
             
+            // 상대방 알림함에 기록 (실패해도 요청은 유지)
+            await inboxService.addFriendRequest(targetUser.id, {
+                id: fromUserId,
+                nickname: fromUserDoc.data()?.nickname
+            }).catch(error => console.error('❌ Friend request notification error:', error));
+            
             console.log('✅ Friend request sent');
             return { success: true, targetUser };
             
@@ -102,6 +129,13 @@ class SocialService {
                 updatedAt: serverTimestamp()
             });
             
+            // 요청자 알림함에 기록 (실패해도 수락은 유지)
+            const userDoc = await getDoc(doc(db, 'users', userId));
+            await inboxService.addFriendAccepted(requesterId, {
+                id: userId,
+                nickname: userDoc.data()?.nickname
+            }).catch(error => console.error('❌ Friend accepted notification error:', error));
+            
             console.log('✅ Friend request accepted');
             return { success: true };
             
@@ -121,10 +155,7 @@ class SocialService {
                 updatedAt: serverTimestamp()
             });
             
-            await updateDoc(doc(db, 'users', requesterId), {
-                friendRequestsSent: arrayRemove(userId),
-                updatedAt: serverTimestamp()
-            });
+            await this.removeSelfFrom(requesterId, 'friendRequestsSent', userId);
             
             console.log('✅ Friend request rejected');
             return { success: true };
@@ -145,10 +176,7 @@ class SocialService {
                 updatedAt: serverTimestamp()
             });
             
-            await updateDoc(doc(db, 'users', targetUserId), {
-                friendRequestsReceived: arrayRemove(userId),
-                updatedAt: serverTimestamp()
-            });
+            await this.removeSelfFrom(targetUserId, 'friendRequestsReceived', userId);
             
             console.log('✅ Friend request cancelled');
             return { success: true };
@@ -169,10 +197,7 @@ class SocialService {
                 updatedAt: serverTimestamp()
             });
             
-            await updateDoc(doc(db, 'users', friendId), {
-                friends: arrayRemove(userId),
-                updatedAt: serverTimestamp()
-            });
+            await this.removeSelfFrom(friendId, 'friends', userId);
             
             console.log('✅ Friend removed');
             return { success: true };
@@ -183,6 +208,34 @@ class SocialService {
         }
     }
 
+    /**
+     * 모든 친구 관계 정리 (계정 삭제 시)
+     * 친구의 friends, 요청 상대의 friendRequestsSent / friendRequestsReceived에서 내 ID 제거
+     * 상대 문서가 이미 없거나 이미 제거됐으면 건너뜀
+     */
+    async removeAllRelations(userId) {
+        try {
+            const userDoc = await getDoc(doc(db, 'users', userId));
+            if (!userDoc.exists()) return;
+
+            const data = userDoc.data();
+            const updates = [
+                ...(data.friends || []).map(id => [id, 'friends']),
+                ...(data.friendRequestsReceived || []).map(id => [id, 'friendRequestsSent']),
+                ...(data.friendRequestsSent || []).map(id => [id, 'friendRequestsReceived'])
+            ];
+
+            for (const [otherId, field] of updates) {
+                await this.removeSelfFrom(otherId, field, userId);
+            }
+
+            console.log('✅ Friend relations removed:', updates.length);
+        } catch (error) {
+            console.error('❌ Remove all relations error:', error);
+            throw error;
+        }
+    }
+
     /**
      * 친구 목록 조회 (상세 정보 포함)
      */
@@ -198,7 +251,7 @@ class SocialService {
             // 친구들의 상세 정보 가져오기
             const friendsData = await Promise.all(
                 friendIds.map(async (friendId) => {
-                    const friendDoc = await getDoc(doc(db, 'users', friendId));
+                    const friendDoc = await getDoc(userService.getPublicProfileRef(friendId));
                     if (friendDoc.exists()) {
                         return {
                             id: friendDoc.id,
@@ -234,7 +287,7 @@ class SocialService {
             
             const requestsData = await Promise.all(
                 requestIds.map(async (requesterId) => {
-                    const requesterDoc = await getDoc(doc(db, 'users', requesterId));
+                    const requesterDoc = await getDoc(userService.getPublicProfileRef(requesterId));
                     if (requesterDoc.exists()) {
                         return {
                             id: requesterDoc.id,
@@ -269,7 +322,7 @@ class SocialService {
             
             const requestsData = await Promise.all(
                 requestIds.map(async (targetId) => {
-                    const targetDoc = await getDoc(doc(db, 'users', targetId));
+                    const targetDoc = await getDoc(userService.getPublicProfileRef(targetId));
                     if (targetDoc.exists()) {
                         return {
                             id: targetDoc.id,
@@ -295,7 +348,7 @@ class SocialService {
      */
     async getFriendStats(friendId) {
         try {
-            const friendDoc = await getDoc(doc(db, 'users', friendId));
+            const friendDoc = await getDoc(userService.getPublicProfileRef(friendId));
             
             if (!friendDoc.exists()) {
                 throw new Error('Friend not found');
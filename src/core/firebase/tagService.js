@@ -7,7 +7,10 @@ import {
     query,
     getDocs,
     doc,
-    onSnapshot
+    onSnapshot,
+    where,
+    Timestamp,
+    serverTimestamp
 } from 'firebase/firestore';
 import { db } from './config';
 
@@ -18,17 +21,27 @@ class TagService {
     }
 
     /**
-     * 실시간 구독: userId의 모든 Tag
+     * 실시간 구독: userId의 Tag 변경분
+     * since(ms)가 있으면 그 이후 변경된 항목만 받음, 삭제된 항목은 { id, deleted: true }
      */
-    subscribeTags(userId, callback) {
-        const q = query(this.getTagsCollection(userId));
+    subscribeTags(userId, callback, since = null) {
+        const q = since
+            ? query(this.getTagsCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)))
+            : query(this.getTagsCollection(userId));
         return onSnapshot(
             q,
             (snapshot) => {
-                const tags = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }));
+                const tags = snapshot.docChanges()
+                    // 서버에 아직 반영되지 않은 변경은 서버 시각(updatedAt)이 정해진 뒤 다시 받음
+                    .filter(change => !change.doc.metadata.hasPendingWrites)
+                    // since 구독에서 빠지는 항목은 삭제가 아님 (updatedAt 갱신 대기 중)
+                    .filter(change => change.type !== 'removed' || !since)
+                    .map(change => change.type === 'removed'
+                        ? { id: change.doc.id, deleted: true }
+                        : {
+                            id: change.doc.id,
+                            ...change.doc.data()
+                        });
                 callback(tags);
             },
             (error) => console.error('Subscribe tags error:', error)
@@ -42,13 +55,32 @@ class TagService {
         try {
             const q = query(this.getTagsCollection(userId));
             const snapshot = await getDocs(q);
+            return snapshot.docs
+                .filter(doc => !doc.data().deleted)
+                .map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+        } catch (error) {
+            console.error('Get tags error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * since(ms) 이후 변경된 Tag (삭제 표시 포함, 증분 동기화용)
+     */
+    async getChangedSince(userId, since) {
+        try {
+            const q = query(this.getTagsCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)));
+            const snapshot = await getDocs(q);
             return snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('Get tags error:', error);
-            return [];
+            console.error('Get changed tags error:', error);
+            throw error;
         }
     }
 
@@ -108,8 +140,12 @@ class TagService {
 
             const docRef = doc(db, 'users', userId, 'tags', tagData.id);
 
+            const { id, ...createData } = tagData;
+
             await setDoc(docRef, {
-                name: name
+                ...createData,
+                name: name,
+                updatedAt: serverTimestamp()
             });
 
             console.log('Tag created:', tagData.id);
@@ -132,7 +168,8 @@ class TagService {
             const docRef = doc(db, 'users', userId, 'tags', tagData.id);
             const docSnap = await getDoc(docRef);
 
-            if (!docSnap.exists()) {
+            // 삭제 표시된 항목도 없는 것으로 처리 (다시 생성)
+            if (!docSnap.exists() || docSnap.data().deleted) {
                 throw new Error('Tag not found');
             }
 
@@ -140,7 +177,8 @@ class TagService {
             const { id, ...updateData } = tagData;
 
             await updateDoc(docRef, {
-                ...updateData
+                ...updateData,
+                updatedAt: serverTimestamp()
             });
 
             console.log('Tag updated:', tagData.id);
@@ -153,17 +191,14 @@ class TagService {
 
     /**
      * Tag 삭제
+     * 다른 기기에 삭제가 전달되도록 문서 대신 삭제 표시(tombstone)를 남김
      */
     async delete(userId, tagId) {
         try {
-            const docRef = doc(db, 'users', userId, 'tags', tagId);
-            const docSnap = await getDoc(docRef);
-
-            if (!docSnap.exists()) {
-                throw new Error('Tag not found');
-            }
-
-            await deleteDoc(docRef);
+            await setDoc(doc(db, 'users', userId, 'tags', tagId), {
+                deleted: true,
+                updatedAt: serverTimestamp()
+            });
             console.log('Tag deleted:', tagId);
         } catch (error) {
             console.error('Delete tag error:', error);
@@ -172,7 +207,7 @@ class TagService {
     }
 
     /**
-     * 여러 Tag 삭제
+     * 여러 Tag 완전 삭제 (삭제 표시 없이)
      */
     async deleteMany(userId, tagIds) {
         try {
@@ -190,8 +225,9 @@ class TagService {
      */
     async deleteAllByUser(userId) {
         try {
-            const tags = await this.getAllByUser(userId);
-            await this.deleteMany(userId, tags.map(t => t.id));
+            // 삭제 표시까지 모두 지움
+            const snapshot = await getDocs(query(this.getTagsCollection(userId)));
+            await this.deleteMany(userId, snapshot.docs.map(doc => doc.id));
         } catch (error) {
             console.error('Delete all tags error:', error);
             throw error;
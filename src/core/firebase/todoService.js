@@ -8,7 +8,9 @@ import {
     getDocs,
     doc,
     onSnapshot,
-    Timestamp
+    where,
+    Timestamp,
+    serverTimestamp
 } from 'firebase/firestore';
 import { db } from './config';
 
@@ -19,17 +21,27 @@ class TodoService {
     }
 
     /**
-     * 실시간 구독: userId의 모든 Todo
+     * 실시간 구독: userId의 Todo 변경분
+     * since(ms)가 있으면 그 이후 변경된 항목만 받음, 삭제된 항목은 { id, deleted: true }
      */
-    subscribeTodos(userId, callback) {
-        const q = query(this.getTodosCollection(userId));
+    subscribeTodos(userId, callback, since = null) {
+        const q = since
+            ? query(this.getTodosCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)))
+            : query(this.getTodosCollection(userId));
         return onSnapshot(
             q,
             (snapshot) => {
-                const todos = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }));
+                const todos = snapshot.docChanges()
+                    // 서버에 아직 반영되지 않은 변경은 서버 시각(updatedAt)이 정해진 뒤 다시 받음
+                    .filter(change => !change.doc.metadata.hasPendingWrites)
+                    // since 구독에서 빠지는 항목은 삭제가 아님 (updatedAt 갱신 대기 중)
+                    .filter(change => change.type !== 'removed' || !since)
+                    .map(change => change.type === 'removed'
+                        ? { id: change.doc.id, deleted: true }
+                        : {
+                            id: change.doc.id,
+                            ...change.doc.data()
+                        });
                 callback(todos);
             },
             (error) => console.error('Subscribe todos error:', error)
@@ -43,13 +55,32 @@ class TodoService {
         try {
             const q = query(this.getTodosCollection(userId));
             const snapshot = await getDocs(q);
+            return snapshot.docs
+                .filter(doc => !doc.data().deleted)
+                .map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+        } catch (error) {
+            console.error('Get todos error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * since(ms) 이후 변경된 Todo (삭제 표시 포함, 증분 동기화용)
+     */
+    async getChangedSince(userId, since) {
+        try {
+            const q = query(this.getTodosCollection(userId), where('updatedAt', '>', Timestamp.fromMillis(since)));
+            const snapshot = await getDocs(q);
             return snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('Get todos error:', error);
-            return [];
+            console.error('Get changed todos error:', error);
+            throw error;
         }
     }
 
@@ -87,7 +118,7 @@ class TodoService {
             await setDoc(docRef, {
                 ...todoData,
                 createdAt: Timestamp.now(),
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Todo created:', todoData.id);
@@ -110,7 +141,8 @@ class TodoService {
             const docRef = doc(db, 'users', userId, 'todos', todoData.id);
             const docSnap = await getDoc(docRef);
 
-            if (!docSnap.exists()) {
+            // 삭제 표시된 항목도 없는 것으로 처리 (다시 생성)
+            if (!docSnap.exists() || docSnap.data().deleted) {
                 throw new Error('Todo not found');
             }
 
@@ -118,7 +150,7 @@ class TodoService {
             
             await updateDoc(docRef, {
                 ...updateData,
-                updatedAt: Timestamp.now()
+                updatedAt: serverTimestamp()
             });
             
             console.log('Todo updated:', todoData.id);
@@ -131,11 +163,15 @@ class TodoService {
 
     /**
      * Todo 삭제
+     * 다른 기기에 삭제가 전달되도록 문서 대신 삭제 표시(tombstone)를 남김
      */
     async delete(userId, todoId) {
         try {
             console.log('Deleting todo:', todoId);
-            await deleteDoc(doc(db, 'users', userId, 'todos', todoId));
+            await setDoc(doc(db, 'users', userId, 'todos', todoId), {
+                deleted: true,
+                updatedAt: serverTimestamp()
+            });
         } catch (error) {
             console.error('Delete todo error:', error);
             throw error;
@@ -143,7 +179,7 @@ class TodoService {
     }
 
     /**
-     * 여러 Todo 삭제
+     * 여러 Todo 완전 삭제 (삭제 표시 없이)
      */
     async deleteMany(userId, todoIds) {
         try {
@@ -161,8 +197,9 @@ class TodoService {
      */
     async deleteAllByUser(userId) {
         try {
-            const todos = await this.getAllByUser(userId);
-            await this.deleteMany(userId, todos.map(t => t.id));
+            // 삭제 표시까지 모두 지움
+            const snapshot = await getDocs(query(this.getTodosCollection(userId)));
+            await this.deleteMany(userId, snapshot.docs.map(doc => doc.id));
         } catch (error) {
             console.error('Delete all todos error:', error);
             throw error;
@@ -1,12 +1,44 @@
 import {
+    collection,
     doc,
     getDoc,
+    getDocs,
     setDoc,
     updateDoc,
+    deleteDoc,
     increment,
+    arrayUnion,
+    runTransaction,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
     serverTimestamp,
 } from 'firebase/firestore';
 import { db } from './config';
+import inboxService from './inboxService';
+import { getNextActivityStreak } from '../utils/streaks';
+
+// 항목 완료 시 지급하는 경험치
+const EXP_REWARD = {
+    todo: 20,
+    routine: 20,
+    record: 10
+};
+
+// 항목 종류별 누적 통계 필드
+const STAT_FIELD = {
+    todo: 'totalTodosCompleted',
+    routine: 'totalRoutinesCompleted',
+    record: 'totalRecordsCompleted'
+};
+
+// 다른 사용자에게 공개하는 프로필 필드 (profiles/{userId}, 친구 검색/목록/비교용)
+const PUBLIC_PROFILE_FIELDS = ['email', 'nickname', 'level', 'title', 'stats'];
+
+// 이메일 찾기 문서 ID (대소문자/앞뒤 공백이 달라도 같은 이메일)
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
 
 class UserService {
     /**
@@ -29,9 +61,12 @@ class UserService {
                     totalRecordsCompleted: 0,
                     todayStreak: 0,
                     maxStreak: 0,
-                    lastActiveDate: new Date().toISOString().split('T')[0]
+                    lastActiveDate: null
                 },
                 
+                // 획득한 칭호 ID 목록
+                claimedTitles: [],
+
                 // 친구 관계
                 friends: [],
                 friendRequestsSent: [],
@@ -43,6 +78,7 @@ class UserService {
             };
 
             await setDoc(doc(db, 'users', userId), userDoc);
+            await this.updatePublicProfile(userId, userDoc);
             console.log('User profile created:', userId);
             return userDoc;
         } catch (error) {
@@ -72,6 +108,62 @@ class UserService {
         }
     }
 
+    // 사용자의 공개 프로필 문서 참조
+    getPublicProfileRef(userId) {
+        return doc(db, 'profiles', userId);
+    }
+
+    /**
+     * 이메일 찾기 문서 참조 (emailLookup/{정규화한 이메일} → { uid })
+     * 친구 검색은 정확한 이메일로 이 문서 하나만 읽음 (목록 조회는 보안 규칙상 불가 → 이메일 목록 수집 방지)
+     */
+    getEmailLookupRef(email) {
+        return doc(db, 'emailLookup', normalizeEmail(email));
+    }
+
+    /**
+     * 이메일 찾기 문서 삭제 (이메일 변경, 계정 삭제 시)
+     * 이미 없거나 다른 계정의 문서면(보안 규칙이 거부) 건너뜀
+     */
+    async removeEmailLookup(userId, email) {
+        if (!email) return;
+        try {
+            await deleteDoc(this.getEmailLookupRef(email));
+        } catch (error) {
+            console.error('Remove email lookup error:', error);
+        }
+    }
+
+    /**
+     * 공개 프로필 갱신 (사용자 문서의 공개 필드만 복사)
+     * users/{userId}는 본인만 읽을 수 있으므로 닉네임/레벨/칭호/통계가 바뀌면 함께 호출
+     * data가 없으면 사용자 문서를 읽어서 사용, 실패해도 원래 변경은 유지
+     */
+    async updatePublicProfile(userId, data = null) {
+        try {
+            let userData = data;
+            if (!userData) {
+                const userSnap = await getDoc(doc(db, 'users', userId));
+                if (!userSnap.exists()) return;
+                userData = userSnap.data();
+            }
+
+            const profile = {};
+            PUBLIC_PROFILE_FIELDS.forEach(field => {
+                if (userData[field] !== undefined) profile[field] = userData[field];
+            });
+
+            await setDoc(this.getPublicProfileRef(userId), profile);
+
+            // 본인 로그인 이메일로만 만들 수 있음 (예전 계정이면 여기서 처음 만들어짐)
+            if (profile.email) {
+                await setDoc(this.getEmailLookupRef(profile.email), { uid: userId });
+            }
+        } catch (error) {
+            console.error('Update public profile error:', error);
+        }
+    }
+
     /**
      * 이메일 인증 상태 업데이트
      */
@@ -92,6 +184,58 @@ class UserService {
         }
     }
 
+    /**
+     * 인증을 기다리는 새 이메일 저장 (verifyBeforeUpdateEmail 후, 화면 표시용)
+     */
+    async setPendingEmail(userId, email) {
+        try {
+            await updateDoc(doc(db, 'users', userId), {
+                pendingEmail: email,
+                updatedAt: serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Set pending email error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 이메일 업데이트 (새 이메일 인증이 끝나 Auth 이메일이 바뀐 뒤)
+     * 친구 검색이 새 이메일로 되도록 공개 프로필과 이메일 찾기 문서도 함께 갱신 (이전 이메일로는 찾을 수 없게)
+     */
+    async updateEmail(userId, email, previousEmail = null) {
+        try {
+            await updateDoc(doc(db, 'users', userId), {
+                email,
+                emailVerified: true,
+                pendingEmail: null,
+                updatedAt: serverTimestamp()
+            });
+            await this.updatePublicProfile(userId);
+            if (previousEmail && normalizeEmail(previousEmail) !== normalizeEmail(email)) {
+                await this.removeEmailLookup(userId, previousEmail);
+            }
+
+            console.log('Email updated:', email);
+            return true;
+        } catch (error) {
+            console.error('Update email error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Auth 이메일과 Firestore 이메일 맞추기 (다르면 Auth 기준으로 갱신)
+     * @returns {boolean} 갱신했으면 true
+     */
+    async syncEmail(userId, email) {
+        const userSnap = await getDoc(doc(db, 'users', userId));
+        if (!email || !userSnap.exists() || userSnap.data().email === email) return false;
+
+        await this.updateEmail(userId, email, userSnap.data().email);
+        return true;
+    }
+
     /**
      * 닉네임 업데이트
      */
@@ -103,6 +247,7 @@ class UserService {
                 nickname: newNickname,
                 updatedAt: serverTimestamp()
             });
+            await this.updatePublicProfile(userId);
             
             console.log('Nickname updated:', newNickname);
             return true;
@@ -113,158 +258,268 @@ class UserService {
     }
 
     /**
-     * 경험치 추가 (레벨업 자동 처리)
+     * 경험치 계산 (레벨업/레벨다운 자동 처리)
+     */
+    calculateLevel({ exp, level, maxExp }, expAmount) {
+        exp += expAmount;
+
+        // 레벨업
+        while (exp >= maxExp) {
+            exp -= maxExp;
+            level += 1;
+            maxExp += 200;
+        }
+
+        // 경험치 회수로 인한 레벨다운
+        while (exp < 0 && level > 1) {
+            level -= 1;
+            maxExp -= 200;
+            exp += maxExp;
+        }
+
+        return { exp: Math.max(exp, 0), level, maxExp };
+    }
+
+    /**
+     * 사용자 문서에 반영할 통계/경험치/레벨 변경값 (트랜잭션 안에서 사용)
+     */
+    buildProgressUpdates(userData, { statField = null, statDelta = 0, expAmount }) {
+        const previousLevel = userData.level || 1;
+        const next = this.calculateLevel({
+            exp: userData.exp || 0,
+            level: previousLevel,
+            maxExp: userData.maxExp || 300
+        }, expAmount);
+
+        const updates = {
+            exp: next.exp,
+            level: next.level,
+            maxExp: next.maxExp,
+            updatedAt: serverTimestamp()
+        };
+        if (statField && statDelta) {
+            updates[`stats.${statField}`] = increment(statDelta);
+        }
+
+        return {
+            updates,
+            progress: {
+                ...next,
+                expAmount,
+                previousLevel,
+                leveledUp: next.level > previousLevel
+            }
+        };
+    }
+
+    // 레벨업 알림 기록 (실패해도 경험치는 유지)
+    async notifyLevelUp(userId, progress) {
+        if (!progress?.leveledUp) return;
+
+        await inboxService.addLevelUp(userId, progress.level)
+            .catch(error => console.error('Level up notification error:', error));
+    }
+
+    /**
+     * 경험치 추가 (레벨업 자동 처리, 기록 없이 경험치만 변경)
+     * 반환값: { exp, level, maxExp, expAmount, previousLevel, leveledUp }
      */
     async addExp(userId, expAmount) {
         try {
             const userRef = doc(db, 'users', userId);
-            const userSnap = await getDoc(userRef);
-            
-            if (!userSnap.exists()) {
-                throw new Error('User not found');
-            }
-            
-            const userData = userSnap.data();
-            let { exp, maxExp, level } = userData;
-            
-            // 경험치 추가
-            exp += expAmount;
-            
-            // 레벨업
-            while (exp >= maxExp) {
-                exp -= maxExp;
-                level += 1;
-                maxExp += 200;
-            }
-            
-            // 업데이트
-            await updateDoc(userRef, {
-                exp,
-                level,
-                maxExp,
-                updatedAt: serverTimestamp()
+
+            const progress = await runTransaction(db, async (transaction) => {
+                const userSnap = await transaction.get(userRef);
+
+                if (!userSnap.exists()) {
+                    throw new Error('User not found');
+                }
+
+                const { updates, progress } = this.buildProgressUpdates(userSnap.data(), { expAmount });
+                transaction.update(userRef, updates);
+                return progress;
             });
-            
-            console.log(`Added ${expAmount} exp. New level: ${level}`);
-            return { exp, level, maxExp, leveledUp: level > userData.level };
-            
+
+            await this.updatePublicProfile(userId);
+            await this.notifyLevelUp(userId, progress);
+
+            console.log(`Added ${expAmount} exp. New level: ${progress.level}`);
+            return progress;
         } catch (error) {
             console.error('Add exp error:', error);
             throw error;
         }
     }
 
+    // 사용자의 expEvents 서브컬렉션 참조
+    getExpEventsCollection(userId) {
+        return collection(db, 'users', userId, 'expEvents');
+    }
+
+    /**
+     * 경험치 기록 ID (항목 ID 기준, 반복 루틴은 발생 날짜까지 포함)
+     */
+    getExpEventId(type, itemId, date = null) {
+        return date ? `${type}_${itemId}@${date}` : `${type}_${itemId}`;
+    }
+
     /**
-     * Todo 완료 통계 업데이트
+     * 항목 완료 시 경험치/통계 지급
+     * 같은 항목은 한 번만 지급 (이미 지급된 기록이 있으면 null 반환)
+     * activeDate: 완료한 날짜 (오프라인에서 완료해 나중에 보내는 경우, 기본값은 오늘)
      */
-    async incrementTodoStats(userId) {
+    async grantItemProgress(userId, { type, itemId, date = null, title = '', activeDate }) {
         try {
             const userRef = doc(db, 'users', userId);
-            
-            await updateDoc(userRef, {
-                'stats.totalTodosCompleted': increment(1),
-                updatedAt: serverTimestamp()
+            const eventRef = doc(this.getExpEventsCollection(userId), this.getExpEventId(type, itemId, date));
+            const expAmount = EXP_REWARD[type];
+
+            const progress = await runTransaction(db, async (transaction) => {
+                const eventSnap = await transaction.get(eventRef);
+                if (eventSnap.exists() && eventSnap.data().active) return null;
+
+                const userSnap = await transaction.get(userRef);
+                if (!userSnap.exists()) {
+                    throw new Error('User not found');
+                }
+
+                const userData = userSnap.data();
+                const { updates, progress } = this.buildProgressUpdates(userData, {
+                    statField: STAT_FIELD[type],
+                    statDelta: 1,
+                    expAmount
+                });
+
+                // 완료한 날은 활동 연속 일수도 함께 갱신
+                const streak = getNextActivityStreak(userData.stats, activeDate);
+
+                transaction.set(eventRef, {
+                    type,
+                    itemId,
+                    date,
+                    title,
+                    expAmount,
+                    active: true,
+                    createdAt: eventSnap.exists() ? eventSnap.data().createdAt : serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                });
+                transaction.update(userRef, {
+                    ...updates,
+                    ...(streak ? this.buildStreakUpdates(streak) : {})
+                });
+                return progress;
             });
-            
-            // 경험치 추가 (20exp)
-            await this.addExp(userId, 20);
-            
-            console.log('Todo stats incremented');
+
+            if (progress) await this.updatePublicProfile(userId);
+            await this.notifyLevelUp(userId, progress);
+
+            if (progress) console.log(`${type} progress granted: ${itemId}`);
+            return progress;
         } catch (error) {
-            console.error('Increment todo stats error:', error);
+            console.error('Grant item progress error:', error);
             throw error;
         }
     }
 
     /**
-     * Routine 완료 통계 업데이트
+     * 항목 완료 취소 시 지급했던 경험치/통계 회수
+     * 지급된 기록이 없으면 null 반환
      */
-    async incrementRoutineStats(userId) {
+    async revokeItemProgress(userId, { type, itemId, date = null }) {
         try {
-            const userRef = doc(db, 'users', userId);
-            
-            await updateDoc(userRef, {
-                'stats.totalRoutinesCompleted': increment(1),
-                updatedAt: serverTimestamp()
-            });
-            
-            // 경험치 추가 (20exp)
-            await this.addExp(userId, 20);
-            
-            console.log('Routine stats incremented');
+            const eventRef = doc(this.getExpEventsCollection(userId), this.getExpEventId(type, itemId, date));
+            return await this.revokeExpEvent(userId, eventRef);
         } catch (error) {
-            console.error('Increment routine stats error:', error);
+            console.error('Revoke item progress error:', error);
             throw error;
         }
     }
 
     /**
-     * Record 작성 통계 업데이트
+     * 항목 삭제 시 해당 항목의 모든 경험치 기록 회수 (반복 루틴의 날짜별 기록 포함)
      */
-    async incrementRecordStats(userId) {
+    async revokeAllItemProgress(userId, itemId) {
         try {
-            const userRef = doc(db, 'users', userId);
-            
-            await updateDoc(userRef, {
-                'stats.totalRecordsCompleted': increment(1),
-                updatedAt: serverTimestamp()
-            });
-            
-            // 경험치 추가 (10exp)
-            await this.addExp(userId, 10);
-            
-            console.log('Record stats incremented');
+            const q = query(
+                this.getExpEventsCollection(userId),
+                where('itemId', '==', itemId),
+                where('active', '==', true)
+            );
+            const snapshot = await getDocs(q);
+
+            for (const eventDoc of snapshot.docs) {
+                await this.revokeExpEvent(userId, eventDoc.ref);
+            }
         } catch (error) {
-            console.error('Increment record stats error:', error);
+            console.error('Revoke all item progress error:', error);
             throw error;
         }
     }
 
-    /**
-     * 연속 달성 일수 업데이트
-     */
-    async updateStreak(userId) {
-        try {
-            const userRef = doc(db, 'users', userId);
-            const userSnap = await getDoc(userRef);
-            
-            if (!userSnap.exists()) return;
-            
-            const userData = userSnap.data();
-            const today = new Date().toISOString().split('T')[0];
-            const lastActiveDate = userData.stats?.lastActiveDate;
-            
-            // 날짜 계산
-            const lastDate = new Date(lastActiveDate);
-            const todayDate = new Date(today);
-            const diffDays = Math.floor((todayDate - lastDate) / (1000 * 60 * 60 * 24));
-            
-            let newStreak = userData.stats?.todayStreak || 0;
-            
-            if (diffDays === 1) {
-                // 연속 달성
-                newStreak += 1;
-            } else if (diffDays > 1) {
-                // 연속 끊김
-                newStreak = 1;
+    // 경험치 기록 하나 회수 (기록은 남기고 active만 해제)
+    async revokeExpEvent(userId, eventRef) {
+        const userRef = doc(db, 'users', userId);
+
+        const progress = await runTransaction(db, async (transaction) => {
+            const eventSnap = await transaction.get(eventRef);
+            if (!eventSnap.exists() || !eventSnap.data().active) return null;
+
+            const userSnap = await transaction.get(userRef);
+            if (!userSnap.exists()) {
+                throw new Error('User not found');
             }
-            
-            const maxStreak = Math.max(newStreak, userData.stats?.maxStreak || 0);
-            
-            await updateDoc(userRef, {
-                'stats.todayStreak': newStreak,
-                'stats.maxStreak': maxStreak,
-                'stats.lastActiveDate': today,
+
+            const event = eventSnap.data();
+            const { updates, progress } = this.buildProgressUpdates(userSnap.data(), {
+                statField: STAT_FIELD[event.type],
+                statDelta: -1,
+                expAmount: -event.expAmount
+            });
+
+            transaction.update(eventRef, {
+                active: false,
                 updatedAt: serverTimestamp()
             });
-            
-            console.log(`Streak updated: ${newStreak} days`);
-            return { todayStreak: newStreak, maxStreak };
-            
-        } catch (error) {
-            console.error('Update streak error:', error);
-            throw error;
+            transaction.update(userRef, updates);
+            return progress;
+        });
+
+        if (progress) {
+            await this.updatePublicProfile(userId);
+            console.log('Progress revoked:', eventRef.id);
         }
+        return progress;
+    }
+
+    /**
+     * 경험치 기록 실시간 구독 (최근 변경순)
+     */
+    subscribeExpEvents(userId, callback, count = 20) {
+        const q = query(
+            this.getExpEventsCollection(userId),
+            orderBy('updatedAt', 'desc'),
+            limit(count)
+        );
+        return onSnapshot(
+            q,
+            (snapshot) => {
+                const events = snapshot.docs.map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+                callback(events);
+            },
+            (error) => console.error('Subscribe exp events error:', error)
+        );
+    }
+
+    // 연속 일수 변경값 → 사용자 문서 필드
+    buildStreakUpdates({ todayStreak, maxStreak, lastActiveDate }) {
+        return {
+            'stats.todayStreak': todayStreak,
+            'stats.maxStreak': maxStreak,
+            'stats.lastActiveDate': lastActiveDate
+        };
     }
 
     /**
@@ -278,6 +533,7 @@ class UserService {
                 title: newTitle,
                 updatedAt: serverTimestamp()
             });
+            await this.updatePublicProfile(userId);
             
             console.log('Title updated:', newTitle);
             return true;
@@ -287,6 +543,24 @@ class UserService {
         }
     }
 
+    /**
+     * 칭호 획득 (claimedTitles에 칭호 ID 추가)
+     */
+    async claimTitle(userId, titleId) {
+        try {
+            await updateDoc(doc(db, 'users', userId), {
+                claimedTitles: arrayUnion(titleId),
+                updatedAt: serverTimestamp()
+            });
+
+            console.log('Title claimed:', titleId);
+            return true;
+        } catch (error) {
+            console.error('Claim title error:', error);
+            throw error;
+        }
+    }
+
     /**
      * 전체 통계 조회
      */
@@ -298,6 +572,7 @@ class UserService {
                 exp: userProfile.exp,
                 maxExp: userProfile.maxExp,
                 title: userProfile.title,
+                claimedTitles: userProfile.claimedTitles || [],
                 stats: userProfile.stats
             };
         } catch (error) {
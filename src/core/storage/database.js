@@ -0,0 +1,406 @@
+import * as SQLite from 'expo-sqlite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import syncState from './syncState';
+import syncQueue from './syncQueue';
+import { TABLES, GUEST_NAMESPACE } from './tables';
+
+export { TABLES, GUEST_NAMESPACE };
+
+// 계정 구분 이전의 데이터베이스 (한 번 주인 계정의 데이터베이스로 옮긴 뒤 삭제)
+const LEGACY_DATABASE_NAME = 'todaydo.db';
+
+// 예전 데이터베이스를 옮겼는지 (기기 전체, AsyncStorage 키)
+const LEGACY_MOVED_KEY = 'legacyDatabaseMoved';
+
+// 예전 AsyncStorage 데이터를 옮겼는지 (meta 테이블 키)
+const MIGRATION_KEY = 'migratedFromAsyncStorage';
+
+// 한 번에 바인딩할 최대 파라미터 수 (IN (...) 조회/삭제)
+const CHUNK_SIZE = 500;
+
+const chunk = (list) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += CHUNK_SIZE) {
+    chunks.push(list.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+const placeholders = (count) => new Array(count).fill('?').join(', ');
+
+// 네임스페이스의 데이터베이스 파일 이름
+const getDatabaseName = (namespace) => `todaydo_${namespace}.db`;
+
+/**
+ * 로컬 데이터베이스 (SQLite)
+ * todoStorage / routineStorage / recordStorage / tagStorage가 사용
+ *
+ * 계정(uid)마다 데이터베이스 파일을 따로 사용 (로그인하지 않은 상태는 guest)
+ * → 다른 계정으로 로그인해도 이전 계정의 데이터가 보이거나 섞이지 않음
+ */
+class LocalDatabase {
+  constructor() {
+    this.namespace = GUEST_NAMESPACE;
+    // 네임스페이스별로 연 데이터베이스 { [namespace]: Promise<db> }
+    this.databases = new Map();
+    // 네임스페이스 전환/삭제 직렬화
+    this.queue = Promise.resolve();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 현재 네임스페이스 (uid 또는 guest)
+   */
+  getNamespace() {
+    return this.namespace;
+  }
+
+  /**
+   * 사용할 네임스페이스로 전환 (uid가 없으면 guest)
+   * 처음 한 번은 계정 구분 이전의 데이터를 주인 네임스페이스로 옮김
+   */
+  async use(uid) {
+    return this.enqueue(async () => {
+      await this.moveLegacyDatabase();
+      this.namespace = uid || GUEST_NAMESPACE;
+      await this.openNamespace(this.namespace);
+      console.log('[Database] Using namespace:', this.namespace);
+    });
+  }
+
+  /**
+   * 네임스페이스의 로컬 데이터 삭제 (사용 중인 계정이면 guest로 전환)
+   * namespace: uid 또는 GUEST_NAMESPACE (guest는 사용 중이 아닐 때만)
+   */
+  async deleteNamespace(namespace) {
+    if (!namespace) return;
+
+    return this.enqueue(async () => {
+      if (this.namespace === namespace) {
+        if (namespace === GUEST_NAMESPACE) return;
+        this.namespace = GUEST_NAMESPACE;
+      }
+      await this.closeDb(namespace);
+      await SQLite.deleteDatabaseAsync(getDatabaseName(namespace));
+      console.log('[Database] Deleted namespace:', namespace);
+    });
+  }
+
+  /**
+   * 다른 네임스페이스의 모든 항목 (guest 데이터를 계정으로 합칠 때)
+   */
+  async getAllIn(namespace, table) {
+    const db = await this.openNamespace(namespace);
+    const rows = await db.getAllAsync(`SELECT data FROM ${table} ORDER BY rowid`);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * 현재 네임스페이스의 데이터베이스 (처음 한 번 테이블 생성)
+   * 네임스페이스 전환 중이면 끝난 뒤의 데이터베이스
+   */
+  async getDb() {
+    await this.queue;
+    return this.openNamespace(this.namespace);
+  }
+
+  async openNamespace(namespace) {
+    if (!this.databases.has(namespace)) {
+      this.databases.set(namespace, this.open(getDatabaseName(namespace)).catch(error => {
+        // 다음 호출에서 다시 시도
+        this.databases.delete(namespace);
+        throw error;
+      }));
+    }
+    return this.databases.get(namespace);
+  }
+
+  async closeDb(namespace) {
+    const ready = this.databases.get(namespace);
+    if (!ready) return;
+
+    this.databases.delete(namespace);
+    try {
+      const db = await ready;
+      await db.closeAsync();
+    } catch (error) {
+      console.error('[Database] Close error:', error);
+    }
+  }
+
+  async open(name) {
+    const db = await SQLite.openDatabaseAsync(name);
+
+    const statements = ['PRAGMA journal_mode = WAL;'];
+    statements.push('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY NOT NULL, value TEXT);');
+
+    Object.entries(TABLES).forEach(([table, { columns }]) => {
+      const columnDefs = columns.map(([name, type]) => `${name} ${type}`).join(', ');
+      statements.push(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY NOT NULL, ${columnDefs}, data TEXT NOT NULL);`);
+      columns.forEach(([name]) => {
+        statements.push(`CREATE INDEX IF NOT EXISTS idx_${table}_${name} ON ${table} (${name});`);
+      });
+    });
+
+    await db.execAsync(statements.join('\n'));
+
+    return db;
+  }
+
+  /**
+   * 계정 구분 이전의 데이터베이스(와 그 이전 AsyncStorage 데이터)를 주인 네임스페이스로 옮기기 (한 번만)
+   * - 동기화 기록(기준점/대기열)에 계정이 없으면 로그인하지 않고 만든 데이터 → guest
+   * - 계정이 하나면 그 계정의 데이터
+   * - 여러 계정이면 섞인 데이터라 옮기지 않음 (각 계정은 다음 로그인 때 Firebase에서 전체 동기화)
+   */
+  async moveLegacyDatabase() {
+    if (await AsyncStorage.getItem(LEGACY_MOVED_KEY)) return;
+
+    const legacy = await this.open(LEGACY_DATABASE_NAME);
+    await this.migrateFromAsyncStorage(legacy);
+
+    const uids = [...new Set([...(await syncState.getUserIds()), ...(await syncQueue.getUserIds())])];
+    const owner = uids.length === 0 ? GUEST_NAMESPACE : (uids.length === 1 ? uids[0] : null);
+
+    if (owner) {
+      const db = await this.openNamespace(owner);
+      await db.withTransactionAsync(async () => {
+        for (const table of [...Object.keys(TABLES), 'meta']) {
+          const rows = await legacy.getAllAsync(`SELECT * FROM ${table} ORDER BY rowid`);
+          for (const row of rows) {
+            const names = Object.keys(row);
+            await db.runAsync(
+              `INSERT OR IGNORE INTO ${table} (${names.join(', ')}) VALUES (${placeholders(names.length)})`,
+              names.map(name => row[name])
+            );
+          }
+        }
+      });
+    }
+
+    // 옮기지 않은 계정은 기준점을 지워 다음 로그인 때 전체 동기화
+    for (const uid of uids) {
+      if (uid !== owner) await syncState.clear(uid);
+    }
+
+    await legacy.closeAsync();
+    await SQLite.deleteDatabaseAsync(LEGACY_DATABASE_NAME);
+    await AsyncStorage.setItem(LEGACY_MOVED_KEY, new Date().toISOString());
+
+    console.log('[Database] Legacy database moved to:', owner || '(none)', uids);
+  }
+
+  /**
+   * 예전 AsyncStorage(JSON 배열) 데이터를 테이블로 이전 (한 번만)
+   * 모두 옮긴 뒤에 AsyncStorage 키 삭제
+   */
+  async migrateFromAsyncStorage(db) {
+    const migrated = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', [MIGRATION_KEY]);
+    if (migrated) return;
+
+    const legacy = [];
+    for (const [table, { legacyKey }] of Object.entries(TABLES)) {
+      const data = await AsyncStorage.getItem(legacyKey);
+      try {
+        legacy.push([table, data ? JSON.parse(data) : []]);
+      } catch (error) {
+        // 읽을 수 없는 데이터는 예전 저장소에서도 빈 목록으로 처리되던 것
+        console.error(`[Database] Invalid legacy ${legacyKey} data:`, error);
+        legacy.push([table, []]);
+      }
+    }
+
+    await db.withTransactionAsync(async () => {
+      for (const [table, items] of legacy) {
+        for (const item of items) {
+          if (item?.id) {
+            await this.runPut(db, table, item);
+          }
+        }
+      }
+      await db.runAsync('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [MIGRATION_KEY, new Date().toISOString()]);
+    });
+
+    await AsyncStorage.multiRemove(Object.values(TABLES).map(({ legacyKey }) => legacyKey));
+
+    console.log('[Database] Migrated from AsyncStorage:',
+      Object.fromEntries(legacy.map(([table, items]) => [table, items.length])));
+  }
+
+  // 항목 저장 (있으면 덮어씀, 순서 유지를 위해 rowid는 그대로)
+  async runPut(db, table, item) {
+    const { columns } = TABLES[table];
+    const names = columns.map(([name]) => name);
+    const values = columns.map(([, , valueOf]) => valueOf(item));
+    const updates = [...names, 'data'].map(name => `${name} = excluded.${name}`).join(', ');
+
+    await db.runAsync(
+      `INSERT INTO ${table} (id, ${names.join(', ')}, data) VALUES (${placeholders(names.length + 2)})
+       ON CONFLICT(id) DO UPDATE SET ${updates}`,
+      [String(item.id), ...values, JSON.stringify(item)]
+    );
+  }
+
+  /**
+   * 조건에 맞는 항목 (where: "WHERE ..." 절, 저장 순서대로)
+   */
+  async query(table, where = '', params = []) {
+    const db = await this.getDb();
+    const rows = await db.getAllAsync(`SELECT data FROM ${table} ${where} ORDER BY rowid`, params);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * column 값이 value인 항목 (인덱스 컬럼)
+   */
+  async findBy(table, column, value) {
+    return this.query(table, `WHERE ${column} = ?`, [value]);
+  }
+
+  /**
+   * column 값이 from ~ to 사이인 항목 (양 끝 포함, null이면 제한 없음)
+   */
+  async findInRange(table, column, from = null, to = null) {
+    const conditions = [];
+    const params = [];
+    if (from !== null) {
+      conditions.push(`${column} >= ?`);
+      params.push(from);
+    }
+    if (to !== null) {
+      conditions.push(`${column} <= ?`);
+      params.push(to);
+    }
+    return this.query(table, conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params);
+  }
+
+  /**
+   * 모든 항목
+   */
+  async getAll(table) {
+    return this.query(table);
+  }
+
+  /**
+   * ID로 항목 찾기 (없으면 null)
+   */
+  async getById(table, id) {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync(`SELECT data FROM ${table} WHERE id = ?`, [String(id)]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * 여러 ID의 항목 { [id]: item }
+   */
+  async getByIds(table, ids) {
+    const result = {};
+    for (const part of chunk(ids.map(String))) {
+      const items = await this.query(table, `WHERE id IN (${placeholders(part.length)})`, part);
+      items.forEach(item => {
+        result[item.id] = item;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 항목 저장 (추가 또는 덮어쓰기)
+   */
+  async put(table, item) {
+    const db = await this.getDb();
+    await this.runPut(db, table, item);
+    return item;
+  }
+
+  /**
+   * 여러 항목 저장 (한 트랜잭션)
+   */
+  async putMany(table, items) {
+    if (items.length === 0) return;
+
+    const db = await this.getDb();
+    await db.withTransactionAsync(async () => {
+      for (const item of items) {
+        await this.runPut(db, table, item);
+      }
+    });
+  }
+
+  /**
+   * 항목 ID 바꾸기 (한 트랜잭션, 저장 순서 유지)
+   * replacements: [{ id: 기존 ID, item: 새 ID를 가진 항목 }]
+   */
+  async replaceMany(table, replacements) {
+    if (replacements.length === 0) return;
+
+    const { columns } = TABLES[table];
+    const names = columns.map(([name]) => name);
+    const sets = ['id', ...names, 'data'].map(name => `${name} = ?`).join(', ');
+
+    const db = await this.getDb();
+    await db.withTransactionAsync(async () => {
+      for (const { id, item } of replacements) {
+        const values = columns.map(([, , valueOf]) => valueOf(item));
+        await db.runAsync(
+          `UPDATE ${table} SET ${sets} WHERE id = ?`,
+          [String(item.id), ...values, JSON.stringify(item), String(id)]
+        );
+      }
+    });
+  }
+
+  /**
+   * 항목 삭제
+   */
+  async remove(table, id) {
+    const db = await this.getDb();
+    await db.runAsync(`DELETE FROM ${table} WHERE id = ?`, [String(id)]);
+  }
+
+  /**
+   * 여러 항목 삭제
+   */
+  async removeMany(table, ids) {
+    if (ids.length === 0) return;
+
+    const db = await this.getDb();
+    await db.withTransactionAsync(async () => {
+      for (const part of chunk(ids.map(String))) {
+        await db.runAsync(`DELETE FROM ${table} WHERE id IN (${placeholders(part.length)})`, part);
+      }
+    });
+  }
+
+  /**
+   * meta 값 (없으면 null)
+   */
+  async getMeta(key) {
+    const db = await this.getDb();
+    const row = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  /**
+   * meta 값 저장
+   */
+  async setMeta(key, value) {
+    const db = await this.getDb();
+    await db.runAsync('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+  }
+
+  /**
+   * 테이블 비우기
+   */
+  async clear(table) {
+    const db = await this.getDb();
+    await db.runAsync(`DELETE FROM ${table}`);
+  }
+}
+
+export default new LocalDatabase();
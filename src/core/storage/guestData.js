@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import database, { GUEST_NAMESPACE } from './database';
+import storageLock from './storageLock';
+import { planGuestMerge } from '../utils/guestMerge';
+
+// "로그인 없이 시작하기"를 고른 기기 표시 (다음 실행 때 InitialScreen 대신 Main으로)
+const GUEST_MODE_KEY = 'guestMode';
+
+// 합칠 테이블 → 항목 종류 (태그 먼저)
+const TABLE_TYPES = {
+  tags: 'tag',
+  todos: 'todo',
+  routines: 'routine',
+  records: 'record',
+};
+
+/**
+ * 로그인하지 않고 만든 데이터 (guest 네임스페이스)
+ */
+class GuestData {
+  /**
+   * guest 데이터를 현재 계정의 로컬 데이터로 합치기 (계정에 이미 있는 항목은 건너뜀)
+   * @returns {{ [type]: { added, updated, skipped } } | null} guest 데이터가 없으면 null
+   */
+  async mergeIntoCurrent() {
+    if (database.getNamespace() === GUEST_NAMESPACE) return null;
+
+    const guest = {};
+    for (const table of Object.keys(TABLE_TYPES)) {
+      guest[table] = await database.getAllIn(GUEST_NAMESPACE, table);
+    }
+    if (Object.values(guest).every(items => items.length === 0)) return null;
+
+    const result = {};
+    for (const [table, type] of Object.entries(TABLE_TYPES)) {
+      result[type] = await storageLock.run(table, async () => {
+        const plan = planGuestMerge(type, guest[table], await database.getAll(table));
+        await database.putMany(table, [...plan.added, ...plan.updated]);
+        return plan;
+      });
+    }
+
+    console.log('[GuestData] Merged into account:', Object.fromEntries(Object.entries(result).map(([type, plan]) =>
+      [type, { added: plan.added.length, updated: plan.updated.length, skipped: plan.skipped }]
+    )));
+    return result;
+  }
+
+  /**
+   * guest 데이터 삭제 (계정으로 합친 뒤, guest 표시도 해제)
+   */
+  async clear() {
+    await database.deleteNamespace(GUEST_NAMESPACE);
+    await this.endGuestMode();
+  }
+
+  /**
+   * 로그인 없이 사용 중인 기기인지 (InitialScreen에서 "로그인 없이 시작하기"를 고름)
+   */
+  async isGuestMode() {
+    return (await AsyncStorage.getItem(GUEST_MODE_KEY)) === 'true';
+  }
+
+  async startGuestMode() {
+    await AsyncStorage.setItem(GUEST_MODE_KEY, 'true');
+  }
+
+  /**
+   * guest 표시 해제 (guest 데이터를 계정으로 합쳤을 때, 로그아웃/계정 삭제 후 InitialScreen으로 갈 때)
+   */
+  async endGuestMode() {
+    await AsyncStorage.removeItem(GUEST_MODE_KEY);
+  }
+}
+
+export default new GuestData();
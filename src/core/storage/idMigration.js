@@ -0,0 +1,90 @@
+import database from './database';
+import storageLock from './storageLock';
+import syncQueue from './syncQueue';
+import { ID_PREFIX, isLegacyId, getMigratedId, migrateItemIds } from '../utils/idUtils';
+
+// 로컬 항목을 새 ID로 옮겼는지 (meta 키)
+const LOCAL_KEY = 'legacyIdsMigrated';
+
+// 사용자별로 Firebase 항목을 새 ID로 옮겼는지 (meta 키 접두어)
+const REMOTE_KEY_PREFIX = 'legacyIdsMigrated:';
+
+// 옮길 테이블 → 항목 종류 (records는 날짜가 ID라 제외)
+const TABLE_TYPES = {
+  todos: 'todo',
+  routines: 'routine',
+  tags: 'tag',
+};
+
+/**
+ * 예전 형식 ID(todo_<ms> 등)를 새 ID로 옮기기
+ * 새 ID는 예전 ID로 정해지므로(getMigratedId) 로컬과 Firebase를 따로 옮겨도 서로 맞음
+ */
+class IdMigration {
+  /**
+   * 로컬 항목과 대기열 옮기기 (한 번만)
+   */
+  async migrateLocal() {
+    if (await database.getMeta(LOCAL_KEY)) return;
+
+    const counts = {};
+    for (const [table, type] of Object.entries(TABLE_TYPES)) {
+      counts[table] = await storageLock.run(table, async () => {
+        const items = await database.getAll(table);
+        const ids = new Set(items.map(item => item.id));
+
+        const replacements = [];
+        const duplicates = [];
+        items.forEach(item => {
+          const migrated = migrateItemIds(type, item);
+          if (migrated === item) return;
+
+          // 이미 새 ID 항목이 있으면 (다른 기기에서 옮긴 항목을 받은 경우) 예전 항목만 삭제
+          if (migrated.id !== item.id && ids.has(migrated.id)) {
+            duplicates.push(item.id);
+          } else {
+            replacements.push({ id: item.id, item: migrated });
+          }
+        });
+
+        await database.replaceMany(table, replacements);
+        await database.removeMany(table, duplicates);
+        return replacements.length + duplicates.length;
+      });
+    }
+
+    // 아직 전송하지 않은 변경도 새 ID로
+    await syncQueue.migrateEntries(entry => this.migrateEntry(entry));
+
+    await database.setMeta(LOCAL_KEY, new Date().toISOString());
+    console.log('[IdMigration] Local items migrated:', counts);
+  }
+
+  // 대기열 항목 하나 옮기기
+  migrateEntry(entry) {
+    const prefix = ID_PREFIX[entry.type];
+    if (!prefix) return entry;
+
+    const itemId = isLegacyId(entry.itemId) ? getMigratedId(prefix, entry.itemId) : entry.itemId;
+    const data = entry.data ? migrateItemIds(entry.type, entry.data) : entry.data;
+    if (itemId === entry.itemId && data === entry.data) return entry;
+
+    return { ...entry, itemId, data };
+  }
+
+  /**
+   * 사용자의 Firebase 항목을 옮겼는지
+   */
+  async isRemoteMigrated(uid) {
+    return !!(await database.getMeta(`${REMOTE_KEY_PREFIX}${uid}`));
+  }
+
+  /**
+   * 사용자의 Firebase 항목 이전 완료 기록
+   */
+  async markRemoteMigrated(uid) {
+    await database.setMeta(`${REMOTE_KEY_PREFIX}${uid}`, new Date().toISOString());
+  }
+}
+
+export default new IdMigration();
@@ -0,0 +1,137 @@
+import { TABLES, GUEST_NAMESPACE } from './tables';
+
+// 저장/조회 시 복사 (SQLite처럼 저장된 항목과 꺼낸 항목이 서로 영향을 주지 않도록)
+const copy = (item) => JSON.parse(JSON.stringify(item));
+
+/**
+ * 메모리 데이터베이스 (database.js와 같은 메서드)
+ * 기기 없이 *Storage 클래스를 실행할 때 사용 (예: new TodoStorage(new MemoryDatabase()))
+ * 테이블은 저장 순서를 유지하는 Map, 조회 컬럼 값은 tables.js의 TABLES 정의를 그대로 사용
+ */
+export default class MemoryDatabase {
+  constructor() {
+    this.namespace = GUEST_NAMESPACE;
+    // { [namespace]: { tables: { [table]: Map<id, item> }, meta: Map } }
+    this.spaces = new Map();
+  }
+
+  getSpace(namespace = this.namespace) {
+    if (!this.spaces.has(namespace)) {
+      this.spaces.set(namespace, {
+        tables: Object.fromEntries(Object.keys(TABLES).map(table => [table, new Map()])),
+        meta: new Map(),
+      });
+    }
+    return this.spaces.get(namespace);
+  }
+
+  getTable(table, namespace) {
+    return this.getSpace(namespace).tables[table];
+  }
+
+  // 조회 컬럼 값 (database.js와 같은 규칙)
+  getColumnValue(table, column, item) {
+    const definition = TABLES[table].columns.find(([name]) => name === column);
+    if (!definition) {
+      throw new Error(`Unknown column: ${table}.${column}`);
+    }
+    return definition[2](item);
+  }
+
+  filter(table, predicate) {
+    return [...this.getTable(table).values()].filter(predicate).map(copy);
+  }
+
+  getNamespace() {
+    return this.namespace;
+  }
+
+  async use(uid) {
+    this.namespace = uid || GUEST_NAMESPACE;
+  }
+
+  async deleteNamespace(namespace) {
+    if (!namespace) return;
+    if (this.namespace === namespace) {
+      if (namespace === GUEST_NAMESPACE) return;
+      this.namespace = GUEST_NAMESPACE;
+    }
+    this.spaces.delete(namespace);
+  }
+
+  async getAllIn(namespace, table) {
+    return [...this.getTable(table, namespace).values()].map(copy);
+  }
+
+  async findBy(table, column, value) {
+    return this.filter(table, item => this.getColumnValue(table, column, item) === value);
+  }
+
+  async findInRange(table, column, from = null, to = null) {
+    return this.filter(table, item => {
+      const value = this.getColumnValue(table, column, item);
+      if (value === null || value === undefined) return false;
+      return (from === null || value >= from) && (to === null || value <= to);
+    });
+  }
+
+  async getAll(table) {
+    return this.filter(table, () => true);
+  }
+
+  async getById(table, id) {
+    const item = this.getTable(table).get(String(id));
+    return item ? copy(item) : null;
+  }
+
+  async getByIds(table, ids) {
+    const result = {};
+    ids.map(String).forEach(id => {
+      const item = this.getTable(table).get(id);
+      if (item) result[item.id] = copy(item);
+    });
+    return result;
+  }
+
+  async put(table, item) {
+    this.getTable(table).set(String(item.id), copy(item));
+    return item;
+  }
+
+  async putMany(table, items) {
+    items.forEach(item => this.getTable(table).set(String(item.id), copy(item)));
+  }
+
+  // 순서를 유지한 채 ID 바꾸기
+  async replaceMany(table, replacements) {
+    if (replacements.length === 0) return;
+
+    const byId = new Map(replacements.map(({ id, item }) => [String(id), item]));
+    const entries = [...this.getTable(table).entries()].map(([id, item]) => {
+      const next = byId.get(id);
+      return next ? [String(next.id), copy(next)] : [id, item];
+    });
+    this.getSpace().tables[table] = new Map(entries);
+  }
+
+  async remove(table, id) {
+    this.getTable(table).delete(String(id));
+  }
+
+  async removeMany(table, ids) {
+    ids.forEach(id => this.getTable(table).delete(String(id)));
+  }
+
+  async clear(table) {
+    this.getTable(table).clear();
+  }
+
+  async getMeta(key) {
+    const value = this.getSpace().meta.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async setMeta(key, value) {
+    this.getSpace().meta.set(key, String(value));
+  }
+}
@@ -1,42 +1,246 @@
 import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addDays, getTodayString, getDueDate } from '../utils/dateUtils';
+import { expandRoutine } from '../utils/recurrence';
+
+// 항목별 예약된 알림 ID 저장 키 { [itemId]: { type, ids, signature } }
+const STORAGE_KEY = 'notificationIds';
+
+// AlarmPicker 주기 단위 (ms)
+const CYCLE_MS = {
+  '분': 60 * 1000,
+  '시간': 60 * 60 * 1000,
+  '일': 24 * 60 * 60 * 1000,
+};
+
+// 반복 루틴 알림 예약 범위 (오늘부터 n일)
+const ROUTINE_WINDOW_DAYS = 7;
+
+// '마다' 모드에서 한 번의 마감에 예약할 최대 알림 수
+const MAX_REPEAT_COUNT = 10;
+
+// 항목 하나당 예약할 최대 알림 수 (iOS 예약 알림 개수 제한 고려)
+const MAX_PER_ITEM = 20;
 
 class NotificationService {
+  constructor() {
+    // 알림 ID 저장소 읽기/쓰기 직렬화
+    this.queue = Promise.resolve();
+  }
+
   // 초기 설정
   async initialize() {
     await Notifications.requestPermissionsAsync();
     Notifications.setNotificationHandler({
       handleNotification: async () => ({
         shouldShowAlert: true,
+        shouldShowBanner: true,
+        shouldShowList: true,
         shouldPlaySound: true,
+        shouldSetBadge: false,
       }),
     });
   }
 
-  // 알림 스케줄링
-  async scheduleTodoReminder(todo) {
-    if (!todo.remind || !todo.time) return;
+  // remind 설정 정규화: { offset(ms), repeat } (예전 형식인 분 단위 숫자도 지원)
+  parseRemind(remind) {
+    if (!remind) return null;
 
-    const [year, month, day] = todo.date.split('.');
-    const [hour, minute] = todo.time.split(':');
-    
-    // 알림 시간 계산 (마감 시간 - remind 분)
-    const dueTime = new Date(year, month - 1, day, hour, minute);
-    const remindTime = new Date(dueTime.getTime() - (todo.remind * 60000));
+    if (typeof remind === 'number') {
+      return { amount: remind, cycle: '분', offset: remind * CYCLE_MS['분'], repeat: false };
+    }
+
+    const amount = Number(remind.time);
+    const unit = CYCLE_MS[remind.cycle];
+    if (!amount || !unit) return null;
+
+    return {
+      amount,
+      cycle: remind.cycle,
+      offset: amount * unit,
+      repeat: remind.set === '마다'
+    };
+  }
+
+  // 마감 하나에 대한 알림 시각 목록
+  // - '전': 마감 n(분/시간/일) 전 한 번
+  // - '마다': 마감까지 n(분/시간/일)마다 (마감 시각 포함)
+  getTriggerTimes(dueDate, remind, now = new Date()) {
+    if (!remind.repeat) {
+      const at = new Date(dueDate.getTime() - remind.offset);
+      return at > now ? [{ at, remaining: remind.offset }] : [];
+    }
+
+    const times = [];
+    for (let k = 0; k <= MAX_REPEAT_COUNT; k++) {
+      const at = new Date(dueDate.getTime() - k * remind.offset);
+      if (at <= now) break;
+      times.push({ at, remaining: k * remind.offset });
+    }
+    return times.reverse();
+  }
 
-    await Notifications.scheduleNotificationAsync({
+  // 남은 시간 문구
+  formatRemaining(ms) {
+    if (ms <= 0) return '마감 시간이 되었어요!';
+
+    const minutes = Math.round(ms / CYCLE_MS['분']);
+    if (minutes % (24 * 60) === 0) return `마감까지 ${minutes / (24 * 60)}일 남았어요!`;
+    if (minutes % 60 === 0) return `마감까지 ${minutes / 60}시간 남았어요!`;
+    return `마감까지 ${minutes}분 남았어요!`;
+  }
+
+  // 항목의 마감 목록 (루틴은 예약 범위 내 미완료 발생 항목)
+  getDueItems(type, item) {
+    if (type === 'routine') {
+      const today = getTodayString();
+      return expandRoutine(item, today, addDays(today, ROUTINE_WINDOW_DAYS))
+        .filter(occurrence => !occurrence.completed)
+        .map(occurrence => ({ date: occurrence.date, dueDate: getDueDate(occurrence.date, item.time) }))
+        .filter(due => due.dueDate);
+    }
+
+    if (item.completed) return [];
+    const dueDate = getDueDate(item.date, item.time);
+    return dueDate ? [{ date: item.date, dueDate }] : [];
+  }
+
+  // 알림 관련 필드가 바뀌었는지 판단하기 위한 서명
+  getSignature(type, item) {
+    return JSON.stringify({
+      title: item.title,
+      date: item.date,
+      time: item.time,
+      remind: item.remind,
+      completed: item.completed,
+      repeated: type === 'routine' ? item.repeated : null,
+      completions: type === 'routine' ? item.completions : null,
+      // 루틴은 예약 범위가 날짜에 따라 이동하므로 날짜가 바뀌면 다시 예약
+      day: type === 'routine' ? getTodayString() : null
+    });
+  }
+
+  // 저장된 알림 ID 목록
+  async getStoredIds() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error getting notification ids:', error);
+      return {};
+    }
+  }
+
+  async saveStoredIds(stored) {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  // 저장소 접근 직렬화 (동시에 여러 항목을 저장/수정할 때 ID 유실 방지)
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // 알림 스케줄링 (단일 알림)
+  async scheduleReminder(type, item, due, trigger) {
+    return Notifications.scheduleNotificationAsync({
       content: {
-        title: 'Todo 알림',
-        body: `'${todo.title}'의 마감시간이 ${todo.remind}분 남았어요!`,
-        data: { type: 'todo', id: todo.id }
+        title: type === 'routine' ? '루틴 알림' : 'Todo 알림',
+        body: `'${item.title}' ${this.formatRemaining(trigger.remaining)}`,
+        data: { type, id: item.id, date: due.date }
       },
-      trigger: remindTime
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: trigger.at
+      }
+    });
+  }
+
+  // 항목의 알림 취소 후 다시 예약 (저장소 잠금 안에서 호출)
+  async rescheduleItem(stored, type, item) {
+    const signature = this.getSignature(type, item);
+    const prev = stored[item.id];
+
+    if (prev && prev.signature === signature) return false;
+
+    if (prev) {
+      await Promise.all(prev.ids.map(id => this.cancelReminder(id)));
+      delete stored[item.id];
+    }
+
+    const remind = this.parseRemind(item.remind);
+    if (!remind) return !!prev;
+
+    const ids = [];
+    for (const due of this.getDueItems(type, item)) {
+      for (const trigger of this.getTriggerTimes(due.dueDate, remind)) {
+        if (ids.length >= MAX_PER_ITEM) break;
+        ids.push(await this.scheduleReminder(type, item, due, trigger));
+      }
+    }
+
+    stored[item.id] = { type, ids, signature };
+    return true;
+  }
+
+  // 항목 알림 예약 (저장/수정 시 호출, 기존 알림은 취소 후 다시 예약)
+  async scheduleReminders(type, item) {
+    if (!item?.id) return;
+
+    return this.enqueue(async () => {
+      const stored = await this.getStoredIds();
+      if (await this.rescheduleItem(stored, type, item)) {
+        await this.saveStoredIds(stored);
+      }
+    });
+  }
+
+  // 항목 알림 전체 취소 (삭제 시 호출)
+  async cancelReminders(itemId) {
+    return this.enqueue(async () => {
+      const stored = await this.getStoredIds();
+      if (!stored[itemId]) return;
+
+      await Promise.all(stored[itemId].ids.map(id => this.cancelReminder(id)));
+      delete stored[itemId];
+      await this.saveStoredIds(stored);
+    });
+  }
+
+  // 전체 목록 기준으로 알림 동기화 (변경된 항목만 다시 예약, 사라진 항목은 취소)
+  async syncReminders(type, items) {
+    return this.enqueue(async () => {
+      const stored = await this.getStoredIds();
+      const itemIds = new Set(items.map(item => item.id));
+      let changed = false;
+
+      for (const [itemId, entry] of Object.entries(stored)) {
+        if (entry.type === type && !itemIds.has(itemId)) {
+          await Promise.all(entry.ids.map(id => this.cancelReminder(id)));
+          delete stored[itemId];
+          changed = true;
+        }
+      }
+
+      for (const item of items) {
+        if (await this.rescheduleItem(stored, type, item)) changed = true;
+      }
+
+      if (changed) {
+        await this.saveStoredIds(stored);
+      }
     });
   }
 
   // 알림 취소
   async cancelReminder(notificationId) {
-    await Notifications.cancelScheduledNotificationAsync(notificationId);
+    try {
+      await Notifications.cancelScheduledNotificationAsync(notificationId);
+    } catch (error) {
+      console.warn('Cancel reminder error:', error);
+    }
   }
 }
 
-export default new NotificationService();
\ No newline at end of file
+export default new NotificationService();
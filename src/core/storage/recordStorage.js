@@ -1,15 +1,21 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import database from './database';
+import storageLock from './storageLock';
+import { stampFieldVersions, mergeItem } from '../utils/merge';
+import { SCHEMA_VERSION } from '../utils/schema';
 
-const STORAGE_KEY = 'records';
+const TABLE = 'records';
+
+export class RecordStorage {
+  constructor(db = database) {
+    this.db = db;
+  }
 
-class RecordStorage {
   /**
    * 모든 Record 가져오기
    */
   async getAll() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      return await this.db.getAll(TABLE);
     } catch (error) {
       console.error('Error getting records:', error);
       return [];
@@ -21,8 +27,7 @@ class RecordStorage {
    */
   async getById(id) {
     try {
-      const records = await this.getAll();
-      return records.find(record => record.id === id) || null;
+      return await this.db.getById(TABLE, id);
     } catch (error) {
       console.error('Error getting record by id:', error);
       return null;
@@ -34,8 +39,7 @@ class RecordStorage {
    */
   async getByDate(date) {
     try {
-      const records = await this.getAll();
-      return records.find(record => record.id === date) || null;
+      return await this.db.getById(TABLE, date);
     } catch (error) {
       console.error('Error getting record by date:', error);
       return null;
@@ -43,19 +47,17 @@ class RecordStorage {
   }
 
   /**
-   * 월별 Record 가져오기
+   * 월별 Record 가져오기 (date 인덱스)
    */
   async getByMonth(year, month) {
     try {
-      const records = await this.getAll();
       const monthStr = month.toString().padStart(2, '0');
       const yearStr = year.toString();
 
-      return records.filter(record => {
-        if (!record.id) return false;
-        const [y, m] = record.id.split('.');
-        return y === yearStr && m === monthStr;
-      });
+      return await this.db.findInRange(TABLE, 'date',
+        `${yearStr}.${monthStr}.01`,
+        `${yearStr}.${monthStr}.31`
+      );
     } catch (error) {
       console.error('Error getting records by month:', error);
       return [];
@@ -67,8 +69,7 @@ class RecordStorage {
    */
   async exists(date) {
     try {
-      const records = await this.getAll();
-      return records.some(record => record.id === date);
+      return (await this.db.getById(TABLE, date)) !== null;
     } catch (error) {
       console.error('Error checking record existence:', error);
       return false;
@@ -80,16 +81,20 @@ class RecordStorage {
    * date를 id로 사용 (하루에 하나의 record만 존재)
    */
   async add(recordData) {
+    return storageLock.run(TABLE, () => this.insert(recordData));
+  }
+
+  // 추가 (잠금 없이, 잠금 안에서 사용)
+  async insert(recordData) {
     try {
       if (!recordData.date) {
         throw new Error('Record date is required');
       }
 
-      const records = await this.getAll();
       const id = recordData.date; // date를 id로 사용
       
       // 이미 존재하는지 확인
-      const exists = records.some(r => r.id === id);
+      const exists = await this.db.getById(TABLE, id);
       if (exists) {
         throw new Error('Record already exists for this date');
       }
@@ -101,12 +106,14 @@ class RecordStorage {
         date: id,
         content: recordData.content || null,
         mood: recordData.mood || null,
+        schemaVersion: SCHEMA_VERSION.record,
         createdAt: now,
         updatedAt: now
       };
+      // 같은 날짜 일기를 여러 기기에서 새로 쓴 경우도 필드 단위로 병합되도록 수정 시각 기록
+      newRecord.fieldVersions = stampFieldVersions(null, newRecord);
       
-      records.push(newRecord);
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+      await this.db.put(TABLE, newRecord);
       return newRecord;
     } catch (error) {
       console.error('Error adding record:', error);
@@ -118,11 +125,15 @@ class RecordStorage {
    * Record 업데이트 (ID 기반 - 부분 업데이트)
    */
   async update(id, updates) {
+    return storageLock.run(TABLE, () => this.applyUpdate(id, updates));
+  }
+
+  // 업데이트 (잠금 없이, 잠금 안에서 사용)
+  async applyUpdate(id, updates) {
     try {
-      const records = await this.getAll();
-      const index = records.findIndex(r => r.id === id);
+      const record = await this.db.getById(TABLE, id);
 
-      if (index === -1) {
+      if (!record) {
         throw new Error('Record not found');
       }
 
@@ -131,17 +142,21 @@ class RecordStorage {
         throw new Error('Cannot change record date. Delete and create new record instead.');
       }
 
-      records[index] = {
-        ...records[index],
+      const next = {
+        ...record,
         ...updates,
         id: id, // id 유지
         date: id, // date도 id와 동일하게 유지
+      };
+      const updated = {
+        ...next,
+        fieldVersions: stampFieldVersions(record, next),
         updatedAt: new Date().toISOString()
       };
 
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+      await this.db.put(TABLE, updated);
 
-      return records[index];
+      return updated;
     } catch (error) {
       console.error('Error updating record:', error);
       throw error;
@@ -153,102 +168,113 @@ class RecordStorage {
    * 프론트 고려 편의 메서드... 존재하면 update, 없으면 add
    */
   async save(recordData) {
-    try {
-      if (!recordData.date) {
-        throw new Error('Record date is required');
-      }
+    return storageLock.run(TABLE, async () => {
+      try {
+        if (!recordData.date) {
+          throw new Error('Record date is required');
+        }
 
-      const exists = await this.exists(recordData.date);
+        const exists = await this.exists(recordData.date);
       
-      if (exists) {
-        return await this.update(recordData.date, recordData);
-      } else {
-        return await this.add(recordData);
+        if (exists) {
+          return await this.applyUpdate(recordData.date, recordData);
+        } else {
+          return await this.insert(recordData);
+        }
+      } catch (error) {
+        console.error('Error saving record:', error);
+        throw error;
       }
-    } catch (error) {
-      console.error('Error saving record:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Record 삭제 (ID로 - date와 동일)
    */
   async delete(id) {
-    try {
-      const records = await this.getAll();
-      const filtered = records.filter(record => record.id !== id);
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.remove(TABLE, id);
       
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-      
-      return true;
-    } catch (error) {
-      console.error('Error deleting record:', error);
-      throw error;
-    }
+        return true;
+      } catch (error) {
+        console.error('Error deleting record:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 여러 Record 삭제 (ID 배열)
    */
   async deleteMany(ids) {
-    try {
-      const records = await this.getAll();
-      const filtered = records.filter(record => !ids.includes(record.id));
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.removeMany(TABLE, ids);
       
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-      
-      return true;
-    } catch (error) {
-      console.error('Error deleting many records:', error);
-      throw error;
-    }
+        return true;
+      } catch (error) {
+        console.error('Error deleting many records:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 모든 Record 삭제
    */
   async clear() {
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      return true;
-    } catch (error) {
-      console.error('Error clearing records:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.clear(TABLE);
+        return true;
+      } catch (error) {
+        console.error('Error clearing records:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Firebase 동기화 전용 메서드
-   * Firebase 데이터를 로컬에 저장 (중복체크 x)
+   * 로컬 항목이 있으면 필드 단위로 병합 (아직 전송하지 않은 로컬 변경 유지)
+   * @returns {{ item, conflicts, keptLocal }}
    */
   async sync(recordData) {
-    try {
-      if (!recordData.id) {
-        throw new Error('Sync requires record ID');
-      }
+    const [result] = await this.syncMany([recordData]);
+    return result;
+  }
 
-      const records = await this.getAll();
-      const existingIndex = records.findIndex(r => r.id === recordData.id);
-      
-      // id와 date 일치 보장
-      const syncData = {
-        ...recordData,
-        date: recordData.id
-      };
-      
-      if (existingIndex >= 0) {
-        records[existingIndex] = syncData;
-      } else {
-        records.push(syncData);
-      }
+  /**
+   * 여러 항목 동기화 (바뀐 항목만 읽고 한 트랜잭션으로 저장)
+   * @returns {Array<{ item, conflicts, keptLocal }>}
+   */
+  async syncMany(recordList) {
+    return storageLock.run(TABLE, async () => {
+      try {
+        if (recordList.some(recordData => !recordData.id)) {
+          throw new Error('Sync requires record ID');
+        }
 
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(records));
-      return syncData;
-    } catch (error) {
-      console.error('Sync record error:', error);
-      throw error;
-    }
+        const existing = await this.db.getByIds(TABLE, recordList.map(r => r.id));
+
+        const results = recordList.map(recordData => {
+          const result = mergeItem(existing[recordData.id] || null, recordData);
+
+          // id와 date 일치 보장
+          result.merged.date = recordData.id;
+          existing[recordData.id] = result.merged;
+
+          return { item: result.merged, conflicts: result.conflicts, keptLocal: result.keptLocal };
+        });
+
+        await this.db.putMany(TABLE, results.map(result => result.item));
+        return results;
+      } catch (error) {
+        console.error('Sync record error:', error);
+        throw error;
+      }
+    });
   }
 }
 
@@ -1,15 +1,24 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-const STORAGE_KEY = 'routines';
+import database from './database';
+import storageLock from './storageLock';
+import { stampFieldVersions, mergeItem } from '../utils/merge';
+import { SCHEMA_VERSION } from '../utils/schema';
+import { ID_PREFIX, createId } from '../utils/idUtils';
+import { getMonthRange } from '../utils/dateUtils';
+import { getOccurrencesByMonth } from '../utils/recurrence';
+
+const TABLE = 'routines';
+
+export class RoutineStorage {
+  constructor(db = database) {
+    this.db = db;
+  }
 
-class RoutineStorage {
   /**
    * 모든 Routine 가져오기
    */
   async getAll() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      return await this.db.getAll(TABLE);
     } catch (error) {
       console.error('Error getting routines:', error);
       return [];
@@ -21,8 +30,7 @@ class RoutineStorage {
    */
   async getById(id) {
     try {
-      const routines = await this.getAll();
-      return routines.find(routine => routine.id === id) || null;
+      return await this.db.getById(TABLE, id);
     } catch (error) {
       console.error('Error getting routine by id:', error);
       return null;
@@ -30,16 +38,14 @@ class RoutineStorage {
   }
 
   /**
-   * 월별 Routine 가져오기
+   * 월별 Routine 가져오기 (반복 루틴은 날짜별 발생 항목으로 펼침)
+   * 그 달 말일까지 시작한 루틴만 읽음 (date 인덱스)
    */
   async getByMonth(year, month) {
     try {
-      const routines = await this.getAll();
-      return routines.filter(routine => {
-        if (!routine.date) return false;
-        const [y, m] = routine.date.split('.');
-        return y === year && m === month.padStart(2, '0');
-      });
+      const { end } = getMonthRange(year, month);
+      const routines = await this.db.findInRange(TABLE, 'date', null, end);
+      return getOccurrencesByMonth(routines, year, month);
     } catch (error) {
       console.error('Error getting routines by month:', error);
       return [];
@@ -50,228 +56,253 @@ class RoutineStorage {
    * Routine 추가
    */
   async add(routineData) {
-    try {
-      const routines = await this.getAll();
-      const newRoutine = {
-        id: `routine_${Date.now()}`,
-        title: routineData.title,
-        date: routineData.date,
-        time: routineData.time || null,
-        completed: false,
-        important: false,
-        remind: routineData.remind || null,
-        repeated: routineData.repeated || null,
-        tag: routineData.tag || null,
-        subs: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-
-      routines.push(newRoutine);
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-
-      return newRoutine;
-    } catch (error) {
-      console.error('Error adding routine:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        const newRoutine = {
+          id: routineData.id || createId(ID_PREFIX.routine),
+          title: routineData.title,
+          date: routineData.date,
+          time: routineData.time || null,
+          completed: false,
+          important: false,
+          remind: routineData.remind || null,
+          repeated: routineData.repeated || null,
+          tag: routineData.tag || null,
+          subs: [],
+          completions: {},
+          schemaVersion: SCHEMA_VERSION.routine,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, newRoutine);
+
+        return newRoutine;
+      } catch (error) {
+        console.error('Error adding routine:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Routine 업데이트
    */
   async update(id, updates) {
-    try {
-      const routines = await this.getAll();
-      const index = routines.findIndex(routine => routine.id === id);
-
-      if (index === -1) {
-        throw new Error('Routine not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const routine = await this.db.getById(TABLE, id);
+
+        if (!routine) {
+          throw new Error('Routine not found');
+        }
+
+        const next = { ...routine, ...updates };
+        const updated = {
+          ...next,
+          fieldVersions: stampFieldVersions(routine, next),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, updated);
+
+        return updated;
+      } catch (error) {
+        console.error('Error updating routine:', error);
+        throw error;
       }
-
-      routines[index] = {
-        ...routines[index],
-        ...updates,
-        updatedAt: new Date().toISOString(),
-      };
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-
-      return routines[index];
-    } catch (error) {
-      console.error('Error updating routine:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub 추가
    */
   async addSub(routineId, subData) {
-    try {
-      const routines = await this.getAll();
-      const index = routines.findIndex(routine => routine.id === routineId);
-
-      if (index === -1) {
-        throw new Error('Routine not found');
-      }
-
-      const newSub = {
-        id: `s_${Date.now()}`,
-        title: subData.title,
-        completed: false,
-      };
-
-      if (!routines[index].subs) {
-        routines[index].subs = [];
+    return storageLock.run(TABLE, async () => {
+      try {
+        const routine = await this.db.getById(TABLE, routineId);
+
+        if (!routine) {
+          throw new Error('Routine not found');
+        }
+
+        const newSub = {
+          id: createId(ID_PREFIX.sub),
+          title: subData.title,
+          completed: false,
+        };
+
+        const next = { ...routine, subs: [...(routine.subs || []), newSub] };
+        await this.db.put(TABLE, {
+          ...next,
+          fieldVersions: stampFieldVersions(routine, next),
+          updatedAt: new Date().toISOString(),
+        });
+
+        return newSub;
+      } catch (error) {
+        console.error('Error adding sub:', error);
+        throw error;
       }
-
-      routines[index].subs.push(newSub);
-      routines[index].updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-
-      return newSub;
-    } catch (error) {
-      console.error('Error adding sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub 업데이트
    */
   async updateSub(routineId, subId, updates) {
-    try {
-      const routines = await this.getAll();
-      const routineIndex = routines.findIndex(routine => routine.id === routineId);
-
-      if (routineIndex === -1) {
-        throw new Error('Routine not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const routine = await this.db.getById(TABLE, routineId);
+
+        if (!routine) {
+          throw new Error('Routine not found');
+        }
+
+        const subIndex = routine.subs?.findIndex(sub => sub.id === subId);
+
+        if (subIndex === -1 || subIndex === undefined) {
+          throw new Error('Sub not found');
+        }
+
+        const subs = [...routine.subs];
+        subs[subIndex] = {
+          ...subs[subIndex],
+          ...updates
+        };
+
+        const next = { ...routine, subs };
+        const updated = {
+          ...next,
+          fieldVersions: stampFieldVersions(routine, next),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, updated);
+
+        return updated;
+      } catch (error) {
+        console.error('Error updating sub:', error);
+        throw error;
       }
-
-      const routine = routines[routineIndex];
-      const subIndex = routine.subs?.findIndex(sub => sub.id === subId);
-
-      if (subIndex === -1 || subIndex === undefined) {
-        throw new Error('Sub not found');
-      }
-
-      routine.subs[subIndex] = {
-        ...routine.subs[subIndex],
-        ...updates
-      };
-      routine.updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-
-      return routine;
-    } catch (error) {
-      console.error('Error updating sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub 삭제
    */
   async deleteSub(routineId, subId) {
-    try {
-      const routines = await this.getAll();
-      const index = routines.findIndex(routine => routine.id === routineId);
-
-      if (index === -1) {
-        throw new Error('Routine not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const routine = await this.db.getById(TABLE, routineId);
+
+        if (!routine) {
+          throw new Error('Routine not found');
+        }
+
+        const next = {
+          ...routine,
+          subs: routine.subs?.filter(sub => sub.id !== subId) || []
+        };
+        await this.db.put(TABLE, {
+          ...next,
+          fieldVersions: stampFieldVersions(routine, next),
+          updatedAt: new Date().toISOString(),
+        });
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting sub:', error);
+        throw error;
       }
-
-      routines[index].subs = routines[index].subs?.filter(
-        sub => sub.id !== subId
-      ) || [];
-
-      routines[index].updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Routine 삭제
    */
   async delete(id) {
-    try {
-      const routines = await this.getAll();
-      const filtered = routines.filter(routine => routine.id !== id);
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting routine:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.remove(TABLE, id);
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting routine:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 여러 Routine 삭제
    */
   async deleteMany(ids) {
-    try {
-      const routines = await this.getAll();
-      const filtered = routines.filter(routine => !ids.includes(routine.id));
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting routines:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.removeMany(TABLE, ids);
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting routines:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 모든 Routine 삭제
    */
   async clear() {
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      return true;
-    } catch (error) {
-      console.error('Error clearing routines:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.clear(TABLE);
+        return true;
+      } catch (error) {
+        console.error('Error clearing routines:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Firebase 동기화 전용 메서드
+   * 로컬 항목이 있으면 필드 단위로 병합 (아직 전송하지 않은 로컬 변경 유지)
+   * @returns {{ item, conflicts, keptLocal }}
    */
   async sync(routineData) {
-    try {
-      if (!routineData.id) {
-        throw new Error('Sync requires routine ID');
-      }
-
-      const routines = await this.getAll();
-      const index = routines.findIndex(r => r.id === routineData.id);
+    const [result] = await this.syncMany([routineData]);
+    return result;
+  }
 
-      if (index >= 0) {
-        routines[index] = routineData;
-      } else {
-        routines.push(routineData);
+  /**
+   * 여러 항목 동기화 (바뀐 항목만 읽고 한 트랜잭션으로 저장)
+   * @returns {Array<{ item, conflicts, keptLocal }>}
+   */
+  async syncMany(routineList) {
+    return storageLock.run(TABLE, async () => {
+      try {
+        if (routineList.some(routineData => !routineData.id)) {
+          throw new Error('Sync requires routine ID');
+        }
+
+        const existing = await this.db.getByIds(TABLE, routineList.map(r => r.id));
+
+        const results = routineList.map(routineData => {
+          const result = mergeItem(existing[routineData.id] || null, routineData);
+          existing[routineData.id] = result.merged;
+
+          return { item: result.merged, conflicts: result.conflicts, keptLocal: result.keptLocal };
+        });
+
+        await this.db.putMany(TABLE, results.map(result => result.item));
+        return results;
+      } catch (error) {
+        console.error('Sync routine error:', error);
+        throw error;
       }
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
-      return routineData;
-    } catch (error) {
-      console.error('Sync routine error:', error);
-      throw error;
-    }
+    });
   }
-
 }
 
-export default new RoutineStorage();
\ No newline at end of file
+export default new RoutineStorage();
@@ -0,0 +1,68 @@
+import database from './database';
+import storageLock from './storageLock';
+import syncQueue from './syncQueue';
+import { SCHEMA_VERSION, migrateItem } from '../utils/schema';
+
+// 테이블의 schema 버전 (meta 키 접두어)
+const VERSION_KEY_PREFIX = 'schemaVersion:';
+
+// 테이블 → 항목 종류
+const TABLE_TYPES = {
+  todos: 'todo',
+  routines: 'routine',
+  records: 'record',
+  tags: 'tag',
+};
+
+/**
+ * 로컬 데이터를 현재 schema 버전으로 옮기기 (DataProvider에서 계정 데이터를 열 때 실행)
+ * 테이블마다 마지막으로 옮긴 버전을 meta에 저장 → 버전이 오른 테이블만 다시 확인
+ */
+class SchemaMigration {
+  /**
+   * 테이블의 저장된 schema 버전 (없으면 0)
+   */
+  async getVersion(table) {
+    return Number(await database.getMeta(`${VERSION_KEY_PREFIX}${table}`)) || 0;
+  }
+
+  /**
+   * 버전이 오른 테이블의 항목과 대기열 옮기기
+   */
+  async run() {
+    const counts = {};
+    const migratedTypes = new Set();
+
+    for (const [table, type] of Object.entries(TABLE_TYPES)) {
+      const target = SCHEMA_VERSION[type];
+      if (await this.getVersion(table) >= target) continue;
+
+      counts[table] = await storageLock.run(table, async () => {
+        const items = await database.getAll(table);
+        const changed = items
+          .map(item => migrateItem(type, item))
+          .filter((migrated, index) => migrated !== items[index]);
+
+        await database.putMany(table, changed);
+        return changed.length;
+      });
+
+      await database.setMeta(`${VERSION_KEY_PREFIX}${table}`, target);
+      migratedTypes.add(type);
+    }
+
+    if (migratedTypes.size === 0) return;
+
+    // 아직 전송하지 않은 변경도 같은 모양으로
+    await syncQueue.migrateEntries(entry => {
+      if (!migratedTypes.has(entry.type) || !entry.data) return entry;
+
+      const data = migrateItem(entry.type, entry.data);
+      return data === entry.data ? entry : { ...entry, data };
+    });
+
+    console.log('[SchemaMigration] Migrated:', counts);
+  }
+}
+
+export default new SchemaMigration();
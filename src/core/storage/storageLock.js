@@ -0,0 +1,35 @@
+/**
+ * 키별 비동기 잠금 (로컬 저장소 쓰기 직렬화)
+ * 같은 키의 작업은 들어온 순서대로 하나씩 실행
+ * → 읽기 → 수정 → 쓰기 도중에 다른 쓰기가 끼어들어 변경이 유실되지 않음
+ *
+ * 잠금 안에서 같은 키로 다시 run을 호출하면 끝나지 않으므로,
+ * 잠금 안에서는 잠그지 않는 내부 메서드를 사용
+ */
+class StorageLock {
+  constructor() {
+    // 키별 마지막 작업 (실패해도 다음 작업은 실행)
+    this.tails = new Map();
+  }
+
+  /**
+   * key 잠금을 잡고 task 실행 (task의 결과/에러를 그대로 반환)
+   */
+  run(key, task) {
+    const prev = this.tails.get(key) || Promise.resolve();
+    const result = prev.then(() => task());
+    const tail = result.catch(() => {});
+
+    this.tails.set(key, tail);
+    tail.then(() => {
+      // 대기 중인 작업이 없으면 정리
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    return result;
+  }
+}
+
+export default new StorageLock();
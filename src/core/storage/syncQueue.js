@@ -0,0 +1,266 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Firebase에 아직 반영되지 않은 변경사항 (오프라인 쓰기 대기열)
+const STORAGE_KEY = 'syncQueue';
+
+// 재시도 간격 (2초부터 두 배씩, 최대 5분)
+const BASE_RETRY_MS = 2 * 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * 대기열 항목
+ * { id, uid, type, itemId, op: 'create' | 'update' | 'delete', data, attempts, lastError, nextAttemptAt, createdAt }
+ * 경험치 지급/회수는 type: 'progress', itemId: 경험치 기록 ID, op: 'grant' | 'revoke'
+ * 같은 항목(type + itemId)의 변경은 하나로 합쳐서 마지막 상태만 보냄
+ */
+export class SyncQueue {
+  constructor() {
+    // 대기열 읽기/쓰기 직렬화
+    this.queue = Promise.resolve();
+
+    // Firebase로 전송 중인 항목 { [항목 ID]: uid } (앱 실행 중에만 유지)
+    this.inFlight = new Map();
+
+    // 전송을 멈춘 사용자 uid (계정 삭제 중)
+    this.paused = new Set();
+
+    // 전송 중인 항목이 끝나기를 기다리는 pause() 호출
+    this.idleWaiters = [];
+  }
+
+  // 저장소 접근 직렬화 (동시에 여러 항목을 저장/수정할 때 변경 유실 방지)
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 모든 대기 항목 가져오기
+   */
+  async getAll() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error getting sync queue:', error);
+      return [];
+    }
+  }
+
+  async saveAll(entries) {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  }
+
+  /**
+   * 사용자의 대기 항목 (uid 기준)
+   */
+  async getByUser(uid) {
+    const entries = await this.getAll();
+    return entries.filter(entry => entry.uid === uid);
+  }
+
+  /**
+   * 대기 항목이 있는 사용자 uid 목록
+   */
+  async getUserIds() {
+    const entries = await this.getAll();
+    return [...new Set(entries.map(entry => entry.uid))];
+  }
+
+  // 이전 변경과 새 변경 합치기 (null이면 두 변경이 서로 상쇄됨)
+  // 생성을 전송하는 중이면 서버에 만들어질 수 있으므로 상쇄하지 않고 삭제로 바꿈
+  mergeOp(prevOp, nextOp, inFlight = false) {
+    // 경험치 지급/회수는 마지막 요청만 보냄 (이미 반영된 상태면 서버에서 건너뜀)
+    if (nextOp === 'grant' || nextOp === 'revoke') return nextOp;
+    if (prevOp === 'create' && nextOp === 'delete') return inFlight ? 'delete' : null;
+    if (prevOp === 'create') return 'create';
+    if (prevOp === 'delete' && nextOp !== 'delete') return 'create';
+    return nextOp;
+  }
+
+  /**
+   * 변경사항 추가 (op: create / update / delete)
+   */
+  async push(uid, type, op, itemId, data = null) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      const index = entries.findIndex(entry =>
+        entry.uid === uid && entry.type === type && entry.itemId === itemId
+      );
+
+      if (index === -1) {
+        entries.push({
+          id: `${type}_${itemId}_${Date.now()}`,
+          uid,
+          type,
+          itemId,
+          op,
+          data,
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: 0,
+          createdAt: new Date().toISOString()
+        });
+      } else {
+        const prev = entries[index];
+        const mergedOp = this.mergeOp(prev.op, op, this.inFlight.has(prev.id));
+
+        if (mergedOp === null) {
+          entries.splice(index, 1);
+        } else {
+          entries[index] = {
+            ...prev,
+            op: mergedOp,
+            data,
+            // 새 변경은 바로 다시 시도
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: 0
+          };
+        }
+      }
+
+      await this.saveAll(entries);
+    });
+  }
+
+  /**
+   * 전송 시작 표시 (저장된 최신 항목 반환, 그 사이 상쇄되어 없어졌거나 전송을 멈췄으면 null)
+   */
+  async begin(entry) {
+    return this.enqueue(async () => {
+      if (this.paused.has(entry.uid)) return null;
+
+      const entries = await this.getAll();
+      const current = entries.find(item => item.id === entry.id) || null;
+      if (current) {
+        this.inFlight.set(current.id, current.uid);
+      }
+      return current;
+    });
+  }
+
+  /**
+   * 전송 끝 표시 (성공/실패 모두, remove / markFailed 이후)
+   */
+  end(entry) {
+    this.inFlight.delete(entry.id);
+
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * 사용자의 전송 멈춤 (계정 삭제 중, 항목은 그대로 남김)
+   * 이미 전송 중인 항목이 끝날 때까지 기다림 → 이후로는 이 사용자의 변경이 Firebase에 쓰이지 않음
+   */
+  async pause(uid) {
+    this.paused.add(uid);
+    while ([...this.inFlight.values()].includes(uid)) {
+      await new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * 전송 다시 시작 (남은 항목은 다음 전송 때 보냄)
+   */
+  resume(uid) {
+    this.paused.delete(uid);
+  }
+
+  isPaused(uid) {
+    return this.paused.has(uid);
+  }
+
+  /**
+   * 전송 완료된 항목 제거
+   * 전송 중에 같은 항목이 다시 변경되었으면(data가 바뀜) 남겨둠
+   */
+  async remove(entry) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      const filtered = entries.filter(item =>
+        !(item.id === entry.id && item.op === entry.op && JSON.stringify(item.data) === JSON.stringify(entry.data))
+      );
+      if (filtered.length !== entries.length) {
+        await this.saveAll(filtered);
+      }
+    });
+  }
+
+  /**
+   * 전송 실패 기록 (지수 백오프로 다음 시도 시각 설정)
+   */
+  async markFailed(entry, error) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      const index = entries.findIndex(item => item.id === entry.id);
+      if (index === -1) return;
+
+      // 전송 중에 다시 변경된 항목은 바로 재시도
+      if (entries[index].op !== entry.op || JSON.stringify(entries[index].data) !== JSON.stringify(entry.data)) {
+        return;
+      }
+
+      const attempts = entries[index].attempts + 1;
+      const delay = Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+      entries[index] = {
+        ...entries[index],
+        attempts,
+        lastError: error?.message || String(error),
+        nextAttemptAt: Date.now() + delay
+      };
+      await this.saveAll(entries);
+    });
+  }
+
+  /**
+   * 모든 항목 고치기 (migrate(entry) → 새 항목, 항목 ID 변경 등)
+   */
+  async migrateEntries(migrate) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      const migrated = entries.map(entry => migrate(entry));
+      if (JSON.stringify(migrated) !== JSON.stringify(entries)) {
+        await this.saveAll(migrated);
+      }
+    });
+  }
+
+  /**
+   * 모든 항목을 즉시 재시도 가능하게 (연결/로그인 복구 시)
+   */
+  async resetBackoff(uid) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      let changed = false;
+      entries.forEach(entry => {
+        if (entry.uid === uid && entry.nextAttemptAt > 0) {
+          entry.nextAttemptAt = 0;
+          changed = true;
+        }
+      });
+      if (changed) {
+        await this.saveAll(entries);
+      }
+    });
+  }
+
+  /**
+   * 사용자의 항목 모두 삭제 (계정 삭제 시, 보낼 곳이 없어진 변경)
+   */
+  async clear(uid) {
+    return this.enqueue(async () => {
+      const entries = await this.getAll();
+      const filtered = entries.filter(entry => entry.uid !== uid);
+      if (filtered.length !== entries.length) {
+        await this.saveAll(filtered);
+      }
+    });
+  }
+}
+
+export default new SyncQueue();
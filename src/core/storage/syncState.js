@@ -0,0 +1,78 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// 컬렉션별로 마지막으로 받은 Firebase 변경 시각 (증분 동기화 기준점)
+const STORAGE_KEY = 'syncState';
+
+/**
+ * 저장 형식
+ * { [uid]: { todo: ms, routine: ms, record: ms, tag: ms } }
+ * 기준점 이후 updatedAt이 바뀐 문서만 다시 받음 (기준점이 없으면 전체 동기화)
+ */
+export class SyncState {
+  constructor() {
+    // 읽기/쓰기 직렬화 (여러 컬렉션 구독이 동시에 기준점을 저장할 때 유실 방지)
+    this.queue = Promise.resolve();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async getAll() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error getting sync state:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 기준점이 있는 사용자 uid 목록
+   */
+  async getUserIds() {
+    return Object.keys(await this.getAll());
+  }
+
+  /**
+   * 컬렉션의 기준점 (없으면 null)
+   */
+  async getHighWaterMark(uid, type) {
+    const state = await this.getAll();
+    return state[uid]?.[type] || null;
+  }
+
+  /**
+   * 기준점 저장 (기존보다 늦은 시각일 때만)
+   */
+  async setHighWaterMark(uid, type, mark) {
+    if (!mark) return;
+
+    return this.enqueue(async () => {
+      const state = await this.getAll();
+      const current = state[uid]?.[type] || 0;
+      if (mark <= current) return;
+
+      state[uid] = { ...(state[uid] || {}), [type]: mark };
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    });
+  }
+
+  /**
+   * 사용자의 기준점 삭제 (다음 로그인 시 전체 동기화)
+   */
+  async clear(uid) {
+    return this.enqueue(async () => {
+      const state = await this.getAll();
+      if (!state[uid]) return;
+
+      delete state[uid];
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    });
+  }
+}
+
+export default new SyncState();
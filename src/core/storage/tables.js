@@ -0,0 +1,41 @@
+// 로컬 데이터베이스 정의 (database.js / memoryDatabase.js 공통, 네이티브 모듈 없이 불러올 수 있음)
+
+// 로그인하지 않은 상태의 네임스페이스
+export const GUEST_NAMESPACE = 'guest';
+
+/**
+ * 테이블 정의
+ * 항목 전체는 data(JSON)에 저장하고, 조회에 쓰는 필드만 인덱스 컬럼으로 따로 저장
+ *   columns: [컬럼 이름, 타입, 항목에서 값 꺼내기]
+ *   legacyKey: 예전 AsyncStorage 키 (최초 실행 시 한 번 옮김)
+ */
+export const TABLES = {
+  todos: {
+    legacyKey: 'todos',
+    columns: [
+      ['date', 'TEXT', item => item.date || null],
+      ['tag', 'TEXT', item => item.tag || null],
+      ['completed', 'INTEGER', item => (item.completed ? 1 : 0)],
+    ],
+  },
+  routines: {
+    legacyKey: 'routines',
+    columns: [
+      ['date', 'TEXT', item => item.date || null],
+      ['tag', 'TEXT', item => item.tag || null],
+      ['completed', 'INTEGER', item => (item.completed ? 1 : 0)],
+    ],
+  },
+  records: {
+    legacyKey: 'records',
+    columns: [
+      ['date', 'TEXT', item => item.date || item.id],
+    ],
+  },
+  tags: {
+    legacyKey: 'tags',
+    columns: [
+      ['name', 'TEXT', item => item.name || null],
+    ],
+  },
+};
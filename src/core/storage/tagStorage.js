@@ -1,15 +1,22 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import database from './database';
+import storageLock from './storageLock';
+import { stampFieldVersions, mergeItem } from '../utils/merge';
+import { SCHEMA_VERSION } from '../utils/schema';
+import { ID_PREFIX, createId } from '../utils/idUtils';
 
-const STORAGE_KEY = 'tags';
+const TABLE = 'tags';
+
+export class TagStorage {
+  constructor(db = database) {
+    this.db = db;
+  }
 
-class TagStorage {
   /**
    * 모든 Tag 가져오기
    */
   async getAll() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      return await this.db.getAll(TABLE);
     } catch (error) {
       console.error('Error getting tags:', error);
       return [];
@@ -21,8 +28,7 @@ class TagStorage {
    */
   async getById(id) {
     try {
-      const tags = await this.getAll();
-      return tags.find(t => t.id === id) || null;
+      return await this.db.getById(TABLE, id);
     } catch (error) {
       console.error('Error getting tag by id:', error);
       return null;
@@ -30,12 +36,12 @@ class TagStorage {
   }
 
   /**
-   * 이름 중복 확인
+   * 이름 중복 확인 (name 인덱스)
    */
   async exists(name) {
     try {
-      const tags = await this.getAll();
-      return tags.some(t => t.name === name);
+      const tags = await this.db.findBy(TABLE, 'name', name);
+      return tags.length > 0;
     } catch (error) {
       console.error('Error checking tag existence:', error);
       return false;
@@ -46,135 +52,168 @@ class TagStorage {
    * Tag 추가
    */
   async add(tagData) {
-    try {
-      const name = tagData.name.trim();
+    return storageLock.run(TABLE, async () => {
+      try {
+        const name = tagData.name.trim();
 
-      if (name === '') {
-        throw new Error('태그 이름을 입력해주세요.');
-      }
-
-      if (await this.exists(name)) {
-        throw new Error('이미 존재하는 태그 이름입니다.');
-      }
+        if (name === '') {
+          throw new Error('태그 이름을 입력해주세요.');
+        }
 
-      const tags = await this.getAll();
+        if (await this.exists(name)) {
+          throw new Error('이미 존재하는 태그 이름입니다.');
+        }
 
-      const newTag = {
-        id: Date.now().toString(),
-        name: name
-      };
+        const newTag = {
+          id: tagData.id || createId(ID_PREFIX.tag),
+          name: name,
+          schemaVersion: SCHEMA_VERSION.tag
+        };
 
-      tags.push(newTag);
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(tags));
+        await this.db.put(TABLE, newTag);
 
-      return newTag;
-    } catch (error) {
-      console.error('Error adding tag:', error);
-      throw error;
-    }
+        return newTag;
+      } catch (error) {
+        console.error('Error adding tag:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Tag 수정
    */
   async update(id, updates) {
-    try {
-      const tags = await this.getAll();
-      const index = tags.findIndex(t => t.id === id);
+    return storageLock.run(TABLE, async () => {
+      try {
+        const tag = await this.db.getById(TABLE, id);
 
-      if (index === -1) {
-        throw new Error('Tag not found');
-      }
+        if (!tag) {
+          throw new Error('Tag not found');
+        }
 
-      // updates가 문자열이면 name으로 처리
-      const newData = typeof updates === 'string'
-        ? { name: updates.trim() }
-        : updates;
+        // updates가 문자열이면 name으로 처리
+        const newData = typeof updates === 'string'
+          ? { name: updates.trim() }
+          : updates;
 
-      // 이름 변경 시 검증 및 중복 체크
-      if (newData.name !== undefined) {
-        const trimmedName = newData.name.trim();
+        // 이름 변경 시 검증 및 중복 체크
+        if (newData.name !== undefined) {
+          const trimmedName = newData.name.trim();
 
-        if (trimmedName === '') {
-          throw new Error('태그 이름을 입력해주세요.');
-        }
+          if (trimmedName === '') {
+            throw new Error('태그 이름을 입력해주세요.');
+          }
 
-        const duplicate = tags.find(t => t.id !== id && t.name === trimmedName);
-        if (duplicate) {
-          throw new Error('이미 존재하는 태그 이름입니다.');
-        }
+          const sameName = (await this.db.findBy(TABLE, 'name', trimmedName)).filter(tag => tag.id !== id);
+          if (sameName.length > 0) {
+            throw new Error('이미 존재하는 태그 이름입니다.');
+          }
 
-        newData.name = trimmedName;
-      }
+          newData.name = trimmedName;
+        }
 
-      // 부분 업데이트
-      tags[index] = { ...tags[index], ...newData };
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(tags));
+        // 부분 업데이트
+        const next = { ...tag, ...newData };
+        const updated = { ...next, fieldVersions: stampFieldVersions(tag, next) };
+        await this.db.put(TABLE, updated);
 
-      return tags[index];
-    } catch (error) {
-      console.error('Error updating tag:', error);
-      throw error;
-    }
+        return updated;
+      } catch (error) {
+        console.error('Error updating tag:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Tag 삭제
    */
   async delete(id) {
-    try {
-      const tags = await this.getAll();
-      const filtered = tags.filter(t => t.id !== id);
+    return storageLock.run(TABLE, async () => {
+      try {
+        const tag = await this.db.getById(TABLE, id);
+
+        if (!tag) {
+          throw new Error('Tag not found');
+        }
 
-      if (filtered.length === tags.length) {
-        throw new Error('Tag not found');
+        await this.db.remove(TABLE, id);
+        return true;
+      } catch (error) {
+        console.error('Error deleting tag:', error);
+        throw error;
       }
+    });
+  }
 
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-      return true;
-    } catch (error) {
-      console.error('Error deleting tag:', error);
-      throw error;
-    }
+  /**
+   * 여러 Tag 삭제
+   */
+  async deleteMany(ids) {
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.removeMany(TABLE, ids);
+        return true;
+      } catch (error) {
+        console.error('Error deleting tags:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 모든 Tag 삭제
    */
   async clear() {
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      return true;
-    } catch (error) {
-      console.error('Error clearing tags:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.clear(TABLE);
+        return true;
+      } catch (error) {
+        console.error('Error clearing tags:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Firebase 동기화 전용 메서드
+   * 로컬 항목이 있으면 필드 단위로 병합 (아직 전송하지 않은 로컬 변경 유지)
+   * @returns {{ item, conflicts, keptLocal }}
    */
   async sync(tagData) {
-    try {
-      if (!tagData.id) {
-        throw new Error('Sync requires tag ID');
-      }
+    const [result] = await this.syncMany([tagData]);
+    return result;
+  }
+
+  /**
+   * 여러 항목 동기화 (바뀐 항목만 읽고 한 트랜잭션으로 저장)
+   * @returns {Array<{ item, conflicts, keptLocal }>}
+   */
+  async syncMany(tagList) {
+    return storageLock.run(TABLE, async () => {
+      try {
+        if (tagList.some(tagData => !tagData.id)) {
+          throw new Error('Sync requires tag ID');
+        }
 
-      const tags = await this.getAll();
-      const index = tags.findIndex(t => t.id === tagData.id);
+        const existing = await this.db.getByIds(TABLE, tagList.map(t => t.id));
 
-      if (index >= 0) {
-        tags[index] = tagData;
-      } else {
-        tags.push(tagData);
-      }
+        const results = tagList.map(tagData => {
+          const result = mergeItem(existing[tagData.id] || null, tagData);
+          existing[tagData.id] = result.merged;
 
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(tags));
-      return tagData;
-    } catch (error) {
-      console.error('Sync tag error:', error);
-      throw error;
-    }
+          return { item: result.merged, conflicts: result.conflicts, keptLocal: result.keptLocal };
+        });
+
+        await this.db.putMany(TABLE, results.map(result => result.item));
+        return results;
+      } catch (error) {
+        console.error('Sync tag error:', error);
+        throw error;
+      }
+    });
   }
 
 }
@@ -1,15 +1,23 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-const STORAGE_KEY = 'todos';
+import database from './database';
+import storageLock from './storageLock';
+import { stampFieldVersions, mergeItem } from '../utils/merge';
+import { SCHEMA_VERSION } from '../utils/schema';
+import { ID_PREFIX, createId } from '../utils/idUtils';
+
+const TABLE = 'todos';
+
+export class TodoStorage {
+  // db: 로컬 데이터베이스 (기본은 SQLite, 테스트에서는 MemoryDatabase 등을 넣어 사용)
+  constructor(db = database) {
+    this.db = db;
+  }
 
-class TodoStorage {
   /**
    * 모든 Todo 가져오기
    */
   async getAll() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      return await this.db.getAll(TABLE);
     } catch (error) {
       console.error('Error getting todos:', error);
       return [];
@@ -21,8 +29,7 @@ class TodoStorage {
    */
   async getById(id) {
     try {
-      const todos = await this.getAll();
-      return todos.find(todo => todo.id === id) || null;
+      return await this.db.getById(TABLE, id);
     } catch (error) {
       console.error('Error getting todo by id:', error);
       return null;
@@ -30,16 +37,12 @@ class TodoStorage {
   }
 
   /**
-   * 월별 Todo 가져오기
+   * 월별 Todo 가져오기 (date 인덱스)
    */
   async getByMonth(year, month) {
     try {
-      const todos = await this.getAll();
-      return todos.filter(todo => {
-        if (!todo.date) return false;
-        const [y, m] = todo.date.split('.');
-        return y === year && m === month.padStart(2, '0');
-      });
+      const prefix = `${year}.${String(month).padStart(2, '0')}`;
+      return await this.db.findInRange(TABLE, 'date', `${prefix}.01`, `${prefix}.31`);
     } catch (error) {
       console.error('Error getting todos by month:', error);
       return [];
@@ -50,227 +53,252 @@ class TodoStorage {
    * Todo 추가
    */
   async add(todoData) {
-    try {
-      const todos = await this.getAll();
-      const newTodo = {
-        id: `todo_${Date.now()}`,
-        title: todoData.title,
-        date: todoData.date,
-        time: todoData.time || null,
-        completed: false,
-        important: false,
-        remind: todoData.remind || null,
-        repeated: null,
-        tag: todoData.tag || null,
-        subs: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-
-      todos.push(newTodo);
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-
-      return newTodo;
-    } catch (error) {
-      console.error('Error adding todo:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        const newTodo = {
+          id: todoData.id || createId(ID_PREFIX.todo),
+          title: todoData.title,
+          date: todoData.date,
+          time: todoData.time || null,
+          completed: false,
+          important: false,
+          remind: todoData.remind || null,
+          repeated: null,
+          tag: todoData.tag || null,
+          subs: [],
+          schemaVersion: SCHEMA_VERSION.todo,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, newTodo);
+
+        return newTodo;
+      } catch (error) {
+        console.error('Error adding todo:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Todo 업데이트
    */
   async update(id, updates) {
-    try {
-      const todos = await this.getAll();
-      const index = todos.findIndex(todo => todo.id === id);
-
-      if (index === -1) {
-        throw new Error('Todo not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const todo = await this.db.getById(TABLE, id);
+
+        if (!todo) {
+          throw new Error('Todo not found');
+        }
+
+        const next = { ...todo, ...updates };
+        const updated = {
+          ...next,
+          fieldVersions: stampFieldVersions(todo, next),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, updated);
+
+        return updated;
+      } catch (error) {
+        console.error('Error updating todo:', error);
+        throw error;
       }
-
-      todos[index] = {
-        ...todos[index],
-        ...updates,
-        updatedAt: new Date().toISOString(),
-      };
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-
-      return todos[index];
-    } catch (error) {
-      console.error('Error updating todo:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub(하위 할 일) 추가
    */
   async addSub(todoId, subData) {
-    try {
-      const todos = await this.getAll();
-      const index = todos.findIndex(todo => todo.id === todoId);
-
-      if (index === -1) {
-        throw new Error('Todo not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const todo = await this.db.getById(TABLE, todoId);
+
+        if (!todo) {
+          throw new Error('Todo not found');
+        }
+
+        const newSub = {
+          id: createId(ID_PREFIX.sub),
+          title: subData.title,
+          completed: false,
+        };
+
+        const next = { ...todo, subs: [...(todo.subs || []), newSub] };
+        await this.db.put(TABLE, {
+          ...next,
+          fieldVersions: stampFieldVersions(todo, next),
+          updatedAt: new Date().toISOString(),
+        });
+
+        return newSub;
+      } catch (error) {
+        console.error('Error adding sub:', error);
+        throw error;
       }
-
-      const newSub = {
-        id: `sub_${Date.now()}`,
-        title: subData.title,
-        completed: false,
-      };
-
-      if (!todos[index].subs) {
-        todos[index].subs = [];
-      }
-
-      todos[index].subs.push(newSub);
-      todos[index].updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-
-      return newSub;
-    } catch (error) {
-      console.error('Error adding sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub 업데이트
    */
   async updateSub(todoId, subId, updates) {
-    try {
-      const todos = await this.getAll();
-      const todoIndex = todos.findIndex(todo => todo.id === todoId);
-
-      if (todoIndex === -1) {
-        throw new Error('Todo not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const todo = await this.db.getById(TABLE, todoId);
+
+        if (!todo) {
+          throw new Error('Todo not found');
+        }
+
+        const subIndex = todo.subs?.findIndex(sub => sub.id === subId);
+
+        if (subIndex === -1 || subIndex === undefined) {
+          throw new Error('Sub not found');
+        }
+
+        const subs = [...todo.subs];
+        subs[subIndex] = {
+          ...subs[subIndex],
+          ...updates
+        };
+
+        const next = { ...todo, subs };
+        const updated = {
+          ...next,
+          fieldVersions: stampFieldVersions(todo, next),
+          updatedAt: new Date().toISOString(),
+        };
+
+        await this.db.put(TABLE, updated);
+
+        return updated;
+      } catch (error) {
+        console.error('Error updating sub:', error);
+        throw error;
       }
-
-      const todo = todos[todoIndex];
-      const subIndex = todo.subs?.findIndex(sub => sub.id === subId);
-
-      if (subIndex === -1 || subIndex === undefined) {
-        throw new Error('Sub not found');
-      }
-
-      todo.subs[subIndex] = {
-        ...todo.subs[subIndex],
-        ...updates
-      };
-      todo.updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-
-      return todo;
-    } catch (error) {
-      console.error('Error updating sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Sub 삭제
    */
   async deleteSub(todoId, subId) {
-    try {
-      const todos = await this.getAll();
-      const index = todos.findIndex(todo => todo.id === todoId);
-
-      if (index === -1) {
-        throw new Error('Todo not found');
+    return storageLock.run(TABLE, async () => {
+      try {
+        const todo = await this.db.getById(TABLE, todoId);
+
+        if (!todo) {
+          throw new Error('Todo not found');
+        }
+
+        const next = {
+          ...todo,
+          subs: todo.subs?.filter(sub => sub.id !== subId) || []
+        };
+        await this.db.put(TABLE, {
+          ...next,
+          fieldVersions: stampFieldVersions(todo, next),
+          updatedAt: new Date().toISOString(),
+        });
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting sub:', error);
+        throw error;
       }
-
-      todos[index].subs = todos[index].subs?.filter(
-        sub => sub.id !== subId
-      ) || [];
-
-      todos[index].updatedAt = new Date().toISOString();
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting sub:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Todo 삭제
    */
   async delete(id) {
-    try {
-      const todos = await this.getAll();
-      const filtered = todos.filter(todo => todo.id !== id);
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting todo:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.remove(TABLE, id);
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting todo:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 여러 Todo 삭제
    */
   async deleteMany(ids) {
-    try {
-      const todos = await this.getAll();
-      const filtered = todos.filter(todo => !ids.includes(todo.id));
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-
-      return true;
-    } catch (error) {
-      console.error('Error deleting todos:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.removeMany(TABLE, ids);
+
+        return true;
+      } catch (error) {
+        console.error('Error deleting todos:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * 모든 Todo 삭제
    */
   async clear() {
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      return true;
-    } catch (error) {
-      console.error('Error clearing todos:', error);
-      throw error;
-    }
+    return storageLock.run(TABLE, async () => {
+      try {
+        await this.db.clear(TABLE);
+        return true;
+      } catch (error) {
+        console.error('Error clearing todos:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Firebase 동기화 전용 메서드
+   * 로컬 항목이 있으면 필드 단위로 병합 (아직 전송하지 않은 로컬 변경 유지)
+   * @returns {{ item, conflicts, keptLocal }}
    */
   async sync(todoData) {
-    try {
-      if (!todoData.id) {
-        throw new Error('Sync requires todo ID');
-      }
-
-      const todos = await this.getAll();
-      const index = todos.findIndex(t => t.id === todoData.id);
+    const [result] = await this.syncMany([todoData]);
+    return result;
+  }
 
-      if (index >= 0) {
-        todos[index] = todoData;
-      } else {
-        todos.push(todoData);
+  /**
+   * 여러 항목 동기화 (바뀐 항목만 읽고 한 트랜잭션으로 저장)
+   * @returns {Array<{ item, conflicts, keptLocal }>}
+   */
+  async syncMany(todoList) {
+    return storageLock.run(TABLE, async () => {
+      try {
+        if (todoList.some(todoData => !todoData.id)) {
+          throw new Error('Sync requires todo ID');
+        }
+
+        const existing = await this.db.getByIds(TABLE, todoList.map(t => t.id));
+
+        const results = todoList.map(todoData => {
+          const result = mergeItem(existing[todoData.id] || null, todoData);
+          existing[todoData.id] = result.merged;
+
+          return { item: result.merged, conflicts: result.conflicts, keptLocal: result.keptLocal };
+        });
+
+        await this.db.putMany(TABLE, results.map(result => result.item));
+        return results;
+      } catch (error) {
+        console.error('Sync todo error:', error);
+        throw error;
       }
-
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-      return todoData;
-    } catch (error) {
-      console.error('Sync todo error:', error);
-      throw error;
-    }
+    });
   }
 }
 
-export default new TodoStorage();
\ No newline at end of file
+export default new TodoStorage();
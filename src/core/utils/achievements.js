@@ -0,0 +1,232 @@
+import { formatDate, parseDate, addDays, getDueDate } from './dateUtils';
+import { expandRoutines } from './recurrence';
+import { getCompletionItems } from './statistics';
+import { getDateStreak, getRecordStreak } from './streaks';
+
+/**
+ * 칭호 목록 (category: Reward 화면 섹션)
+ */
+export const TITLES = [
+  { id: 'todo-1', category: 'Todo', title: '🐣 처음 날개 단 병아리', description: '첫 Todo 완료!' },
+  { id: 'todo-2', category: 'Todo', title: '🐿️ 할일 수집 다람쥐', description: '하루 5개 완료!' },
+  { id: 'todo-3', category: 'Todo', title: '🐰 부지런 토끼', description: '하루 10개 완료!' },
+  { id: 'todo-4', category: 'Todo', title: '🐝 열일 벌', description: '일주일 연속 100% 완료!' },
+  { id: 'todo-5', category: 'Todo', title: '🦊 센스 여우', description: '마감 1시간 전 완료!' },
+  { id: 'todo-6', category: 'Todo', title: '🐓 아침형 닭', description: 'Todo를 오전에 전부 완료!' },
+  { id: 'todo-7', category: 'Todo', title: '🦉 야근 부엉이', description: 'Todo를 밤 10시 이후 완료!' },
+  { id: 'todo-8', category: 'Todo', title: '🐘 미리미리 코끼리', description: '일정 3일 전 미리 완료!' },
+  { id: 'todo-9', category: 'Todo', title: '🐨 휴일도 일하는 코알라', description: '주말에도 Todo 달성!' },
+
+  { id: 'routine-1', category: 'Routine', title: '🌱 자라나는 루틴 새싹', description: '첫 루틴 완료!' },
+  { id: 'routine-2', category: 'Routine', title: '🦔 꾸준 고슴도치', description: '7일 연속 루틴 성공!' },
+  { id: 'routine-3', category: 'Routine', title: '🕊️ 둥지 짓는 새', description: '30일 연속 루틴 성공!' },
+  { id: 'routine-4', category: 'Routine', title: '🦦 완벽주의 수달', description: '100일 연속 루틴 성공!' },
+
+  { id: 'record-1', category: 'Record', title: '🦊 생각 먹는 여우', description: '첫 일기 작성!' },
+  { id: 'record-2', category: 'Record', title: '🐱 감정 기록 고양이', description: '7일 연속 일기 작성!' },
+  { id: 'record-3', category: 'Record', title: '🐢 자기성찰 거북이', description: '30일 연속 일기 작성!' },
+  { id: 'record-4', category: 'Record', title: '🐋 기억의 고래', description: '100개 일기 작성!' },
+
+  { id: 'etc-1', category: 'etc.', title: '🦢 완벽 백조', description: '하루에 Todo, 루틴, 일기 모두 완료' },
+  { id: 'etc-3', category: 'etc.', title: '🐶 인싸 강아지', description: '친구 10명 이상 추가' },
+  { id: 'etc-4', category: 'etc.', title: '🐪 꾸준한 낙타', description: '앱 가입 1주년' },
+  { id: 'etc-5', category: 'etc.', title: '🐉 성실함의 전설 드래곤', description: '한 해 전체 달성률 100%' },
+];
+
+export const TITLE_CATEGORIES = ['Todo', 'Routine', 'Record', 'etc.'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 완료 시각 (완료 시 저장한 completedAt, 없으면 null)
+const getCompletedAt = (item) => {
+  if (!item.completedAt) return null;
+  const date = new Date(item.completedAt);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// 완료한 날짜 (완료 시각이 없는 예전 데이터는 일정 날짜로 대신함)
+const getCompletedDay = (item) => {
+  const completedAt = getCompletedAt(item);
+  return completedAt ? formatDate(completedAt) : item.date;
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = {};
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!key) return;
+    (groups[key] = groups[key] || []).push(item);
+  });
+  return groups;
+};
+
+// 가입 시각 (Firestore Timestamp / Date / 문자열)
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Todo / Routine / Record 기록에서 칭호 조건에 필요한 값 계산
+ */
+export const getAchievementStats = ({ todos, routines, records, userProfile }, now = new Date()) => {
+  const today = formatDate(now);
+  const datedTodos = (todos || []).filter(todo => todo.date);
+  const completedTodos = datedTodos.filter(todo => todo.completed);
+
+  // Todo: 하루 최대 완료 개수 (완료한 날짜 기준)
+  const completedByDay = groupBy(completedTodos, getCompletedDay);
+  const maxTodosInDay = Math.max(0, ...Object.values(completedByDay).map(items => items.length));
+
+  // Todo: 그날 일정이 모두 완료된 날짜
+  const todosByDate = groupBy(datedTodos.filter(todo => todo.date <= today), todo => todo.date);
+  const perfectTodoDays = Object.keys(todosByDate)
+    .filter(date => todosByDate[date].every(todo => todo.completed));
+
+  // Todo: 그날 일정을 그날 오전(12시 전)에 모두 완료한 날이 있는지
+  const morningPerfectDay = perfectTodoDays.some(date => todosByDate[date].every(todo => {
+    const completedAt = getCompletedAt(todo);
+    return completedAt && formatDate(completedAt) === date && completedAt.getHours() < 12;
+  }));
+
+  // Routine: 발생 항목 (첫 루틴 날짜 ~ 오늘)
+  const routineStart = (routines || []).map(routine => routine.date).filter(Boolean).sort()[0];
+  const occurrences = routineStart && routineStart <= today
+    ? expandRoutines(routines, routineStart, today)
+    : [];
+  const occurrencesByDate = groupBy(occurrences, occurrence => occurrence.date);
+
+  // Routine: 예정된 루틴을 모두 완료한 날짜 (루틴이 없는 날은 연속 기록을 끊지 않음)
+  const scheduledRoutineDays = Object.keys(occurrencesByDate).sort();
+  let routineStreak = 0;
+  let currentRoutineStreak = 0;
+  scheduledRoutineDays.forEach(date => {
+    const perfect = occurrencesByDate[date].every(occurrence => occurrence.completed);
+    currentRoutineStreak = perfect ? currentRoutineStreak + 1 : 0;
+    routineStreak = Math.max(routineStreak, currentRoutineStreak);
+  });
+
+  // Record: 작성한 날짜
+  const recordDates = (records || [])
+    .filter(record => record.content || record.mood)
+    .map(record => record.date || record.id)
+    .filter(Boolean);
+
+  // 하루에 Todo, 루틴, 일기를 모두 완료한 날
+  const todoDoneDates = new Set(completedTodos.map(todo => todo.date));
+  const recordDateSet = new Set(recordDates);
+  const allDoneDay = occurrences.some(occurrence =>
+    occurrence.completed && todoDoneDates.has(occurrence.date) && recordDateSet.has(occurrence.date)
+  );
+
+  // 지난 연도 중 전체 달성률 100%인 해 (가입 이후 온전히 보낸 해만)
+  const joinedAt = toDate(userProfile?.createdAt);
+  const firstYear = Math.min(
+    joinedAt ? joinedAt.getFullYear() + (joinedAt.getMonth() === 0 && joinedAt.getDate() === 1 ? 0 : 1) : now.getFullYear(),
+    now.getFullYear()
+  );
+  let perfectYear = false;
+  for (let year = firstYear; year < now.getFullYear() && !perfectYear; year++) {
+    const items = getCompletionItems(todos, routines, `${year}.01.01`, `${year}.12.31`);
+    perfectYear = items.length > 0 && items.every(item => item.completed);
+  }
+
+  const anniversary = joinedAt ? new Date(joinedAt) : null;
+  if (anniversary) anniversary.setFullYear(anniversary.getFullYear() + 1);
+
+  return {
+    todoCompleted: completedTodos.length,
+    maxTodosInDay,
+    perfectTodoStreak: getDateStreak(perfectTodoDays, today).max,
+    morningPerfectDay,
+    // 마감 1시간 전 ~ 마감 사이 완료
+    completedNearDeadline: completedTodos.some(todo => {
+      const completedAt = getCompletedAt(todo);
+      const dueDate = getDueDate(todo.date, todo.time);
+      if (!completedAt || !dueDate) return false;
+      const remaining = dueDate.getTime() - completedAt.getTime();
+      return remaining >= 0 && remaining <= HOUR_MS;
+    }),
+    completedAtNight: completedTodos.some(todo => {
+      const completedAt = getCompletedAt(todo);
+      return completedAt && completedAt.getHours() >= 22;
+    }),
+    completedEarly: completedTodos.some(todo => {
+      const completedAt = getCompletedAt(todo);
+      return completedAt && formatDate(completedAt) <= addDays(todo.date, -3);
+    }),
+    completedOnWeekend: completedTodos.some(todo => {
+      const day = parseDate(getCompletedDay(todo))?.getDay();
+      return day === 0 || day === 6;
+    }),
+    routineCompleted: occurrences.filter(occurrence => occurrence.completed).length,
+    routineStreak,
+    recordCount: recordDateSet.size,
+    recordStreak: getRecordStreak(records, today).max,
+    allDoneDay,
+    friendCount: (userProfile?.friends || []).length,
+    anniversary: !!anniversary && anniversary <= now,
+    perfectYear,
+  };
+};
+
+// 칭호별 달성 조건
+const CONDITIONS = {
+  'todo-1': (stats) => stats.todoCompleted >= 1,
+  'todo-2': (stats) => stats.maxTodosInDay >= 5,
+  'todo-3': (stats) => stats.maxTodosInDay >= 10,
+  'todo-4': (stats) => stats.perfectTodoStreak >= 7,
+  'todo-5': (stats) => stats.completedNearDeadline,
+  'todo-6': (stats) => stats.morningPerfectDay,
+  'todo-7': (stats) => stats.completedAtNight,
+  'todo-8': (stats) => stats.completedEarly,
+  'todo-9': (stats) => stats.completedOnWeekend,
+  'routine-1': (stats) => stats.routineCompleted >= 1,
+  'routine-2': (stats) => stats.routineStreak >= 7,
+  'routine-3': (stats) => stats.routineStreak >= 30,
+  'routine-4': (stats) => stats.routineStreak >= 100,
+  'record-1': (stats) => stats.recordCount >= 1,
+  'record-2': (stats) => stats.recordStreak >= 7,
+  'record-3': (stats) => stats.recordStreak >= 30,
+  'record-4': (stats) => stats.recordCount >= 100,
+  'etc-1': (stats) => stats.allDoneDay,
+  'etc-3': (stats) => stats.friendCount >= 10,
+  'etc-4': (stats) => stats.anniversary,
+  'etc-5': (stats) => stats.perfectYear,
+};
+
+/**
+ * 칭호 목록 + 달성 여부(conditionMet) + 획득 여부(claimed)
+ */
+export const evaluateTitles = (source, now = new Date()) => {
+  const stats = getAchievementStats(source, now);
+  const claimed = new Set(source.userProfile?.claimedTitles || []);
+
+  return TITLES.map(item => ({
+    ...item,
+    conditionMet: !!CONDITIONS[item.id](stats),
+    claimed: claimed.has(item.id),
+  }));
+};
+
+/**
+ * 조건은 달성했지만 아직 받지 않은 칭호
+ */
+export const getAchievableTitles = (evaluated) => {
+  return evaluated.filter(item => item.conditionMet && !item.claimed);
+};
+
+/**
+ * 획득한 칭호 (프로필에 표시 가능한 칭호)
+ */
+export const getClaimedTitles = (claimedIds) => {
+  const claimed = new Set(claimedIds || []);
+  return TITLES.filter(item => claimed.has(item.id));
+};
+
+/**
+ * 칭호 ID로 찾기
+ */
+export const getTitleById = (titleId) => TITLES.find(item => item.id === titleId) || null;
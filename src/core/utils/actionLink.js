@@ -0,0 +1,46 @@
+// 앱에서 처리하는 Firebase 이메일 작업 (mode)
+export const ACTION_MODES = {
+  resetPassword: 'resetPassword',
+  verifyEmail: 'verifyEmail',
+  verifyAndChangeEmail: 'verifyAndChangeEmail',
+  recoverEmail: 'recoverEmail',
+};
+
+// 쿼리 문자열 → { [key]: value } (URLSearchParams는 React Native에서 일부만 지원)
+const parseQuery = (url) => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return {};
+
+  const query = url.slice(queryStart + 1).split('#')[0];
+  return query.split('&').reduce((params, pair) => {
+    if (!pair) return params;
+    const [key, ...rest] = pair.split('=');
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(rest.join('=').replace(/\+/g, ' '));
+    } catch (error) {
+      // 잘못 인코딩된 값은 무시
+    }
+    return params;
+  }, {});
+};
+
+/**
+ * Firebase 이메일 작업 링크 → { mode, oobCode, continueUrl }
+ * 예: todaydo://auth/action?mode=resetPassword&oobCode=...
+ *     https://<작업 URL>?mode=verifyEmail&oobCode=...
+ * 다른 링크 안에 들어 있는 경우(link 파라미터)도 처리, 작업 링크가 아니면 null
+ */
+export const parseActionLink = (url, depth = 0) => {
+  if (!url || typeof url !== 'string') return null;
+
+  const params = parseQuery(url);
+  if (params.mode && params.oobCode && ACTION_MODES[params.mode]) {
+    return {
+      mode: params.mode,
+      oobCode: params.oobCode,
+      continueUrl: params.continueUrl || null,
+    };
+  }
+
+  return params.link && depth < 2 ? parseActionLink(params.link, depth + 1) : null;
+};
@@ -0,0 +1,122 @@
+// 앱 전역에서 사용하는 날짜 문자열 형식: "YYYY.MM.DD" (로컬 시간 기준)
+
+/**
+ * Date → "YYYY.MM.DD"
+ */
+export const formatDate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}.${month}.${day}`;
+};
+
+/**
+ * "YYYY.MM.DD" → Date (로컬 자정)
+ */
+export const parseDate = (dateString) => {
+  if (!dateString) return null;
+  const [year, month, day] = dateString.split('.').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * 오늘 날짜 문자열
+ */
+export const getTodayString = () => formatDate(new Date());
+
+/**
+ * 날짜 문자열에 일수 더하기
+ */
+export const addDays = (dateString, days) => {
+  const date = parseDate(dateString);
+  date.setDate(date.getDate() + days);
+  return formatDate(date);
+};
+
+/**
+ * 해당 월의 첫날/마지막날 문자열 (month: 1~12)
+ */
+export const getMonthRange = (year, month) => {
+  const y = Number(year);
+  const m = Number(month);
+  return {
+    start: formatDate(new Date(y, m - 1, 1)),
+    end: formatDate(new Date(y, m, 0))
+  };
+};
+
+/**
+ * 상대 시간 표시 ("방금 전", "5분 전", "3시간 전", "2일 전", 일주일 이상은 날짜)
+ */
+export const formatRelativeTime = (date, now = new Date()) => {
+  if (!date) return '방금 전';
+
+  const diffMinutes = Math.floor((now.getTime() - date.getTime()) / 60000);
+
+  if (diffMinutes < 1) return '방금 전';
+  if (diffMinutes < 60) return `${diffMinutes}분 전`;
+
+  const diffHours = Math.floor(diffMinutes / 60);
+  if (diffHours < 24) return `${diffHours}시간 전`;
+
+  const diffDays = Math.floor(diffHours / 24);
+  if (diffDays < 7) return `${diffDays}일 전`;
+
+  return formatDate(date);
+};
+
+/**
+ * 시간 문자열 → { hour, minute } (24시간제)
+ * "AM 09:30" / "오후 09:30" / "21:30" 형식 지원
+ */
+export const parseTime = (time) => {
+  if (!time) return null;
+
+  const match = String(time).trim().match(/^(AM|PM|오전|오후)?\s*(\d{1,2}):(\d{2})$/i);
+  if (!match) return null;
+
+  const [, meridiem, h, m] = match;
+  let hour = Number(h);
+  const minute = Number(m);
+
+  if (meridiem) {
+    const isPM = /^(PM|오후)$/i.test(meridiem);
+    if (hour === 12) hour = 0;
+    if (isPM) hour += 12;
+  }
+
+  return { hour, minute };
+};
+
+/**
+ * { hour, minute } (24시간제) → 시간 문자열 "AM 09:30" (CustomTimePicker 형식)
+ */
+export const formatTime = ({ hour, minute }) => {
+  const ampm = hour < 12 ? 'AM' : 'PM';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${ampm} ${String(displayHour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * 마감 시각 Date (date "YYYY.MM.DD" + time, 시간이 없으면 null)
+ */
+export const getDueDate = (dateString, time) => {
+  const day = parseDate(dateString);
+  const parsed = parseTime(time);
+  if (!day || !parsed) return null;
+
+  day.setHours(parsed.hour, parsed.minute, 0, 0);
+  return day;
+};
+
+/**
+ * 시각을 ms로 변환 (Firestore Timestamp / JSON으로 저장된 Timestamp / ISO 문자열, 없으면 0)
+ */
+export const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value.seconds === 'number') return value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6);
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+};
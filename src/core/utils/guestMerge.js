@@ -0,0 +1,84 @@
+import { ID_PREFIX, createId } from './idUtils';
+import { stampFieldVersions } from './merge';
+
+const normalize = (value) => String(value ?? '').trim();
+
+/**
+ * 같은 항목인지 판단하는 키 (로그인 전에 만든 항목 ↔ 계정의 항목)
+ *   todo: 제목 + 날짜 + 시간
+ *   routine: 제목 + 시작일 + 반복 요일
+ *   tag: 이름 (Todo / Routine은 태그를 이름으로 연결)
+ *   record: 날짜 (하루에 하나, 날짜가 ID)
+ */
+const DUPLICATE_KEYS = {
+  todo: item => [normalize(item.title), item.date, item.time || ''].join('|'),
+  routine: item => [normalize(item.title), item.date, (item.repeated?.days || []).join(',')].join('|'),
+  tag: item => normalize(item.name),
+  record: item => item.date || item.id,
+};
+
+// 같은 날짜의 일기 합치기 (계정의 일기 뒤에 로그인 전 일기 내용을 붙임, 이미 들어 있으면 null)
+const mergeRecord = (accountRecord, guestRecord, now) => {
+  const accountContent = normalize(accountRecord.content);
+  const guestContent = normalize(guestRecord.content);
+
+  if (!guestContent || accountContent.includes(guestContent)) {
+    return null;
+  }
+
+  const next = {
+    ...accountRecord,
+    content: accountContent ? `${accountContent}\n\n${guestContent}` : guestContent,
+    mood: accountRecord.mood || guestRecord.mood || null,
+  };
+
+  return {
+    ...next,
+    fieldVersions: stampFieldVersions(accountRecord, next, now),
+    updatedAt: new Date(now).toISOString(),
+  };
+};
+
+/**
+ * 로그인 전에 만든 항목(guest)을 계정의 항목과 합치는 계획
+ * @returns {{ added: Array, updated: Array, skipped: number }}
+ *   added: 계정에 새로 추가할 항목 (ID가 겹치면 새 ID)
+ *   updated: 계정의 항목을 고친 것 (같은 날짜의 일기)
+ *   skipped: 계정에 이미 있어 건너뛴 항목 수
+ */
+export const planGuestMerge = (type, guestItems, accountItems, now = Date.now()) => {
+  const keyOf = DUPLICATE_KEYS[type];
+  const accountByKey = new Map((accountItems || []).map(item => [keyOf(item), item]));
+  const accountIds = new Set((accountItems || []).map(item => item.id));
+
+  const added = [];
+  const updated = [];
+  let skipped = 0;
+
+  (guestItems || []).forEach(item => {
+    const key = keyOf(item);
+    const existing = accountByKey.get(key);
+
+    if (existing) {
+      const merged = type === 'record' ? mergeRecord(existing, item, now) : null;
+      if (merged) {
+        updated.push(merged);
+        accountByKey.set(key, merged);
+      } else {
+        skipped++;
+      }
+      return;
+    }
+
+    const { baseVersions, ...rest } = item;
+    const next = accountIds.has(rest.id) && ID_PREFIX[type]
+      ? { ...rest, id: createId(ID_PREFIX[type], now) }
+      : rest;
+
+    added.push(next);
+    accountByKey.set(key, next);
+    accountIds.add(next.id);
+  });
+
+  return { added, updated, skipped };
+};
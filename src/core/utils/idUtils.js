@@ -0,0 +1,169 @@
+/**
+ * 항목 ID 생성
+ *   `${prefix}_${ULID}` (예: todo_01JAY3Q0V6J8W2K4X9M1N5B7CD)
+ *   ULID = 생성 시각(ms, 10자) + 무작위 값(80bit, 16자), Crockford Base32
+ * 같은 밀리초에 여러 개를 만들어도 무작위 값을 1씩 올려 겹치지 않고,
+ * 다른 기기에서 같은 순간에 만들어도 무작위 값이 달라 겹치지 않음
+ */
+
+// Crockford Base32 (I, L, O, U 제외)
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+const ID_PATTERN = new RegExp(`^[a-z]+_[${ENCODING}]{${TIME_LENGTH + RANDOM_LENGTH}}$`);
+
+// 종류별 ID 접두어 (record는 날짜가 ID라 제외)
+export const ID_PREFIX = {
+  todo: 'todo',
+  routine: 'routine',
+  tag: 'tag',
+  sub: 'sub',
+};
+
+// 같은 밀리초 안에서 순서 유지용 (마지막 시각 / 무작위 값)
+let lastTime = -1;
+let lastRandom = [];
+
+const encodeTime = (time) => {
+  let chars = '';
+  let rest = time;
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    chars = ENCODING[rest % 32] + chars;
+    rest = Math.floor(rest / 32);
+  }
+  return chars;
+};
+
+// 무작위 값 (5bit 숫자 배열), crypto가 없으면 Math.random 사용
+const randomDigits = () => {
+  const bytes = new Uint8Array(RANDOM_LENGTH);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < RANDOM_LENGTH; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return Array.from(bytes, byte => byte % 32);
+};
+
+// 무작위 값 + 1 (같은 밀리초에 만든 ID가 겹치지 않고 순서대로 정렬되도록)
+const incrementDigits = (digits) => {
+  const next = [...digits];
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+  return randomDigits();
+};
+
+/**
+ * 새 ID 생성 (prefix: ID_PREFIX 값)
+ */
+export const createId = (prefix, now = Date.now()) => {
+  if (now === lastTime) {
+    lastRandom = incrementDigits(lastRandom);
+  } else {
+    lastTime = now;
+    lastRandom = randomDigits();
+  }
+  return `${prefix}_${encodeTime(now)}${lastRandom.map(digit => ENCODING[digit]).join('')}`;
+};
+
+/**
+ * 예전 형식 ID인지 (todo_1712345678901, sub_..., s_..., 숫자만 등)
+ */
+export const isLegacyId = (id) => {
+  return id !== undefined && id !== null && !ID_PATTERN.test(String(id));
+};
+
+// 32bit FNV-1a 해시
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+};
+
+/**
+ * 예전 ID를 옮길 새 ID
+ * 같은 예전 ID는 항상 같은 새 ID가 됨 → 여러 기기가 따로 옮겨도 서로 같은 항목을 가리킴
+ *   시각: 예전 ID의 생성 시각(ms) / 무작위 값: 예전 ID의 해시
+ */
+export const getMigratedId = (prefix, legacyId) => {
+  const text = `${prefix}:${legacyId}`;
+  const digits = String(legacyId).match(/\d{13}/)?.[0];
+  const time = digits ? Number(digits) : 0;
+
+  let random = '';
+  for (let i = 0; i < RANDOM_LENGTH; i++) {
+    random += ENCODING[hash(`${i}:${text}`) % 32];
+  }
+  return `${prefix}_${encodeTime(time)}${random}`;
+};
+
+// path의 sub ID 바꾸기 (subs.<subId> → subs.<새 ID>)
+const migratePathKeys = (versions, subIds) => {
+  if (!versions) return versions;
+  return Object.fromEntries(Object.entries(versions).map(([path, version]) => {
+    const subId = path.startsWith('subs.') ? path.slice('subs.'.length) : null;
+    return [subId !== null && subIds[subId] ? `subs.${subIds[subId]}` : path, version];
+  }));
+};
+
+/**
+ * 예전 ID를 쓰는 항목을 새 ID로 옮긴 항목 (바꿀 것이 없으면 그대로 반환)
+ * - 항목 ID, 세부 단계(subs) ID
+ * - 세부 단계를 가리키는 곳: 반복 루틴의 completions[date].subs, fieldVersions / baseVersions의 subs.<subId>
+ * - 태그는 이름으로 연결되므로 Todo / Routine의 tag 필드는 그대로
+ */
+export const migrateItemIds = (type, item) => {
+  const prefix = ID_PREFIX[type];
+  if (!prefix || !item) return item;
+
+  // 세부 단계 ID는 원래 항목 ID와 함께 해시 (항목마다 따로 만든 ID라 항목 간에 겹칠 수 있음)
+  const subIds = {};
+  (item.subs || []).forEach(sub => {
+    if (isLegacyId(sub.id)) {
+      subIds[sub.id] = getMigratedId(ID_PREFIX.sub, `${item.id}:${sub.id}`);
+    }
+  });
+
+  if (!isLegacyId(item.id) && Object.keys(subIds).length === 0) return item;
+
+  const migrated = {
+    ...item,
+    id: isLegacyId(item.id) ? getMigratedId(prefix, item.id) : item.id,
+  };
+
+  if (Object.keys(subIds).length > 0) {
+    migrated.subs = item.subs.map(sub => subIds[sub.id] ? { ...sub, id: subIds[sub.id] } : sub);
+    migrated.fieldVersions = migratePathKeys(item.fieldVersions, subIds);
+    migrated.baseVersions = migratePathKeys(item.baseVersions, subIds);
+
+    if (item.completions) {
+      migrated.completions = Object.fromEntries(Object.entries(item.completions).map(([date, entry]) => [
+        date,
+        entry?.subs
+          ? {
+            ...entry,
+            subs: Object.fromEntries(Object.entries(entry.subs).map(([subId, done]) => [subIds[subId] || subId, done]))
+          }
+          : entry
+      ]));
+    }
+
+    // 없던 필드는 다시 없애기
+    ['fieldVersions', 'baseVersions'].forEach(field => {
+      if (migrated[field] === undefined) delete migrated[field];
+    });
+  }
+
+  return migrated;
+};
@@ -0,0 +1,201 @@
+import { toMillis } from './dateUtils';
+
+/**
+ * 필드 단위 병합 (로컬 변경 ↔ Firebase 실시간 스냅샷)
+ *
+ * 항목마다 필드별 수정 시각을 함께 저장
+ *   fieldVersions: { [path]: ms }  - 필드를 마지막으로 수정한 시각 (Firebase에도 같이 저장)
+ *   baseVersions:  { [path]: ms }  - 마지막으로 받은 Firebase 항목의 fieldVersions (로컬 전용)
+ *
+ * path는 필드 이름, 배열/맵 필드는 원소 단위로 나눔
+ *   subs.<subId>, completions.<YYYY.MM.DD>
+ */
+
+// 원소 단위로 병합하는 필드 (array: id로 구분하는 배열, map: 키로 구분하는 객체)
+const KEYED_FIELDS = {
+  subs: 'array',
+  completions: 'map',
+};
+
+// 병합 대상이 아닌 필드
+const META_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt', 'fieldVersions', 'baseVersions'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const splitPath = (path) => {
+  const index = path.indexOf('.');
+  return index === -1 ? [path, null] : [path.slice(0, index), path.slice(index + 1)];
+};
+
+/**
+ * path의 필드 이름 (subs.<subId> → subs)
+ */
+export const getPathField = (path) => splitPath(path)[0];
+
+/**
+ * 항목의 모든 path
+ */
+const getPaths = (item) => {
+  const paths = [];
+  Object.keys(item || {}).forEach(field => {
+    if (META_FIELDS.includes(field)) return;
+
+    const kind = KEYED_FIELDS[field];
+    if (kind === 'array' && Array.isArray(item[field])) {
+      item[field].forEach(element => paths.push(`${field}.${element.id}`));
+    } else if (kind === 'map' && item[field] && typeof item[field] === 'object') {
+      Object.keys(item[field]).forEach(key => paths.push(`${field}.${key}`));
+    } else {
+      paths.push(field);
+    }
+  });
+  return paths;
+};
+
+/**
+ * path의 값 (없으면 undefined)
+ */
+export const getPathValue = (item, path) => {
+  const [field, key] = splitPath(path);
+  const value = item?.[field];
+  if (key === null) return value;
+
+  if (KEYED_FIELDS[field] === 'array') {
+    return (value || []).find(element => String(element.id) === key);
+  }
+  return value ? value[key] : undefined;
+};
+
+/**
+ * path의 값을 바꾼 새 항목 (value가 undefined면 삭제)
+ */
+export const setPathValue = (item, path, value) => {
+  const [field, key] = splitPath(path);
+
+  if (key === null) {
+    const next = { ...item };
+    if (value === undefined) {
+      delete next[field];
+    } else {
+      next[field] = value;
+    }
+    return next;
+  }
+
+  if (KEYED_FIELDS[field] === 'array') {
+    const list = [...(item[field] || [])];
+    const index = list.findIndex(element => String(element.id) === key);
+    if (value === undefined) {
+      if (index !== -1) list.splice(index, 1);
+    } else if (index === -1) {
+      list.push(value);
+    } else {
+      list[index] = value;
+    }
+    return { ...item, [field]: list };
+  }
+
+  const map = { ...(item[field] || {}) };
+  if (value === undefined) {
+    delete map[key];
+  } else {
+    map[key] = value;
+  }
+  return { ...item, [field]: map };
+};
+
+/**
+ * 로컬 수정 시 바뀐 path의 수정 시각 갱신
+ */
+export const stampFieldVersions = (prev, next, now = Date.now()) => {
+  const fieldVersions = { ...(prev?.fieldVersions || {}) };
+  const paths = new Set([...getPaths(prev), ...getPaths(next)]);
+
+  paths.forEach(path => {
+    if (!isEqual(getPathValue(prev, path), getPathValue(next, path))) {
+      fieldVersions[path] = now;
+    }
+  });
+
+  return fieldVersions;
+};
+
+/**
+ * 로컬 항목과 Firebase 항목 병합
+ * - 한쪽에서만 바뀐 필드는 바뀐 쪽 값을 사용
+ * - 양쪽에서 모두 다른 값으로 바뀐 필드는 나중에 수정한 쪽을 사용하고 conflicts에 기록
+ * - fieldVersions가 없는 예전 데이터는 updatedAt이 늦은 쪽을 사용
+ *
+ * @returns {{ merged, conflicts: Array<{ path, field, localValue, remoteValue, winner }>, keptLocal: boolean }}
+ */
+export const mergeItem = (local, remote) => {
+  if (!local) {
+    return {
+      merged: { ...remote, baseVersions: { ...(remote.fieldVersions || {}) } },
+      conflicts: [],
+      keptLocal: false,
+    };
+  }
+
+  const base = local.baseVersions || {};
+  const localVersions = local.fieldVersions || {};
+  const remoteVersions = remote.fieldVersions || {};
+  const paths = new Set([...getPaths(local), ...getPaths(remote), ...Object.keys(localVersions)]);
+
+  let merged = { ...remote };
+  const fieldVersions = { ...remoteVersions };
+  const conflicts = [];
+  let keptLocal = false;
+
+  paths.forEach(path => {
+    const localVersion = localVersions[path] || 0;
+    const remoteVersion = remoteVersions[path] || 0;
+    const baseVersion = base[path] || 0;
+    const localValue = getPathValue(local, path);
+    const remoteValue = getPathValue(remote, path);
+
+    fieldVersions[path] = Math.max(localVersion, remoteVersion);
+    if (fieldVersions[path] === 0) delete fieldVersions[path];
+
+    if (isEqual(localValue, remoteValue)) return;
+
+    const localChanged = localVersion > baseVersion;
+    const remoteChanged = remoteVersion > baseVersion;
+
+    if (!localChanged && !remoteChanged) {
+      // 버전 정보가 없는 예전 데이터
+      if (!Object.keys(localVersions).length && !Object.keys(remoteVersions).length &&
+          toMillis(local.updatedAt) > toMillis(remote.updatedAt)) {
+        merged = setPathValue(merged, path, localValue);
+        keptLocal = true;
+      }
+      return;
+    }
+    if (!localChanged) return;
+
+    const winner = localVersion >= remoteVersion ? 'local' : 'remote';
+    if (winner === 'local') {
+      merged = setPathValue(merged, path, localValue);
+      keptLocal = true;
+    }
+
+    if (remoteChanged) {
+      conflicts.push({ path, field: getPathField(path), localValue, remoteValue, winner });
+    }
+  });
+
+  merged.fieldVersions = fieldVersions;
+  merged.baseVersions = { ...remoteVersions };
+  if (keptLocal) merged.updatedAt = local.updatedAt;
+
+  return { merged, conflicts, keptLocal };
+};
+
+/**
+ * Firebase로 보낼 항목 (로컬 전용 필드 제외)
+ */
+export const toRemoteItem = (item) => {
+  if (!item) return item;
+  const { baseVersions, ...data } = item;
+  return data;
+};
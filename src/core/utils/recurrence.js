@@ -0,0 +1,163 @@
+import { formatDate, parseDate, getMonthRange } from './dateUtils';
+
+// Date.getDay() 인덱스 순서 (RepeatPicker의 요일 라벨과 동일)
+const WEEK_DAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * 반복 루틴 여부 (repeated.days가 있을 때만 반복)
+ */
+export const isRepeating = (routine) => {
+  return !!(routine?.repeated?.days && routine.repeated.days.length > 0);
+};
+
+/**
+ * 반복 종료일 (종료일 미설정 시 null)
+ */
+const getEndDate = (routine) => {
+  const { endDateMode, endDate } = routine.repeated || {};
+  return endDateMode === 'date' && endDate ? endDate : null;
+};
+
+/**
+ * 해당 날짜에 루틴이 발생하는지 확인
+ * - 반복 x: date와 일치하는 날 한 번
+ * - 반복 o: 시작일(date) ~ 종료일(endDate) 사이의 선택된 요일
+ */
+export const occursOn = (routine, dateString) => {
+  if (!routine?.date || !dateString) return false;
+
+  if (!isRepeating(routine)) {
+    return routine.date === dateString;
+  }
+
+  if (dateString < routine.date) return false;
+
+  const endDate = getEndDate(routine);
+  if (endDate && dateString > endDate) return false;
+
+  const date = parseDate(dateString);
+  return !!date && routine.repeated.days.includes(WEEK_DAYS[date.getDay()]);
+};
+
+/**
+ * 특정 날짜의 발생 항목 생성
+ * 반복 루틴은 날짜별 완료 상태를 completions[date]에 저장
+ *   completions: { "YYYY.MM.DD": { completed, completedAt, subs: { [subId]: boolean } } }
+ */
+const buildOccurrence = (routine, dateString) => {
+  const base = {
+    ...routine,
+    date: dateString,
+    startDate: routine.date,
+    occurrenceKey: `${routine.id}@${dateString}`
+  };
+
+  if (!isRepeating(routine)) {
+    return base;
+  }
+
+  const entry = routine.completions?.[dateString] || {};
+  const subStates = entry.subs || {};
+
+  return {
+    ...base,
+    completed: !!entry.completed,
+    completedAt: entry.completedAt || null,
+    subs: (routine.subs || []).map(sub => ({
+      ...sub,
+      completed: !!subStates[sub.id]
+    }))
+  };
+};
+
+/**
+ * 특정 날짜의 발생 항목 (발생하지 않으면 null)
+ */
+export const getOccurrence = (routine, dateString) => {
+  if (!occursOn(routine, dateString)) return null;
+  return buildOccurrence(routine, dateString);
+};
+
+/**
+ * 기간 내 루틴의 모든 발생 항목 (start, end 포함)
+ */
+export const expandRoutine = (routine, start, end) => {
+  if (!routine?.date) return [];
+
+  if (!isRepeating(routine)) {
+    return routine.date >= start && routine.date <= end
+      ? [buildOccurrence(routine, routine.date)]
+      : [];
+  }
+
+  const endDate = getEndDate(routine);
+  const from = routine.date > start ? routine.date : start;
+  const to = endDate && endDate < end ? endDate : end;
+
+  const occurrences = [];
+  const cursor = parseDate(from);
+  const last = parseDate(to);
+  if (!cursor || !last) return occurrences;
+
+  while (cursor <= last) {
+    if (routine.repeated.days.includes(WEEK_DAYS[cursor.getDay()])) {
+      occurrences.push(buildOccurrence(routine, formatDate(cursor)));
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * 여러 루틴의 기간 내 발생 항목
+ */
+export const expandRoutines = (routines, start, end) => {
+  return (routines || []).flatMap(routine => expandRoutine(routine, start, end));
+};
+
+/**
+ * 날짜별 발생 항목
+ */
+export const getOccurrencesByDate = (routines, dateString) => {
+  return expandRoutines(routines, dateString, dateString);
+};
+
+/**
+ * 월별 발생 항목 (month: 1~12)
+ */
+export const getOccurrencesByMonth = (routines, year, month) => {
+  const { start, end } = getMonthRange(year, month);
+  return expandRoutines(routines, start, end);
+};
+
+/**
+ * 발생 항목의 완료 상태 변경 → updateData에 넘길 변경사항 생성
+ * - 반복 x: 기존처럼 completed / completedAt / subs 필드 직접 수정
+ * - 반복 o: completions[date]만 수정, subs는 정의(제목 등)만 유지
+ * completedAt(완료 시각, 완료 취소 시 null)을 넘기지 않으면(세부 단계만 변경 등) 기존 값 유지
+ */
+export const buildOccurrenceUpdate = (routine, dateString, { completed, completedAt, subs }) => {
+  if (!isRepeating(routine)) {
+    return completedAt === undefined ? { completed, subs } : { completed, completedAt, subs };
+  }
+
+  const previous = routine.completions?.[dateString] || {};
+
+  const subStates = {};
+  (subs || []).forEach(sub => {
+    if (sub.completed) subStates[sub.id] = true;
+  });
+
+  return {
+    subs: (subs || []).map(sub => ({ ...sub, completed: false })),
+    completions: {
+      ...(routine.completions || {}),
+      [dateString]: {
+        completed: !!completed,
+        completedAt: completed ? (completedAt === undefined ? previous.completedAt || null : completedAt) : null,
+        subs: subStates
+      }
+    }
+  };
+};
@@ -0,0 +1,81 @@
+import { parseTime, formatTime } from './dateUtils';
+
+/**
+ * 항목 모양(schema) 버전
+ * 항목마다 schemaVersion을 저장 (로컬, Firebase 문서 모두), 없으면 0
+ * 모양을 바꿀 때는 버전을 올리고 MIGRATIONS에 그 버전으로 옮기는 함수를 추가
+ */
+export const SCHEMA_VERSION = {
+  todo: 1,
+  routine: 1,
+  record: 1,
+  tag: 1,
+};
+
+// 예전 알림 설정(분 단위 숫자) → AlarmPicker 형식 { time, cycle, set }
+const migrateRemind = (remind) => {
+  if (typeof remind !== 'number') return remind ?? null;
+  return remind > 0
+    ? { time: String(remind).padStart(2, '0'), cycle: '분', set: '전' }
+    : null;
+};
+
+// 시간 문자열 ("오후 09:30", "21:30" 등) → CustomTimePicker 형식 "PM 09:30" (읽을 수 없으면 그대로)
+const migrateTime = (time) => {
+  const parsed = parseTime(time);
+  return parsed ? formatTime(parsed) : (time || null);
+};
+
+// Todo / Routine 공통 v1
+const migrateTaskV1 = (item) => ({
+  ...item,
+  time: migrateTime(item.time),
+  remind: migrateRemind(item.remind),
+  completed: !!item.completed,
+  tag: item.tag || null,
+  subs: Array.isArray(item.subs) ? item.subs : [],
+});
+
+/**
+ * 종류별 버전 이전 함수 { [버전]: item => 그 버전 모양의 item }
+ * 항목의 버전 다음부터 현재 버전까지 순서대로 실행
+ */
+const MIGRATIONS = {
+  todo: {
+    1: migrateTaskV1,
+  },
+  routine: {
+    1: migrateTaskV1,
+  },
+  record: {
+    // 날짜가 ID (하루에 하나), date가 빠진 예전 항목은 ID에서 채움
+    1: (item) => ({
+      ...item,
+      date: item.date || item.id,
+      content: item.content || null,
+      mood: item.mood || null,
+    }),
+  },
+  tag: {
+    1: (item) => ({
+      ...item,
+      name: String(item.name ?? '').trim(),
+    }),
+  },
+};
+
+/**
+ * 항목을 현재 버전 모양으로 (이미 현재 버전이거나 더 새로운 앱에서 만든 항목이면 그대로 반환)
+ */
+export const migrateItem = (type, item) => {
+  const target = SCHEMA_VERSION[type];
+  const version = item?.schemaVersion || 0;
+  if (!target || !item || version >= target) return item;
+
+  let migrated = item;
+  for (let next = version + 1; next <= target; next++) {
+    const migrate = MIGRATIONS[type][next];
+    if (migrate) migrated = migrate(migrated);
+  }
+  return { ...migrated, schemaVersion: target };
+};
@@ -0,0 +1,141 @@
+import { formatDate, parseDate, addDays, getTodayString } from './dateUtils';
+import { expandRoutines, isRepeating } from './recurrence';
+
+// 통계 집계 대상 항목
+// - 오늘까지 예정된 항목 + 미리 완료한 미래 항목 (아직 오지 않은 일정은 완료율에 포함하지 않음)
+const isCountable = (item, today) => item.date <= today || item.completed;
+
+/**
+ * 기간 내 Todo / Routine 발생 항목 목록 { type, date, completed }
+ */
+export const getCompletionItems = (todos, routines, start, end) => {
+  const today = getTodayString();
+
+  const todoItems = (todos || [])
+    .filter(todo => todo.date && todo.date >= start && todo.date <= end)
+    .map(todo => ({ type: 'todo', date: todo.date, completed: !!todo.completed }));
+
+  const routineItems = expandRoutines(routines, start, end)
+    .map(occurrence => ({ type: 'routine', date: occurrence.date, completed: !!occurrence.completed }));
+
+  return [...todoItems, ...routineItems].filter(item => isCountable(item, today));
+};
+
+const createBucket = (key, label) => ({
+  key,
+  label,
+  todo: { completed: 0, total: 0 },
+  routine: { completed: 0, total: 0 }
+});
+
+// 항목을 keyOf(date) 기준으로 버킷에 집계
+const fillBuckets = (buckets, items, keyOf) => {
+  const byKey = {};
+  buckets.forEach(bucket => { byKey[bucket.key] = bucket; });
+
+  items.forEach(item => {
+    const bucket = byKey[keyOf(item.date)];
+    if (!bucket) return;
+
+    bucket[item.type].total += 1;
+    if (item.completed) bucket[item.type].completed += 1;
+  });
+
+  return buckets;
+};
+
+/**
+ * 일별 집계: endDate까지 count일
+ */
+export const aggregateByDay = (todos, routines, endDate, count = 7) => {
+  const start = addDays(endDate, -(count - 1));
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const date = addDays(start, i);
+    return createBucket(date, String(parseDate(date).getDate()));
+  });
+
+  return fillBuckets(buckets, getCompletionItems(todos, routines, start, endDate), date => date);
+};
+
+/**
+ * 월별 집계: 해당 연도의 1~12월
+ */
+export const aggregateByMonth = (todos, routines, year) => {
+  const buckets = Array.from({ length: 12 }, (_, i) => {
+    const month = String(i + 1).padStart(2, '0');
+    return createBucket(`${year}.${month}`, String(i + 1));
+  });
+
+  const items = getCompletionItems(todos, routines, `${year}.01.01`, `${year}.12.31`);
+  return fillBuckets(buckets, items, date => date.slice(0, 7));
+};
+
+/**
+ * 연도별 집계: endYear까지 count년
+ */
+export const aggregateByYear = (todos, routines, endYear, count = 7) => {
+  const startYear = endYear - count + 1;
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const year = String(startYear + i);
+    return createBucket(year, year);
+  });
+
+  const items = getCompletionItems(todos, routines, `${startYear}.01.01`, `${endYear}.12.31`);
+  return fillBuckets(buckets, items, date => date.slice(0, 4));
+};
+
+/**
+ * 완료율 (0~1, 예정된 항목이 없으면 null)
+ */
+export const getCompletionRate = ({ completed, total }) => {
+  return total > 0 ? completed / total : null;
+};
+
+/**
+ * 버킷 하나의 Todo + Routine 합계
+ */
+export const getBucketTotal = (bucket) => ({
+  completed: bucket.todo.completed + bucket.routine.completed,
+  total: bucket.todo.total + bucket.routine.total
+});
+
+/**
+ * 여러 버킷의 합계
+ */
+export const summarizeBuckets = (buckets) => {
+  return buckets.reduce((sum, bucket) => {
+    const { completed, total } = getBucketTotal(bucket);
+    return { completed: sum.completed + completed, total: sum.total + total };
+  }, { completed: 0, total: 0 });
+};
+
+/**
+ * 누적 완료 횟수 (반복 루틴은 날짜별 완료 횟수 합산)
+ */
+export const getCumulativeCounts = (todos, routines, records) => {
+  const todoCount = (todos || []).filter(todo => todo.completed).length;
+
+  const routineCount = (routines || []).reduce((sum, routine) => {
+    if (!isRepeating(routine)) {
+      return sum + (routine.completed ? 1 : 0);
+    }
+    return sum + Object.values(routine.completions || {}).filter(entry => entry.completed).length;
+  }, 0);
+
+  const recordCount = (records || []).filter(record => record.content || record.mood).length;
+
+  return { todo: todoCount, routine: routineCount, record: recordCount };
+};
+
+/**
+ * 일별 보기 기준일: 이번 달이면 오늘, 지난 달이면 그 달의 마지막 날, 미래 달이면 1일부터 7일
+ */
+export const getDayRangeEnd = (year, month, count = 7) => {
+  const today = getTodayString();
+  const lastDay = formatDate(new Date(year, month, 0));
+  const firstDay = formatDate(new Date(year, month - 1, 1));
+
+  if (today >= firstDay && today <= lastDay) return today;
+  if (lastDay < today) return lastDay;
+  return addDays(firstDay, count - 1);
+};
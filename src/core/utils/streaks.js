@@ -0,0 +1,108 @@
+import { addDays, getTodayString } from './dateUtils';
+import { expandRoutine } from './recurrence';
+
+// 예전 형식("YYYY-MM-DD", UTC 기준으로 저장됨)도 "YYYY.MM.DD"로 맞춤
+const normalizeDate = (dateString) => {
+  if (!dateString) return null;
+  return String(dateString).replace(/-/g, '.');
+};
+
+/**
+ * 날짜 목록의 연속 일수 { current, max }
+ * current: 오늘 또는 어제까지 이어지는 연속 일수 (오늘 아직 안 했어도 끊기지 않음)
+ */
+export const getDateStreak = (dates, today = getTodayString()) => {
+  const sorted = [...new Set(dates.filter(Boolean))].filter(date => date <= today).sort();
+
+  let max = 0;
+  let run = 0;
+  sorted.forEach((date, i) => {
+    run = i > 0 && addDays(sorted[i - 1], 1) === date ? run + 1 : 1;
+    max = Math.max(max, run);
+  });
+
+  const last = sorted[sorted.length - 1];
+  const current = last === today || last === addDays(today, -1) ? run : 0;
+
+  return { current, max };
+};
+
+/**
+ * 전체 활동 연속 일수 (사용자 문서 stats 기준) { current, max }
+ */
+export const getActivityStreak = (stats, today = getTodayString()) => {
+  const lastActiveDate = normalizeDate(stats?.lastActiveDate);
+  const streak = stats?.todayStreak || 0;
+  const isAlive = lastActiveDate === today || lastActiveDate === addDays(today, -1);
+
+  return {
+    current: isAlive ? streak : 0,
+    max: Math.max(stats?.maxStreak || 0, isAlive ? streak : 0)
+  };
+};
+
+/**
+ * 오늘 활동했을 때의 stats 변경값 (오늘 이미 반영됐으면 null)
+ * 나중에 보낸 예전 활동처럼 마지막 활동일보다 이전 날짜여도 null
+ */
+export const getNextActivityStreak = (stats, today = getTodayString()) => {
+  const lastActiveDate = normalizeDate(stats?.lastActiveDate);
+  if (lastActiveDate && lastActiveDate >= today) return null;
+
+  const todayStreak = lastActiveDate === addDays(today, -1)
+    ? (stats?.todayStreak || 0) + 1
+    : 1;
+
+  return {
+    todayStreak,
+    maxStreak: Math.max(todayStreak, stats?.maxStreak || 0),
+    lastActiveDate: today
+  };
+};
+
+/**
+ * 루틴 하나의 연속 완료 횟수 { current, max }
+ * 반복 루틴은 예정된 날짜 기준으로 연속 (예정 없는 요일은 건너뜀)
+ * 오늘 발생 항목을 아직 완료하지 않았으면 어제까지의 연속 기록 유지
+ */
+export const getRoutineStreak = (routine, today = getTodayString()) => {
+  if (!routine?.date || routine.date > today) return { current: 0, max: 0 };
+
+  const occurrences = expandRoutine(routine, routine.date, today);
+
+  let max = 0;
+  let run = 0;
+  occurrences.forEach(occurrence => {
+    if (occurrence.completed) {
+      run += 1;
+      max = Math.max(max, run);
+    } else if (occurrence.date !== today) {
+      run = 0;
+    }
+  });
+
+  return { current: run, max };
+};
+
+/**
+ * 연속 기록이 가장 긴 루틴 { routine, current, max } (없으면 null)
+ */
+export const getBestRoutineStreak = (routines, today = getTodayString()) => {
+  return (routines || []).reduce((best, routine) => {
+    const streak = getRoutineStreak(routine, today);
+    if (streak.current === 0) return best;
+    if (best && best.current >= streak.current) return best;
+    return { routine, ...streak };
+  }, null);
+};
+
+/**
+ * 한 줄 일기 연속 작성 일수 { current, max }
+ */
+export const getRecordStreak = (records, today = getTodayString()) => {
+  const dates = (records || [])
+    .filter(record => record.content || record.mood)
+    .map(record => record.date || record.id);
+
+  return getDateStreak(dates, today);
+};
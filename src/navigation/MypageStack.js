@@ -4,6 +4,7 @@ import Social from '../screens/Social';
 import Statistics from '../screens/Statistics';
 import Reward from '../screens/Reward';
 import AccountManagement from '../screens/AccountManagement';
+import DeviceSessions from '../screens/DeviceSessions';
 import EditProfile from '../screens/EditProfile';
 import BackButton from '../components/BackButton';
 
@@ -70,6 +71,16 @@ export default function MyPageStack() {
           headerShadowVisible: false,
         })}
       />
+      <Stack.Screen
+        name="DeviceSessions"
+        component={DeviceSessions}
+        options={({ navigation }) => ({
+          title: '로그인된 기기',
+          headerLeft: () => <BackButton onPress={() => navigation.goBack()} />,
+          headerShown: true,
+          headerShadowVisible: false,
+        })}
+      />
     </Stack.Navigator>
   );
 }
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { Linking, Alert } from 'react-native';
+import authService from '../core/firebase/authService';
+import userService from '../core/firebase/userService';
+import { ACTION_MODES, parseActionLink } from '../core/utils/actionLink';
+
+/**
+ * Firebase 이메일 작업 링크(oobCode)를 앱 화면으로 연결
+ *   resetPassword → ForgotPWNewPW (confirmPasswordReset)
+ *   verifyEmail → EmailVerification (applyActionCode)
+ *   verifyAndChangeEmail / recoverEmail → 바로 적용
+ * @returns {Function} NavigationContainer의 onReady에 전달 (화면 준비 전에 받은 링크 처리)
+ */
+export default function useActionLinks(navigationRef) {
+  const pendingUrl = useRef(null);
+
+  const handleUrl = useCallback(async (url) => {
+    const action = parseActionLink(url);
+    if (!action) return;
+
+    if (!navigationRef.isReady()) {
+      pendingUrl.current = url;
+      return;
+    }
+
+    console.log('[ActionLink] Received:', action.mode);
+
+    switch (action.mode) {
+      case ACTION_MODES.resetPassword:
+        navigationRef.navigate('ForgotPWNewPW', { oobCode: action.oobCode });
+        break;
+
+      case ACTION_MODES.verifyEmail:
+        // 회원가입 중이면 같은 화면에 oobCode만 추가 (email 파라미터 유지)
+        navigationRef.navigate({
+          name: 'EmailVerification',
+          params: { oobCode: action.oobCode },
+          merge: true,
+        });
+        break;
+
+      default:
+        try {
+          await authService.applyActionCode(action.oobCode);
+
+          // 아직 로그인 상태면 Firestore 이메일도 바로 변경 (친구 검색용)
+          const user = authService.getCurrentUser();
+          if (user) {
+            await userService.syncEmail(user.uid, user.email);
+          }
+
+          Alert.alert(
+            '이메일 변경 완료',
+            action.mode === ACTION_MODES.verifyAndChangeEmail
+              ? '이메일이 변경되었습니다.\n새 이메일로 다시 로그인해주세요.'
+              : '이메일이 원래대로 복구되었습니다.\n다시 로그인해주세요.'
+          );
+        } catch (error) {
+          Alert.alert('오류', error.message || '링크를 처리하지 못했습니다.');
+        }
+    }
+  }, [navigationRef]);
+
+  useEffect(() => {
+    // 링크로 앱을 처음 연 경우 + 실행 중에 받은 링크
+    Linking.getInitialURL()
+      .then(url => url && handleUrl(url))
+      .catch(error => console.error('[ActionLink] Initial URL error:', error));
+
+    const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    return () => subscription.remove();
+  }, [handleUrl]);
+
+  return useCallback(() => {
+    const url = pendingUrl.current;
+    pendingUrl.current = null;
+    if (url) handleUrl(url);
+  }, [handleUrl]);
+}
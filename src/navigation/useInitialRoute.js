@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import authService from '../core/firebase/authService';
+import guestData from '../core/storage/guestData';
+
+/**
+ * 앱을 켤 때 첫 화면
+ *   로그인한 상태(이메일 인증까지 마친 계정)이거나 "로그인 없이 시작하기"를 고른 기기 → Main
+ *   그 밖에는 InitialScreen (회원가입/로그인 선택)
+ * @returns {string|null} 첫 화면 이름 (로그인 상태와 guest 표시를 읽기 전에는 null)
+ */
+export default function useInitialRoute() {
+  const [initialRoute, setInitialRoute] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    let decided = false;
+
+    // 저장된 로그인 상태는 첫 onAuthStateChanged에서 알 수 있음 (이후 변경은 무시)
+    const unsubscribe = authService.onAuthStateChanged(async (firebaseUser) => {
+      if (decided) return;
+      decided = true;
+
+      let isGuest = false;
+      try {
+        isGuest = await guestData.isGuestMode();
+      } catch (error) {
+        console.error('[Navigation] Read guest mode error:', error);
+      }
+
+      if (active) {
+        setInitialRoute(firebaseUser?.emailVerified || isGuest ? 'Main' : 'InitialScreen');
+      }
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return initialRoute;
+}
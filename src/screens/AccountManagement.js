@@ -32,14 +32,41 @@ export default function AccountManagement({ navigation }) {
             <NoScaleText style={[styles.emailinput, { paddingVertical: 12 }]}>
               {userProfile.email}
             </NoScaleText>
+            {userProfile.pendingEmail ? (
+              <NoScaleText style={styles.pendingtext}>
+                {userProfile.pendingEmail} 인증 대기 중
+              </NoScaleText>
+            ) : null}
           </View>
 
+          <TouchableOpacity
+            onPress={() => {
+              navigation.navigate('ChangeEmail');
+            }}
+          >
+            <NoScaleText style={styles.changepwtext}>이메일 변경</NoScaleText>
+          </TouchableOpacity>
+
           <TouchableOpacity
             onPress={() => {
               navigation.navigate('ChangePW');
             }}
           >
-            <NoScaleText style={styles.changepwtext}>비밀번호 변경</NoScaleText>
+            <NoScaleText style={[styles.changepwtext, { marginTop: 15 }]}>비밀번호 변경</NoScaleText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              navigation.navigate('DeviceSessions');
+            }}
+          >
+            <NoScaleText style={[styles.changepwtext, { marginTop: 15 }]}>로그인된 기기</NoScaleText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              navigation.navigate('DeleteAccount');
+            }}
+          >
+            <NoScaleText style={styles.deletetext}>회원 탈퇴</NoScaleText>
           </TouchableOpacity>
           <NoScaleText style={styles.warning}>개인정보는 절대 타인에게 보여주지 마세요.</NoScaleText>
         </View>
@@ -85,11 +112,22 @@ export const styles = StyleSheet.create({
     paddingHorizontal: 20,
     backgroundColor: '#edededff',
   },
+  pendingtext: {
+    color: '#6D6D6D',
+    marginTop: 10,
+    marginLeft: 20,
+  },
   changepwtext: {
     color: '#3A9CFF',
     alignSelf: 'flex-end',
     marginRight: 30,
   },
+  deletetext: {
+    color: '#FF5A5A',
+    alignSelf: 'flex-end',
+    marginRight: 30,
+    marginTop: 15,
+  },
   warning: {
     color: '#6D6D6D',
     alignSelf: 'center',
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { NoScaleText, NoScaleTextInput } from '../components/NoScaleText';
+import { View, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback, Alert, ActivityIndicator } from 'react-native';
+import { useAuth } from '../core/context/authContext';
+import { useUser } from '../core/context/userContext';
+import { useReauth, REAUTH_CANCELLED } from '../core/context/reauthContext';
+
+export default function ChangeEmail({ navigation }) {
+  const { requestEmailChange, checkEmailChange } = useAuth();
+  const { userProfile } = useUser();
+  const { withRecentLogin } = useReauth();
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [checking, setChecking] = useState(false);
+
+  const newEmail = email.trim();
+  const pendingEmail = userProfile?.pendingEmail;
+
+  const handleSend = async () => {
+    try {
+      setSending(true);
+      // 로그인한 지 오래되었으면 현재 비밀번호를 입력받아 다시 인증한 뒤 재시도
+      await withRecentLogin(() => requestEmailChange(newEmail));
+      setEmail('');
+      Alert.alert(
+        '인증 메일 발송',
+        `${newEmail} 로 인증 메일을 보냈습니다.\n메일의 링크를 누르면 이메일이 변경됩니다.`
+      );
+    } catch (error) {
+      if (error.code !== REAUTH_CANCELLED) {
+        Alert.alert('변경 실패', error.message);
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCheck = async () => {
+    try {
+      setChecking(true);
+      const changed = await checkEmailChange();
+      if (changed) {
+        Alert.alert('변경 완료', `이메일이 ${changed} 로 변경되었습니다.`, [
+          { text: '확인', onPress: () => navigation.goBack() }
+        ]);
+      } else {
+        Alert.alert('인증 미완료', '아직 인증이 완료되지 않았습니다.\n메일함을 다시 확인해주세요.');
+      }
+    } catch (error) {
+      // 이메일이 바뀌면 기존 로그인이 만료될 수 있음 → 새 이메일로 다시 로그인
+      Alert.alert('확인 실패', error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
+      <View style={{ flex: 1, backgroundColor: '#fff' }}>
+        <View style={styles.container}>
+
+          <View style={styles.inputContainer}>
+            <NoScaleText style={styles.label}>새 이메일 입력</NoScaleText>
+            <NoScaleTextInput
+              style={styles.input}
+              placeholder="email"
+              placeholderTextColor="#bbb"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.button, (!newEmail || sending) && styles.buttonDisabled]}
+            disabled={!newEmail || sending}
+            onPress={handleSend}
+          >
+            {sending
+              ? <ActivityIndicator color="#fff" />
+              : <NoScaleText style={styles.buttonText}>인증 메일 보내기</NoScaleText>}
+          </TouchableOpacity>
+
+          {pendingEmail ? (
+            <View style={styles.pendingContainer}>
+              <NoScaleText style={styles.pendingText}>
+                {pendingEmail} 인증 대기 중{'\n'}인증 전까지는 기존 이메일({userProfile.email})을 사용합니다.
+              </NoScaleText>
+              <TouchableOpacity disabled={checking} onPress={handleCheck}>
+                <NoScaleText style={styles.checkText}>{checking ? '확인 중...' : '인증 완료 확인'}</NoScaleText>
+              </TouchableOpacity>
+            </View>
+          ) : null}
+        </View>
+      </View>
+    </TouchableWithoutFeedback>
+  );
+}
+
+export const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    borderTopLeftRadius: 30,
+    borderTopRightRadius: 30,
+    paddingHorizontal: 20,
+    paddingTop: 40,
+    marginTop: 8,
+
+    //iOS 그림자 속성
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.5,
+    shadowRadius: 6,
+
+    //Android 그림자 속성
+    elevation: 6,
+  },
+  inputContainer: {
+    marginBottom: 20,
+    marginTop: 30,
+    paddingHorizontal: 15,
+  },
+  label: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  input: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#ccc',
+    height: 40,
+    fontSize: 14,
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#3A9CFF',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 60,
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginTop: 50,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  pendingContainer: {
+    marginTop: 40,
+    paddingHorizontal: 15,
+  },
+  pendingText: {
+    color: '#6D6D6D',
+    marginBottom: 15,
+  },
+  checkText: {
+    color: '#3A9CFF',
+    alignSelf: 'flex-end',
+  },
+});
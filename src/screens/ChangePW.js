@@ -1,9 +1,33 @@
 import React, { useState } from 'react';
 import { NoScaleText, NoScaleTextInput } from '../components/NoScaleText';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback } from 'react-native';
+import { View, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback, Alert, ActivityIndicator } from 'react-native';
+import { useAuth } from '../core/context/authContext';
+import { useReauth, REAUTH_CANCELLED } from '../core/context/reauthContext';
 
 export default function ChangePW({ navigation }) {
+  const { changePassword } = useAuth();
+  const { withRecentLogin } = useReauth();
   const [pw, setpw] = useState('');
+  const [pwConfirm, setpwConfirm] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isPasswordValid = pw.length > 0 && pw === pwConfirm;
+
+  const handleChange = async () => {
+    try {
+      setSaving(true);
+      // 로그인한 지 오래되었으면 현재 비밀번호를 입력받아 다시 인증한 뒤 재시도
+      await withRecentLogin(() => changePassword(pw));
+      Alert.alert('변경 완료', '비밀번호가 변경되었습니다.', [
+        { text: '확인', onPress: () => navigation.goBack() }
+      ]);
+    } catch (error) {
+      if (error.code !== REAUTH_CANCELLED) {
+        Alert.alert('변경 실패', error.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
 
   return (
     <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
@@ -11,25 +35,36 @@ export default function ChangePW({ navigation }) {
         <View style={styles.container}>
 
           <View style={styles.inputContainer}>
-            <NoScaleText style={styles.label}>기존 비밀번호 입력</NoScaleText>
+            <NoScaleText style={styles.label}>새 비밀번호 입력</NoScaleText>
             <NoScaleTextInput
               style={styles.input}
               placeholder="password"
               placeholderTextColor="#bbb"
               value={pw}
               onChangeText={setpw}
+              secureTextEntry={true}
+              autoCapitalize="none"
+            />
+            <NoScaleText style={[styles.label, styles.confirmLabel]}>비밀번호 확인</NoScaleText>
+            <NoScaleTextInput
+              style={styles.input}
+              placeholder="password"
+              placeholderTextColor="#bbb"
+              value={pwConfirm}
+              onChangeText={setpwConfirm}
+              secureTextEntry={true}
               autoCapitalize="none"
             />
           </View>
 
           <TouchableOpacity
-            style={[styles.button, !pw && styles.buttonDisabled]}
-            disabled={!pw}
-            onPress={() => {
-              navigation.navigate('ForgotPWNewPW', { pw });
-            }}
+            style={[styles.button, (!isPasswordValid || saving) && styles.buttonDisabled]}
+            disabled={!isPasswordValid || saving}
+            onPress={handleChange}
           >
-            <NoScaleText style={styles.buttonText}>계속</NoScaleText>
+            {saving
+              ? <ActivityIndicator color="#fff" />
+              : <NoScaleText style={styles.buttonText}>변경</NoScaleText>}
           </TouchableOpacity>
         </View>
       </View>
@@ -66,6 +101,9 @@ export const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 20,
   },
+  confirmLabel: {
+    marginTop: 30,
+  },
   input: {
     borderBottomWidth: 1,
     borderBottomColor: '#ccc',
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { NoScaleText } from '../components/NoScaleText';
+import { View, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { useAuth } from '../core/context/authContext';
+import { useReauth, REAUTH_CANCELLED } from '../core/context/reauthContext';
+
+export default function DeleteAccount({ navigation }) {
+  const { deleteAccount } = useAuth();
+  const { withRecentLogin } = useReauth();
+  const [deleting, setDeleting] = useState(false);
+
+  const handleDelete = () => {
+    Alert.alert(
+      '회원 탈퇴',
+      '모든 Todo, Routine, Record와 친구 목록이 삭제되며 되돌릴 수 없습니다.\n탈퇴하시겠습니까?',
+      [
+        { text: '취소', style: 'cancel' },
+        {
+          text: '탈퇴',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setDeleting(true);
+              // 되돌릴 수 없으므로 항상 비밀번호를 다시 확인한 뒤 삭제
+              await withRecentLogin(deleteAccount, { force: true });
+              navigation.reset({
+                index: 0,
+                routes: [{ name: 'InitialScreen' }],
+              });
+            } catch (error) {
+              setDeleting(false);
+              if (error.code !== REAUTH_CANCELLED) {
+                Alert.alert('탈퇴 실패', error.message);
+              }
+            }
+          }
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#fff' }}>
+      <View style={styles.container}>
+
+        <View style={styles.inputContainer}>
+          <NoScaleText style={styles.label}>회원 탈퇴</NoScaleText>
+          <NoScaleText style={styles.warning}>
+            탈퇴하면 이 계정의 모든 데이터가 서버와 이 기기에서 삭제됩니다.{'\n'}
+            진행하려면 비밀번호를 다시 입력해야 합니다.
+          </NoScaleText>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, deleting && styles.buttonDisabled]}
+          disabled={deleting}
+          onPress={handleDelete}
+        >
+          {deleting
+            ? <ActivityIndicator color="#fff" />
+            : <NoScaleText style={styles.buttonText}>탈퇴</NoScaleText>}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    borderTopLeftRadius: 30,
+    borderTopRightRadius: 30,
+    paddingHorizontal: 20,
+    paddingTop: 40,
+    marginTop: 8,
+
+    //iOS 그림자 속성
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.5,
+    shadowRadius: 6,
+
+    //Android 그림자 속성
+    elevation: 6,
+  },
+  inputContainer: {
+    marginBottom: 20,
+    marginTop: 30,
+    paddingHorizontal: 15,
+  },
+  label: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  warning: {
+    color: '#6D6D6D',
+  },
+  button: {
+    backgroundColor: '#FF5A5A',
+    paddingVertical: 12,
+    borderRadius: 60,
+    alignItems: 'center',
+    width: 80,
+    alignSelf: 'center',
+    marginTop: 50,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { NoScaleText } from '../components/NoScaleText';
+import { View, TouchableOpacity, StyleSheet, FlatList, Switch, Alert } from 'react-native';
+import { useAuth } from '../core/context/authContext';
+import { useUser } from '../core/context/userContext';
+import sessionManager from '../core/firebase/sessionManager';
+import { formatRelativeTime, toMillis } from '../core/utils/dateUtils';
+
+export default function DeviceSessions() {
+  const { user } = useAuth();
+  const { userProfile } = useUser();
+  const [sessions, setSessions] = useState([]);
+  const [savingMode, setSavingMode] = useState(false);
+
+  // 로그인된 기기 실시간 구독
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = sessionManager.subscribeSessions(user.uid, setSessions);
+    return () => unsubscribe();
+  }, [user]);
+
+  const handleRevoke = (session) => {
+    Alert.alert(
+      '기기 로그아웃',
+      `${session.deviceName}에서 로그아웃하시겠습니까?`,
+      [
+        { text: '취소', style: 'cancel' },
+        {
+          text: '로그아웃',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await sessionManager.revokeSession(user.uid, session.id);
+            } catch (error) {
+              Alert.alert('로그아웃 실패', error.message);
+            }
+          }
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  const handleSingleDeviceMode = async (enabled) => {
+    setSavingMode(true);
+    try {
+      await sessionManager.setSingleDeviceMode(user.uid, enabled);
+    } catch (error) {
+      Alert.alert('설정 실패', error.message);
+    } finally {
+      setSavingMode(false);
+    }
+  };
+
+  const renderSession = ({ item }) => {
+    const lastActive = toMillis(item.lastActive);
+
+    return (
+      <View style={styles.sessionItem}>
+        <View style={{ flex: 1 }}>
+          <NoScaleText style={styles.deviceName}>
+            {item.deviceName}
+            {item.isCurrent ? <NoScaleText style={styles.current}>  이 기기</NoScaleText> : null}
+          </NoScaleText>
+          <NoScaleText style={styles.deviceInfo}>
+            {[item.platform, item.modelName].filter(Boolean).join(' · ')}
+            {'  '}
+            {item.isCurrent ? '사용 중' : formatRelativeTime(lastActive ? new Date(lastActive) : null)}
+          </NoScaleText>
+        </View>
+        {!item.isCurrent ? (
+          <TouchableOpacity onPress={() => handleRevoke(item)}>
+            <NoScaleText style={styles.revoke}>로그아웃</NoScaleText>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    );
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#fff' }}>
+      <View style={styles.container}>
+        <View style={styles.modeContainer}>
+          <View style={{ flex: 1 }}>
+            <NoScaleText style={styles.label}>단일 기기 모드</NoScaleText>
+            <NoScaleText style={styles.modeInfo}>
+              켜면 새 기기에서 로그인할 때 다른 기기는 모두 로그아웃됩니다.
+            </NoScaleText>
+          </View>
+          <Switch
+            trackColor={{ false: "#767577", true: "#3A9CFF" }}
+            thumbColor={"#f4f3f4"}
+            ios_backgroundColor="#3e3e3e"
+            disabled={savingMode}
+            onValueChange={handleSingleDeviceMode}
+            value={!!userProfile?.singleDeviceMode}
+          />
+        </View>
+
+        <NoScaleText style={styles.label}>로그인된 기기</NoScaleText>
+        <FlatList
+          data={sessions}
+          keyExtractor={item => item.id}
+          renderItem={renderSession}
+          ListEmptyComponent={<NoScaleText style={styles.modeInfo}>로그인된 기기가 없습니다.</NoScaleText>}
+        />
+      </View>
+    </View>
+  );
+}
+
+export const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    borderTopLeftRadius: 30,
+    borderTopRightRadius: 30,
+    paddingHorizontal: 20,
+    paddingTop: 40,
+    marginTop: 8,
+
+    //iOS 그림자 속성
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.5,
+    shadowRadius: 6,
+
+    //Android 그림자 속성
+    elevation: 6,
+  },
+  modeContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  modeInfo: {
+    color: '#6D6D6D',
+    marginRight: 10,
+  },
+  sessionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ededed',
+  },
+  deviceName: {
+    fontSize: 15,
+    color: '#000',
+    marginBottom: 5,
+  },
+  current: {
+    fontSize: 12,
+    color: '#3A9CFF',
+  },
+  deviceInfo: {
+    fontSize: 12,
+    color: '#8f8f8f',
+  },
+  revoke: {
+    color: '#FF5A5A',
+  },
+});
@@ -12,6 +12,8 @@ import {
 import { NoScaleText } from '../components/NoScaleText';
 import { Ionicons } from '@expo/vector-icons';
 import { useUser } from '../core/context/userContext';
+import userService from '../core/firebase/userService';
+import { getClaimedTitles } from '../core/utils/achievements';
 
 export default function EditProfile() {
   const defaultProfileImage = require('../../assets/defaultprofileimage.png');
@@ -45,7 +47,24 @@ export default function EditProfile() {
   const [expanded, setExpanded] = useState(false);
   const [filter, setFilter] = useState(userProfile.title || '칭호 선택 안함');
 
-  const options = ['칭호 선택 안함', '🐣 처음 날개 단 병아리'];
+  // 획득한 칭호만 선택 가능
+  const options = [
+    '칭호 선택 안함',
+    ...getClaimedTitles(userProfile.claimedTitles).map(item => item.title),
+  ];
+
+  /* 칭호 선택 저장 */
+  const selectTitle = async (opt) => {
+    setFilter(opt);
+    setTitle(opt);
+    setExpanded(false);
+
+    try {
+      await userService.updateTitle(userProfile.uid, opt === '칭호 선택 안함' ? null : opt);
+    } catch (error) {
+      console.error('Title update failed:', error);
+    }
+  };
 
   const [privacy, setPrivacy] = useState({
     todo: true,
@@ -126,11 +145,7 @@ export default function EditProfile() {
                     styles.optionItem,
                     filter === opt && styles.optionItemSelected,
                   ]}
-                  onPress={() => {
-                    setFilter(opt);
-                    setTitle(opt);
-                    setExpanded(false);
-                  }}
+                  onPress={() => selectTitle(opt)}
                 >
                   <NoScaleText
                     style={[
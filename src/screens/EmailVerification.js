@@ -1,10 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { NoScaleText } from '../components/NoScaleText';
 import { View, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
 import AuthService from '../core/firebase/authService'; // 경로 조정
 
 export default function EmailVerification({ navigation, route }) {
   const email = route?.params?.email || '';
+  // 인증 메일의 링크로 열면 전달됨 (navigation/useActionLinks.js)
+  const oobCode = route?.params?.oobCode || null;
 
   const totalSteps = 3;
   const currentStep = 2;
@@ -38,6 +40,34 @@ export default function EmailVerification({ navigation, route }) {
     }
   };
 
+  // 링크로 들어오면 앱에서 바로 인증 처리
+  useEffect(() => {
+    if (!oobCode) return;
+
+    const applyVerification = async () => {
+      setLoading(true);
+      try {
+        await AuthService.applyActionCode(oobCode);
+      } catch (error) {
+        setLoading(false);
+        Alert.alert('오류', error.message || '이메일 인증에 실패했습니다.');
+        return;
+      }
+
+      // 회원가입 중(로그인 상태)이면 닉네임 설정으로, 아니면 로그인 화면으로
+      if (AuthService.getCurrentUser()) {
+        await checkVerification();
+      } else {
+        setLoading(false);
+        Alert.alert('인증 완료', '이메일 인증이 완료되었습니다.\n다시 로그인해주세요.', [
+          { text: '확인', onPress: () => navigation.navigate('SignIn') },
+        ]);
+      }
+    };
+
+    applyVerification();
+  }, [oobCode]);
+
   // 인증 메일 재전송
   const resendLink = async () => {
     setResendLoading(true);
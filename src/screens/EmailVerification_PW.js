@@ -1,13 +1,24 @@
 import React, { useState } from 'react';
 import { NoScaleText, } from '../components/NoScaleText';
-import { View, TouchableOpacity, StyleSheet, } from 'react-native';
+import { View, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import authService from '../core/firebase/authService';
 
 export default function EmailVerification({ navigation, route}) {
   const email = route?.params?.email || '';
 
-  const resendLink = () => {
-    // TODO: 재전송 API
-    console.log('이메일 재전송:', email);
+  const [resendLoading, setResendLoading] = useState(false);
+
+  // 재설정 메일 재전송 (메일의 링크를 누르면 앱에서 새 비밀번호 설정 → ForgotPWNewPW)
+  const resendLink = async () => {
+    setResendLoading(true);
+    try {
+      await authService.resetPassword(email);
+      Alert.alert('재전송 완료', `${email} 로 비밀번호 재설정 메일을 다시 보냈습니다.`);
+    } catch (error) {
+      Alert.alert('재전송 실패', error.message || '비밀번호 재설정 메일 재전송에 실패했습니다.');
+    } finally {
+      setResendLoading(false);
+    }
   };
 
   return (
@@ -16,16 +27,20 @@ export default function EmailVerification({ navigation, route}) {
 
         <NoScaleText style={styles.emailText}>{email}로</NoScaleText>
         <NoScaleText style={styles.noticeText}>인증링크를 전송했습니다.</NoScaleText>
-        <NoScaleText style={styles.noticeText}>링크를 눌러 인증을 완료해주세요.</NoScaleText>
+        <NoScaleText style={styles.noticeText}>링크를 눌러 새 비밀번호를 설정해주세요.</NoScaleText>
             
-        <TouchableOpacity onPress={resendLink}>
-          <NoScaleText style={styles.resend}>재전송</NoScaleText>
+        <TouchableOpacity onPress={resendLink} disabled={resendLoading}>
+          {resendLoading ? (
+            <ActivityIndicator size="small" color="#4a90e2" />
+          ) : (
+            <NoScaleText style={styles.resend}>재전송</NoScaleText>
+          )}
         </TouchableOpacity>
 
         <TouchableOpacity
               style={[styles.button]}
               onPress={() => {
-                navigation.navigate('ForgotPWFin');
+                navigation.navigate('SignIn');
               }}
             >
               <NoScaleText style={styles.buttonText}>계속</NoScaleText>
@@ -38,7 +38,7 @@ export default function ForgotPWEmail({ navigation }) {
           {
             text: '확인',
             onPress: () => {
-              navigation.navigate('EmailVerificationPW'); // 로그인 화면 등으로 이동
+              navigation.navigate('EmailVerificationPW', { email: email.trim() });
             },
           },
         ],
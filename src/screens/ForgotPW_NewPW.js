@@ -1,18 +1,80 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { NoScaleText, NoScaleTextInput } from '../components/NoScaleText';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback } from 'react-native';
+import { View, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback, Alert, ActivityIndicator } from 'react-native';
+import authService from '../core/firebase/authService';
+
+export default function ForgotPWNewPW({ navigation, route }) {
+  // 비밀번호 재설정 메일의 링크로 열면 전달됨 (navigation/useActionLinks.js)
+  const oobCode = route?.params?.oobCode || null;
 
-export default function ForgotPWNewPW({ navigation }) {
   const [password, setPassword] = useState('');
   const [passwordConfirm, setPasswordConfirm] = useState('');
+  const [email, setEmail] = useState('');
+  const [checking, setChecking] = useState(!!oobCode);
+  const [saving, setSaving] = useState(false);
   const isPasswordValid = password.length > 0 && password === passwordConfirm;
 
+  // 링크 확인 (만료되었거나 이미 사용한 링크면 메일 다시 요청)
+  useEffect(() => {
+    if (!oobCode) return;
+
+    let cancelled = false;
+    setChecking(true);
+
+    authService.verifyPasswordResetCode(oobCode)
+      .then(accountEmail => {
+        if (!cancelled) setEmail(accountEmail);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        Alert.alert('오류', error.message, [
+          { text: '확인', onPress: () => navigation.navigate('ForgotPWEmail') },
+        ]);
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [oobCode]);
+
+  const handleReset = async () => {
+    setSaving(true);
+    try {
+      await authService.confirmPasswordReset(oobCode, password);
+      navigation.navigate('ForgotPWFin');
+    } catch (error) {
+      Alert.alert('오류', error.message || '비밀번호 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!oobCode || checking) {
+    return (
+      <View style={{ flex: 1, backgroundColor: '#fff' }}>
+        <View style={[styles.container, { alignItems: 'center' }]}>
+          {checking ? (
+            <ActivityIndicator color="#3A9CFF" style={{ marginTop: 120 }} />
+          ) : (
+            <NoScaleText style={styles.info}>
+              비밀번호 재설정 메일의 링크를 눌러주세요.{'\n'}앱에서 새 비밀번호를 설정할 수 있습니다.
+            </NoScaleText>
+          )}
+        </View>
+      </View>
+    );
+  }
+
   return (
     <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
       <View style={{ flex: 1, backgroundColor: '#fff' }}>
         <View style={styles.container}>
 
           <NoScaleText style={styles.title}>비밀번호 변경</NoScaleText>
+          {email ? <NoScaleText style={styles.email}>{email}</NoScaleText> : null}
 
           <View style={styles.inputContainer}>
             <NoScaleText style={styles.label1}>새 비밀번호 입력</NoScaleText>
@@ -38,13 +100,13 @@ export default function ForgotPWNewPW({ navigation }) {
           </View>
 
           <TouchableOpacity
-            style={[styles.button, !isPasswordValid && styles.buttonDisabled]}
-            disabled={!isPasswordValid}
-            onPress={() => {
-              navigation.navigate('ForgotPWFin', { password });
-            }}
+            style={[styles.button, (!isPasswordValid || saving) && styles.buttonDisabled]}
+            disabled={!isPasswordValid || saving}
+            onPress={handleReset}
           >
-            <NoScaleText style={styles.buttonText}>계속</NoScaleText>
+            {saving
+              ? <ActivityIndicator color="#fff" />
+              : <NoScaleText style={styles.buttonText}>계속</NoScaleText>}
           </TouchableOpacity>
         </View>
       </View>
@@ -77,6 +139,15 @@ const styles = StyleSheet.create({
     alignSelf: 'center',
     marginBottom: 20,
   },
+  email: {
+    color: '#8f8f8f',
+    alignSelf: 'center',
+  },
+  info: {
+    color: '#575757ff',
+    textAlign: 'center',
+    marginTop: 120,
+  },
   inputContainer: {
     marginBottom: 20,
     marginTop: 30,
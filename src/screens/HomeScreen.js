@@ -4,8 +4,13 @@ import { View, TouchableOpacity, StyleSheet, Image, ScrollView, Alert, Modal } f
 
 import { useData } from'../core/context/dataContext';
 import { useAuth } from '../core/context/authContext';
-import userService from '../core/firebase/userService'
+import { showLevelUpToast } from '../components/CustomToast';
+import SyncStatusBar from '../components/SyncStatusBar';
+import SyncConflictList from '../components/SyncConflictList';
 import { useUser } from '../core/context/userContext';
+import { useNotifications } from '../core/context/notificationContext';
+import { getOccurrence, getOccurrencesByDate, getOccurrencesByMonth, buildOccurrenceUpdate, isRepeating } from '../core/utils/recurrence';
+import { getActivityStreak, getRecordStreak, getRoutineStreak } from '../core/utils/streaks';
 
 import Ionicons from '@expo/vector-icons/Ionicons'
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
@@ -22,6 +27,7 @@ import { useNavigation } from '@react-navigation/native';
 // 상단 헤더 컴포넌트, 프로필 이미지, 환영 메시지, 경험치바, 알림 버튼 표시
 function HomeHeader({userProfile, authUser}) {
   const navigation = useNavigation();
+  const { unreadCount } = useNotifications();
   
   const nickname = userProfile?.nickname || authUser?.nickname || 'User';
   const title = userProfile?.title || '-';
@@ -70,16 +76,39 @@ function HomeHeader({userProfile, authUser}) {
 
       <TouchableOpacity onPress={() => navigation.navigate('Notification')}>
         <Ionicons name="notifications-outline" size={24} color="#3A9CFF"/>
+        {unreadCount > 0 && (
+          <View style={styles.unreadBadge}>
+            <NoScaleText style={styles.unreadBadgeText}>{unreadCount > 99 ? '99+' : unreadCount}</NoScaleText>
+          </View>
+        )}
       </TouchableOpacity>
     </View>
   );
 }
 
 // 월별 캘린더 컴포넌트, react-native-calendars 라이브러리 사용
-function MonthCalendar({selectedDate, onDateSelect, today, records}){
+function MonthCalendar({selectedDate, onDateSelect, today, records, routines}){
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1 };
+  });
+
   const marked = useMemo(() => {
     const markedDates = {};
 
+    // 보이는 달의 루틴 발생일 표시 (반복 루틴 포함)
+    getOccurrencesByMonth(routines, visibleMonth.year, visibleMonth.month).forEach(item => {
+      const dateKey = item.date.replace(/\./g, '-');
+
+      if (!markedDates[dateKey]) {
+        markedDates[dateKey] = { dots: [] };
+      }
+
+      if (!markedDates[dateKey].dots.find(d => d.key === 'routine')) {
+        markedDates[dateKey].dots.push({ key: 'routine', color: '#3A9CFF' });
+      }
+    });
+
     const validRecords = Array.isArray(records) ? records : [];
     
     validRecords.forEach(item => {
@@ -112,7 +141,7 @@ function MonthCalendar({selectedDate, onDateSelect, today, records}){
     }
 
     return markedDates;
-  }, [selectedDate, records]);
+  }, [selectedDate, records, routines, visibleMonth]);
   
   return(
     <View style={styles.calCard}>
@@ -121,6 +150,7 @@ function MonthCalendar({selectedDate, onDateSelect, today, records}){
         markingDates={'custom'}
         markedDates={marked}
         onDayPress={(day => onDateSelect(day.dateString))}
+        onMonthChange={(month) => setVisibleMonth({ year: month.year, month: month.month })}
         theme={{
           arrowColor: '#5D87FF',
           todayTextColor: '#5D87FF', 
@@ -173,6 +203,25 @@ function StateList({ current, total }){
   )
 }
 
+// 연속 기록 컴포넌트, 전체 활동 / 한 줄 일기 연속 일수
+function StreakList({ activity, record }){
+  const renderStreak = (label, streak) => (
+    <View style={styles.streakItem}>
+      <NoScaleText style={styles.streakLabel}>{label}</NoScaleText>
+      <NoScaleText style={styles.streakValue}>🔥 {streak.current}일</NoScaleText>
+      <NoScaleText style={styles.streakMax}>최고 {streak.max}일</NoScaleText>
+    </View>
+  );
+
+  return(
+    <View style={styles.streakArea}>
+      {renderStreak('연속 활동', activity)}
+      <View style={styles.streakDivider} />
+      {renderStreak('연속 일기', record)}
+    </View>
+  )
+}
+
 // 오늘 할 일 보기 컴포넌트, 오늘 날짜의 Todo, Routine을 보여줌
 function TodayList({ data }){
   const renderSection = (title, items) => {
@@ -197,6 +246,11 @@ function TodayList({ data }){
             ]}>
                 {item.title}
             </NoScaleText>
+
+            {/* 루틴 연속 완료 횟수 */}
+            {item.streak > 0 && (
+              <NoScaleText style={styles.routineStreak}>🔥 {item.streak}</NoScaleText>
+            )}
           </View>
         ))}
       </View>
@@ -356,7 +410,7 @@ export default function HomeScreen(){
   const [selectedDate, setSelectedDate] = useState('');
   const [modalVisible, setModalVisible] = useState(false);
 
-  const { todos, routines, records, updateData } = useData();
+  const { todos, routines, records, updateData, grantProgress, revokeProgress } = useData();
   const { user } = useAuth();
   const { userProfile } = useUser();
 
@@ -382,7 +436,8 @@ export default function HomeScreen(){
     let total = 0;
     let completed = 0;
 
-    const allItems = [...todos, ...routines];
+    // 루틴은 이번 달 발생 항목 기준으로 집계
+    const allItems = [...todos, ...getOccurrencesByMonth(routines, year, month)];
 
     allItems.forEach(item => {
       if(!item.date) return;
@@ -401,10 +456,17 @@ export default function HomeScreen(){
     const targetDate = todayStr;
     return {
       todo: todos.filter(item => item.date === targetDate),
-      routine: routines.filter(item => item.date === targetDate),
+      routine: getOccurrencesByDate(routines, targetDate).map(item => ({
+        ...item,
+        streak: getRoutineStreak(routines.find(r => r.id === item.id), targetDate).current,
+      })),
     };
   }, [todos, routines, todayStr]);
 
+  // 연속 기록 (로컬 날짜 기준)
+  const activityStreak = getActivityStreak(userProfile?.stats, todayStr);
+  const recordStreak = useMemo(() => getRecordStreak(records, todayStr), [records, todayStr]);
+
   // 모달용 데이터, 선택된 날짜의 데이터 필터링
   const filteredModalData = useMemo(() => {
     if(!selectedDate) return { todo: [], routine: [], record: [] };
@@ -430,7 +492,7 @@ export default function HomeScreen(){
 
     return {
       todo: todos.filter(item => item.date === targetDate),
-      routine: routines.filter(item => item.date === targetDate),
+      routine: getOccurrencesByDate(routines, targetDate),
       record: recordItems,
     };
   }, [todos, routines, records, selectedDate]);
@@ -441,23 +503,37 @@ export default function HomeScreen(){
       if (modifiedModalData.todo) {
         for (const item of modifiedModalData.todo) {
           const original = todos.find(t => t.id === item.id);
+          const updates = { ...item };
           if (original && !original.completed && item.completed) {
-            if (user?.uid) await userService.incrementTodoStats(user.uid);
+            if (user?.uid) showLevelUpToast(await grantProgress({ type: 'todo', itemId: item.id, title: item.title }));
+            updates.completedAt = new Date().toISOString();
+          } else if (original && original.completed && !item.completed) {
+            if (user?.uid) await revokeProgress({ type: 'todo', itemId: item.id });
+            updates.completedAt = null;
           }
-          await updateData('todo', item.id, item);
+          await updateData('todo', item.id, updates);
         }
       }
       if (modifiedModalData.routine) {
         for (const item of modifiedModalData.routine) {
-          const original = routines.find(r => r.id === item.id);
+          const routine = routines.find(r => r.id === item.id);
+          const original = routine && getOccurrence(routine, item.date);
           
           if (original) {
-            let expGiven = original.expGiven;
             let updatedSubs = item.subs || original.subs || [];
 
-          if (item.completed && !expGiven) {
-            if (user?.uid) await userService.incrementRoutineStats(user.uid);
-            expGiven = true;
+          // 완료 상태가 바뀐 경우에만 경험치 지급/회수 (반복 루틴은 날짜별로 기록)
+          if (user?.uid && !!item.completed !== !!original.completed) {
+            const progressKey = {
+              type: 'routine',
+              itemId: item.id,
+              date: isRepeating(routine) ? item.date : null
+            };
+            if (item.completed) {
+              showLevelUpToast(await grantProgress({ ...progressKey, title: routine.title }));
+            } else {
+              await revokeProgress(progressKey);
+            }
           }
 
           if (item.completed) {
@@ -466,11 +542,15 @@ export default function HomeScreen(){
             updatedSubs = updatedSubs.map(s => ({ ...s, completed: false }));
           }
 
-          await updateData('routine', item.id, {
-            ...item,
-            subs: updatedSubs,
-            expGiven: expGiven
-          });
+          // 발생 날짜의 완료 상태만 반영 (반복 루틴의 다른 날짜는 유지, 완료 상태가 바뀌었을 때만 완료 시각 변경)
+          const completedAt = !!item.completed !== !!original.completed
+            ? (item.completed ? new Date().toISOString() : null)
+            : undefined;
+          await updateData('routine', item.id, buildOccurrenceUpdate(routine, item.date, {
+            completed: item.completed,
+            completedAt,
+            subs: updatedSubs
+          }));
           }
         }
       }
@@ -486,13 +566,17 @@ export default function HomeScreen(){
       <SafeAreaView style={styles.allArea}>
         <ScrollView>
           <HomeHeader userProfile={userProfile} authUser={user}/>
+          <SyncStatusBar/>
+          <SyncConflictList/>
           <MonthCalendar
             selectedDate={selectedDate} 
             onDateSelect={dateSelect}
             today={todayStr}
             records={records}
+            routines={routines}
           />
           <StateList current={currentMonthCompleted} total={currentMonthTotal}/>
+          <StreakList activity={activityStreak} record={recordStreak}/>
           <TodayList data={todayData}/>
       </ScrollView>
 
@@ -552,6 +636,23 @@ const styles = StyleSheet.create({
     height: 24,
     position: 'absolute',
   },
+  unreadBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -6,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    backgroundColor: '#FF4D4D',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    color: 'white',
+    fontSize: 9,
+    fontWeight: 'bold',
+  },
   levelText: {
     position: 'absolute',
     color: '#3A9CFF',
@@ -731,6 +832,47 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#3A9CFF',
   },
+  routineStreak: {
+    fontSize: 11,
+    color: '#FF8A3A',
+    marginLeft: 6,
+  },
+  streakArea: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F9F9F9',
+    borderRadius: 15,
+    paddingVertical: 12,
+    marginHorizontal: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    elevation: 2,
+    shadowOpacity: 0.05,
+    shadowRadius: 3,
+  },
+  streakItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  streakDivider: {
+    width: 1,
+    height: 36,
+    backgroundColor: '#EEEEEE',
+  },
+  streakLabel: {
+    fontSize: 11,
+    color: '#8D8D8D',
+  },
+  streakValue: {
+    fontSize: 15,
+    color: '#3A9CFF',
+    fontWeight: 'bold',
+    marginVertical: 2,
+  },
+  streakMax: {
+    fontSize: 10,
+    color: '#A0A0A0',
+  },
   buttonRow: {
       flexDirection: 'row',
       justifyContent: 'flex-end',
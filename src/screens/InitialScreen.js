@@ -1,4 +1,5 @@
 import React from 'react';
+import guestData from '../core/storage/guestData';
 import { NoScaleText, NoScaleTextInput } from '../components/NoScaleText';
 import { View, Text, Image, StyleSheet, TouchableOpacity } from 'react-native';
 
@@ -30,6 +31,23 @@ export default function SignUpFin({ navigation}) {
       >
         <NoScaleText style={styles.signinText}>로그인</NoScaleText>
       </TouchableOpacity>
+
+      {/* 로그인 없이 사용 (로컬에만 저장, 나중에 로그인하면 계정으로 합침) */}
+      {/* 다음 실행부터는 바로 메인으로 (guest 표시) */}
+      <TouchableOpacity
+        style={styles.guest}
+        onPress={() => {
+          guestData.startGuestMode().catch(error => {
+            console.error('[Guest] Save guest mode error:', error);
+          });
+          navigation.reset({
+            index: 0,
+            routes: [{ name: 'Main' }],
+          });
+        }}
+      >
+        <NoScaleText style={styles.guestText}>로그인 없이 시작하기</NoScaleText>
+      </TouchableOpacity>
     </View>
     
   );
@@ -86,4 +104,14 @@ export const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: 'bold',
   },
+  guest: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginTop: 20,
+  },
+  guestText: {
+    color: '#888',
+    textDecorationLine: 'underline',
+  },
 });
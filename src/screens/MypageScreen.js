@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { 
   View, 
   Image, 
@@ -11,11 +11,37 @@ import {
   Text
 } from 'react-native';
 import { useUser } from '../core/context/userContext';  // UserContext 훅
+import { useData } from '../core/context/dataContext';
+import { useAuth } from '../core/context/authContext';
 import { NoScaleText } from '../components/NoScaleText';
 import AuthService from '../core/firebase/authService';
+import userService from '../core/firebase/userService';
+import { getActivityStreak, getRecordStreak, getBestRoutineStreak } from '../core/utils/streaks';
+
+// 경험치 기록에 표시할 최근 항목 수
+const EXP_HISTORY_COUNT = 5;
 
 export default function SignIn({ navigation }) {
   const { userProfile, loading } = useUser();
+  const { routines, records } = useData();
+  const { logOut } = useAuth();
+  const [expEvents, setExpEvents] = useState([]);
+
+  // 연속 기록 (로컬 날짜 기준)
+  const recordStreak = useMemo(() => getRecordStreak(records), [records]);
+  const bestRoutineStreak = useMemo(() => getBestRoutineStreak(routines), [routines]);
+
+  // 최근 경험치 기록 구독
+  const userId = userProfile?.uid;
+  useEffect(() => {
+    if (!userId) {
+      setExpEvents([]);
+      return;
+    }
+
+    const unsubscribe = userService.subscribeExpEvents(userId, setExpEvents, EXP_HISTORY_COUNT);
+    return () => unsubscribe();
+  }, [userId]);
 
   // 로딩 중 표시
   if (loading) {
@@ -26,11 +52,20 @@ export default function SignIn({ navigation }) {
     );
   }
 
-  // 로그인 안 된 상태 처리 (필요에 따라 수정)
+  // 로그인 없이 사용 중 (guest): 로그인하면 이 기기의 데이터를 계정으로 합침
   if (!userProfile) {
     return (
       <View style={styles.loadingContainer}>
-        <Text>로그인이 필요합니다.</Text>
+        <NoScaleText style={styles.guestTitle}>로그인 없이 사용 중이에요</NoScaleText>
+        <NoScaleText style={styles.guestDesc}>
+          {'로그인하거나 계정을 만들면 지금까지 기록한 할 일, 루틴, 일기를\n계정에 백업하고 다른 기기에서도 볼 수 있어요.'}
+        </NoScaleText>
+        <TouchableOpacity style={styles.guestButton} onPress={() => navigation.navigate('SignIn')}>
+          <NoScaleText style={styles.guestButtonText}>로그인</NoScaleText>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.guestButton, styles.guestSignUp]} onPress={() => navigation.navigate('SignUpEmail')}>
+          <NoScaleText style={styles.guestButtonText}>계정 생성하기</NoScaleText>
+        </TouchableOpacity>
       </View>
     );
   }
@@ -46,6 +81,7 @@ export default function SignIn({ navigation }) {
   } = userProfile;
 
   const expPercent = `${(exp / maxExp) * 100}%`;
+  const activityStreak = getActivityStreak(userProfile.stats);
 
   const defaultProfileImage = require('../../assets/defaultprofileimage.png');
   const editIcon = require('../../assets/edit.png');
@@ -61,9 +97,17 @@ export default function SignIn({ navigation }) {
         { 
           text: '로그아웃', 
           style: 'destructive', 
-          onPress: () => {
-            // 로그아웃 로직 필요 (ex. Firebase signOut 등)
-            navigation.navigate('InitialScreen');
+          onPress: async () => {
+            try {
+              // 이 계정의 로컬 데이터도 함께 삭제 (authContext.logOut)
+              await logOut();
+              navigation.reset({
+                index: 0,
+                routes: [{ name: 'InitialScreen' }],
+              });
+            } catch (error) {
+              Alert.alert('로그아웃 실패', error.message);
+            }
           }
         },
       ],
@@ -111,6 +155,15 @@ export default function SignIn({ navigation }) {
             <NoScaleText style={styles.expText}>
               {exp}/{maxExp} EXP
             </NoScaleText>
+
+            {/* 연속 기록: 전체 활동 / 루틴(가장 긴 루틴) / 한 줄 일기 */}
+            <View style={styles.streakRow}>
+              <NoScaleText style={styles.streakText}>🔥 활동 {activityStreak.current}일</NoScaleText>
+              <NoScaleText style={styles.streakText}>
+                🔁 루틴 {bestRoutineStreak ? bestRoutineStreak.current : 0}회
+              </NoScaleText>
+              <NoScaleText style={styles.streakText}>📔 일기 {recordStreak.current}일</NoScaleText>
+            </View>
           </View>
         </View>
 
@@ -131,7 +184,29 @@ export default function SignIn({ navigation }) {
             <NoScaleText style={styles.AccountManagement}>계정관리</NoScaleText>
           </TouchableOpacity>
 
-          <View style={{ marginTop: 165 }}>
+          {/* 최근 경험치 기록 (완료 취소/삭제로 회수된 기록은 회색) */}
+          <View style={styles.expHistory}>
+            <NoScaleText style={styles.expHistoryTitle}>최근 경험치</NoScaleText>
+            {expEvents.length === 0 ? (
+              <NoScaleText style={styles.expHistoryEmpty}>아직 받은 경험치가 없어요.</NoScaleText>
+            ) : (
+              expEvents.map(event => (
+                <View key={event.id} style={styles.expHistoryRow}>
+                  <NoScaleText
+                    style={[styles.expHistoryItem, !event.active && styles.expHistoryRevoked]}
+                    numberOfLines={1}
+                  >
+                    {event.title || event.type}
+                  </NoScaleText>
+                  <NoScaleText style={[styles.expHistoryAmount, !event.active && styles.expHistoryRevoked]}>
+                    {event.active ? `+${event.expAmount}` : `-${event.expAmount}`} EXP
+                  </NoScaleText>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={{ marginTop: 10 }}>
             <TouchableOpacity onPress={handleLogout}>
               <NoScaleText style={styles.logout}>로그아웃</NoScaleText>
             </TouchableOpacity>
@@ -148,6 +223,33 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  guestTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  guestDesc: {
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 10,
+    marginBottom: 30,
+  },
+  guestButton: {
+    backgroundColor: '#3A9CFF',
+    paddingVertical: 12,
+    borderRadius: 15,
+    alignItems: 'center',
+    width: 180,
+  },
+  guestSignUp: {
+    backgroundColor: '#ccc',
+    marginTop: 15,
+  },
+  guestButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
   container: {
     height: 500,
     width: '90%',
@@ -237,6 +339,15 @@ const styles = StyleSheet.create({
     color: '#999',
     marginLeft: 115,
   },
+  streakRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  streakText: {
+    fontSize: 11,
+    color: '#3A9CFF',
+    marginRight: 8,
+  },
   social: {
     fontSize: 17,
     fontWeight: '600',
@@ -264,6 +375,41 @@ const styles = StyleSheet.create({
     marginTop: 20,
     marginBottom: 20,
   },
+  expHistory: {
+    marginTop: 10,
+    marginHorizontal: 20,
+    height: 130,
+  },
+  expHistoryTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#999',
+    marginBottom: 8,
+  },
+  expHistoryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  expHistoryItem: {
+    flex: 1,
+    fontSize: 13,
+    color: '#333',
+    marginRight: 10,
+  },
+  expHistoryAmount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3A9CFF',
+  },
+  expHistoryRevoked: {
+    color: '#bbb',
+  },
+  expHistoryEmpty: {
+    fontSize: 13,
+    color: '#bbb',
+  },
   logout: {
     fontSize: 17,
     fontWeight: '600',
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { 
   View, 
   TouchableOpacity, 
@@ -10,36 +10,14 @@ import MaterialIcons from '@expo/vector-icons/MaterialIcons';
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
 import { NoScaleText } from '../components/NoScaleText'; 
 
-const INITIAL_DATA = [
-  {
-    id: '1',
-    type: 'todo',
-    category: 'Todo',
-    message: "'할 일 1'의 마감시간이 5분 남았어요.\n서둘러 완료하세요!",
-    time: '5분 전',
-    isRead: false,
-  },
-  {
-    id: '2',
-    type: 'routine',
-    category: 'Routine',
-    message: "'루틴 1'의 마감시간이 5분 남았어요.\n서둘러 완료하세요!",
-    time: '1시간 전',
-    isRead: false,
-  },
-  {
-    id: '3',
-    type: 'record',
-    category: 'Record',
-    message: "아직 오늘의 한줄 기록을 남기지 않았어요.\n서둘러 완료하세요!",
-    time: '8시간 전',
-    isRead: true,
-  },
-];
+import { useNotifications } from '../core/context/notificationContext';
+import { formatRelativeTime } from '../core/utils/dateUtils';
 
 export default function NotificationScreen({navigation}) {
-  const [notifications, setNotifications] = useState(INITIAL_DATA);
-  const [rewardCount, setRewardCount] = useState(2);
+  const { notifications, unreadCount, achievableTitles, markAsRead, markAllAsRead } = useNotifications();
+
+  // 아직 받지 않은 칭호 수
+  const rewardCount = achievableTitles.length;
 
   const getIconByType = (type) => {
     switch (type) {
@@ -49,19 +27,44 @@ export default function NotificationScreen({navigation}) {
         return <MaterialCommunityIcons name="history" size={24} color="#3A9CFF" />;
       case 'record':
         return <MaterialCommunityIcons name="playlist-edit" size={24} color={"#3A9CFF"}/>;
+      case 'friend':
+        return <Ionicons name="people-outline" size={24} color="#3A9CFF" />;
+      case 'level':
+        return <MaterialCommunityIcons name="trending-up" size={24} color="#3A9CFF" />;
+      case 'title':
+        return <Ionicons name="gift-outline" size={24} color="#3A9CFF" />;
       default:
         return <Ionicons name="notifications-outline" size={24} color="#3A9CFF" />;
     }
   };
 
-  const handlePressNotification = (type) => {
-    const screenName = type.charAt(0).toUpperCase() + type.slice(1);
+  const handlePressNotification = (item) => {
+    if (!item.isRead) {
+      markAsRead(item.id);
+    }
 
-    navigation.navigate('Main', { screen: screenName });
+    switch (item.type) {
+      case 'friend':
+        navigation.navigate('Main', { screen: 'Mypage', params: { screen: 'Social' } });
+        break;
+      case 'level':
+        navigation.navigate('Main', { screen: 'Home' });
+        break;
+      case 'title':
+        navigation.navigate('Reward');
+        break;
+      default: {
+        const screenName = item.type.charAt(0).toUpperCase() + item.type.slice(1);
+        navigation.navigate('Main', { screen: screenName });
+      }
+    }
   };
 
   const renderItem = ({ item }) => (
-    <TouchableOpacity style={styles.notificationItem} onPress={() => handlePressNotification(item.type)}>
+    <TouchableOpacity
+      style={[styles.notificationItem, !item.isRead && styles.unreadItem]}
+      onPress={() => handlePressNotification(item)}
+    >
       <View style={styles.iconContainer}>
         {getIconByType(item.type)}
       </View>
@@ -69,7 +72,7 @@ export default function NotificationScreen({navigation}) {
       <View style={styles.textContainer}>
         <View style={styles.headerRow}>
           <NoScaleText style={styles.categoryText}>{item.category}</NoScaleText>
-          <NoScaleText style={styles.timeText}>{item.time}</NoScaleText>
+          <NoScaleText style={styles.timeText}>{formatRelativeTime(item.createdAt?.toDate?.())}</NoScaleText>
         </View>
         <NoScaleText style={styles.messageText}>{item.message}</NoScaleText>
       </View>
@@ -78,12 +81,20 @@ export default function NotificationScreen({navigation}) {
 
   return (
     <View style={styles.container}>
-      <TouchableOpacity style={styles.rewardBanner} onPress={() => navigation.navigate('Reward')} >
-        <Ionicons name="gift-outline" size={20} color="#3A9CFF" style={{ marginRight: 8 }} />
-        <NoScaleText style={styles.rewardText}>
-          받을 수 있는 리워드가 <NoScaleText style={styles.rewardCount}>{rewardCount}개</NoScaleText> 있습니다!
-        </NoScaleText>
-      </TouchableOpacity>
+      {rewardCount > 0 && (
+        <TouchableOpacity style={styles.rewardBanner} onPress={() => navigation.navigate('Reward')} >
+          <Ionicons name="gift-outline" size={20} color="#3A9CFF" style={{ marginRight: 8 }} />
+          <NoScaleText style={styles.rewardText}>
+            받을 수 있는 리워드가 <NoScaleText style={styles.rewardCount}>{rewardCount}개</NoScaleText> 있습니다!
+          </NoScaleText>
+        </TouchableOpacity>
+      )}
+
+      {unreadCount > 0 && (
+        <TouchableOpacity style={styles.readAllButton} onPress={markAllAsRead}>
+          <NoScaleText style={styles.readAllText}>모두 읽음</NoScaleText>
+        </TouchableOpacity>
+      )}
 
       <FlatList
         data={notifications}
@@ -124,11 +135,23 @@ const styles = StyleSheet.create({
   listContent: {
     flexGrow: 1, 
   },
+  readAllButton: {
+    alignSelf: 'flex-end',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+  },
+  readAllText: {
+    fontSize: 12,
+    color: '#3A9CFF',
+  },
   notificationItem: {
     flexDirection: 'row',
     paddingVertical: 20,
     paddingHorizontal: 20,
   },
+  unreadItem: {
+    backgroundColor: '#F2F8FF',
+  },
   iconContainer: {
     marginRight: 14,
     marginTop: 2,
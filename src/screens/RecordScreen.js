@@ -6,10 +6,10 @@ import DayRecord from './DayRecord';
 import MonthRecord from './MonthRecord';
 import { useData } from '../core/context/dataContext';
 import { useAuth } from '../core/context/authContext';
-import userService from '../core/firebase/userService';
+import { showLevelUpToast } from '../components/CustomToast';
 
 export default function RecordScreen() {
-  const { records, saveData, updateData, deleteData } = useData();
+  const { records, saveData, updateData, deleteData, grantProgress } = useData();
   const { user, updateProfile } = useAuth();
   const [viewMode, setViewMode] = useState('day'); 
   const [currentDate, setCurrentDate] = useState(new Date()); // 오늘 날짜 기본
@@ -119,7 +119,7 @@ export default function RecordScreen() {
         });
 
         if (user?.uid) {
-          await userService.incrementRecordStats(user.uid);
+          showLevelUpToast(await grantProgress({ type: 'record', itemId: targetDate, title: `${targetDate} 일기` }));
         }
       }
 
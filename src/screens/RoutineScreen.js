@@ -4,7 +4,10 @@ import { SafeAreaView, View, TouchableOpacity, StyleSheet, FlatList, ScrollView,
 
 import { useData } from '../core/context/dataContext';
 import { useAuth } from '../core/context/authContext';
-import userService from '../core/firebase/userService';
+import { showLevelUpToast } from '../components/CustomToast';
+import { getOccurrence, expandRoutines, buildOccurrenceUpdate, isRepeating } from '../core/utils/recurrence';
+import { getMonthRange } from '../core/utils/dateUtils';
+import { ID_PREFIX, createId } from '../core/utils/idUtils';
 
 import Ionicons from '@expo/vector-icons/Ionicons'
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons'
@@ -94,7 +97,7 @@ function RoutineItem({item, isDelete, selectedIds, onComplete, onImportant, onPr
           <TouchableOpacity 
             key={step.id} 
             style={styles.subStepItemRow} 
-            onPress={() => isDelete ? onSelect(item.id, step.id) : onToggleSubStep(item.id, step.id)}
+            onPress={() => isDelete ? onSelect(item.id, step.id) : onToggleSubStep(item.id, step.id, item.date)}
             onLongPress={() => onLongPressSubStep(item.id, step.id)}
           >
              <Ionicons 
@@ -228,7 +231,7 @@ function RoutineHeader({
 // 메인 화면 컴포넌트, 루틴 목록과 상태 관리
 export default function RoutineScreen(){
   // 데이터 및 기본 UI 상태
-  const { routines, tags, saveData, updateData, deleteData, refreshData, } = useData();
+  const { routines, tags, saveData, updateData, deleteData, refreshData, grantProgress, revokeProgress } = useData();
   const { user } = useAuth();
   const [isAddSubStep, setIsAddSubStep] = useState(false);
   const [subStepText, setSubStepText] = useState('');
@@ -282,25 +285,33 @@ export default function RoutineScreen(){
     return Array.isArray(tags) ? tags : [];
   }, [tags]);
 
-  // 루틴 완료 처리
-  const routineComplete = async (id) => {
-    const targetRoutine = routines.find(r => r.id === id);
-    if (!targetRoutine) return;
+  // 루틴 완료 처리 (발생 날짜 단위)
+  const routineComplete = async (id, date) => {
+    const baseRoutine = routines.find(r => r.id === id);
+    if (!baseRoutine) return;
+
+    const targetRoutine = getOccurrence(baseRoutine, date) || baseRoutine;
 
     const newCompleted = !targetRoutine.completed;
 
-    if (newCompleted && !targetRoutine.expGiven) {
-       try {
-         if (user?.uid) {
-            await userService.incrementRoutineStats(user.uid);
-         }
-       } catch (e) {
-         console.error("Exp update failed:", e);
-       }
+    // 완료 시 경험치 지급, 완료 취소 시 회수 (반복 루틴은 날짜별로 기록)
+    try {
+      if (user?.uid) {
+        const progressKey = {
+          type: 'routine',
+          itemId: id,
+          date: isRepeating(baseRoutine) ? targetRoutine.date : null
+        };
+        if (newCompleted) {
+          showLevelUpToast(await grantProgress({ ...progressKey, title: baseRoutine.title }));
+        } else {
+          await revokeProgress(progressKey);
+        }
+      }
+    } catch (e) {
+      console.error("Exp update failed:", e);
     }
 
-    const newExpGiven = (newCompleted && !targetRoutine.expGiven) ? true : targetRoutine.expGiven;
-
     // 메인이 완료되면 하위도 모두 완료 처리
     let updatedSubSteps = targetRoutine.subs || [];
     if (newCompleted) {
@@ -309,20 +320,24 @@ export default function RoutineScreen(){
       updatedSubSteps = updatedSubSteps.map(step => ({...step, completed: false}));
     }
   
-    if (detailItem && detailItem.id === id) {
+    // 완료 시각 (칭호 조건용, 완료 취소 시 삭제)
+    const completedAt = newCompleted ? new Date().toISOString() : null;
+
+    if (detailItem && detailItem.occurrenceKey === targetRoutine.occurrenceKey) {
       setDetailItem(prev => ({
         ...prev,
         completed: newCompleted,
-        subs: updatedSubSteps,
-        expGiven: newExpGiven
+        completedAt,
+        subs: updatedSubSteps
       }));
     }
 
     try {
-      await updateData('routine', id, {
+      await updateData('routine', id, buildOccurrenceUpdate(baseRoutine, targetRoutine.date, {
         completed: newCompleted,
+        completedAt,
         subs: updatedSubSteps
-      });
+      }));
     } catch (e) {
       console.warn('[routineComplete] update failed (ignored)', e);
     }
@@ -521,7 +536,7 @@ export default function RoutineScreen(){
           { text: "삭제", style: "destructive", onPress: async () => {
             // 선택되지 않은 항목만 남김
             const newSubSteps = detailItem.subs.filter(step => !selectedDetailSubIds.has(step.id));
-            await updateData('routine', detailItem.id, { subs:newSubSteps });
+            await updateDetailOccurrence({ subs:newSubSteps });
             setDetailItem(prev => ({ ...prev, subs:newSubSteps }));
             cancelDetailDeleteMode();
           }}
@@ -540,6 +555,16 @@ export default function RoutineScreen(){
     setIsMainDetailChecked(false);
   };
 
+  // 상세 화면의 발생 항목 변경사항 저장 (반복 루틴은 해당 날짜만 반영)
+  const updateDetailOccurrence = (changes) => {
+    const baseRoutine = routines.find(r => r.id === detailItem.id) || detailItem;
+    return updateData('routine', detailItem.id, buildOccurrenceUpdate(baseRoutine, detailItem.date, {
+      completed: detailItem.completed,
+      subs: detailItem.subs,
+      ...changes
+    }));
+  };
+
   // 상세 화면 내부에서 세부 단계 완료
   const handleToggleSubStep = async (subStepId) => {
     if (!detailItem || detailItem.completed) return;
@@ -552,15 +577,16 @@ export default function RoutineScreen(){
       ...prev, subs:newSubSteps
     }));
     try {
-      await updateData('routine', detailItem.id, { subs: newSubSteps });
+      await updateDetailOccurrence({ subs: newSubSteps });
     } catch (e) {
       console.warn('[toggleSubStep] update failed', e);
     }
   };
 
   // 메인 리스트 화면에서 세부 단계 완료
-  const handleToggleSubStepList = async (parentId, subStepId) => {
-    const parent = routines.find(r => r.id === parentId);
+  const handleToggleSubStepList = async (parentId, subStepId, date) => {
+    const baseRoutine = routines.find(r => r.id === parentId);
+    const parent = baseRoutine && getOccurrence(baseRoutine, date);
     if (!parent || parent.completed) return;
 
     const currentSubSteps = parent.subs || [];
@@ -568,7 +594,10 @@ export default function RoutineScreen(){
     const newSubSteps = currentSubSteps.map(step => 
       step.id === subStepId ? { ...step, completed: !step.completed } : step
     );
-    await updateData('routine', parentId, { subs:newSubSteps });
+    await updateData('routine', parentId, buildOccurrenceUpdate(baseRoutine, date, {
+      completed: parent.completed,
+      subs: newSubSteps
+    }));
   };
 
   // 세부 단계 추가 및 저장
@@ -581,14 +610,14 @@ export default function RoutineScreen(){
     const isParentCompleted = detailItem.completed;
 
     const newStep = {
-      id: String(Date.now()),
+      id: createId(ID_PREFIX.sub),
       title: subStepText,
       completed: isParentCompleted
     };
     const newSubSteps = [...(detailItem.subs || []), newStep];
 
     setDetailItem(prev => ({ ...prev, subs:newSubSteps }));
-    await updateData('routine', detailItem.id, { subs:newSubSteps });
+    await updateDetailOccurrence({ subs:newSubSteps });
 
     setSubStepText('');
     setIsAddSubStep(false);
@@ -627,12 +656,9 @@ export default function RoutineScreen(){
     const tDay = String(today.getDate()).padStart(2, '0');
     const todayString = `${tYear}.${tMonth}.${tDay}`;
 
-    // 월별 필터링
-    let filtered = routines.filter(item => {
-      if(!item.date) return false;
-      const itemDate = parsedDate(item.date);
-      return itemDate.getFullYear() === currentMonth.getFullYear() && itemDate.getMonth() === currentMonth.getMonth();
-    });
+    // 월별 필터링 (반복 루틴은 이번 달의 발생 날짜별 항목으로 펼침)
+    const { start, end } = getMonthRange(currentMonth.getFullYear(), currentMonth.getMonth() + 1);
+    let filtered = expandRoutines(routines, start, end);
 
     filtered = filtered.filter(item => !tempDeletedIds.has(item.id));
 
@@ -747,7 +773,7 @@ export default function RoutineScreen(){
       title: '',
       date: null,
       completed: false, important: false,
-      remind: null, repeated: null, tag: null, subs:[], expGiven: false,
+      remind: null, repeated: null, tag: null, subs:[],
       createdAt: Date.now(),
     };
 
@@ -861,7 +887,7 @@ export default function RoutineScreen(){
       }
 
       if (isEditDetail) {
-        setDetailItem(editItem);
+        setDetailItem(getOccurrence(editItem, detailItem?.date) || editItem);
         setEditorVisible(false);
         setTimeout(() => setDetailVisible(true), 100);
         setIsEditDetail(false);
@@ -880,13 +906,16 @@ export default function RoutineScreen(){
 
     setIsEditDetail(true);
 
-    // 기존 상세 데이터를 editItem으로 복사
+    // 발생 항목이 아닌 원본 루틴(시작일, 날짜별 완료 상태 포함)을 editItem으로 복사
+    const { startDate, occurrenceKey, ...occurrence } = detailItem;
+    const baseRoutine = routines.find(r => r.id === detailItem.id) || { ...occurrence, date: startDate };
+
     setEditItem({
-      ...detailItem,
-      tag: detailItem.tag || null,
-      remind: detailItem.remind || null,
-      repeated: detailItem.repeated || null,
-      subs:detailItem.subs || [],
+      ...baseRoutine,
+      tag: baseRoutine.tag || null,
+      remind: baseRoutine.remind || null,
+      repeated: baseRoutine.repeated || null,
+      subs:baseRoutine.subs || [],
     });
 
     // 태그 선택 상태 초기화 및 현재 태그 반영
@@ -1208,7 +1237,7 @@ export default function RoutineScreen(){
 
         <FlatList
           data={filterSortedRoutine}
-          keyExtractor={item => item.id}
+          keyExtractor={item => item.occurrenceKey}
           contentContainerStyle={{ paddingBottom: 50 }}
           ListHeaderComponentStyle={{ zIndex: 2 }}
 
@@ -1217,7 +1246,7 @@ export default function RoutineScreen(){
               item={item}
               isDelete={isDelete}
               selectedIds={selectedIds}
-              onComplete={()=>routineComplete(item.id)}
+              onComplete={()=>routineComplete(item.id, item.date)}
               onImportant={()=>routineImportant(item.id)}
               onPress={() => itemPress(item)}
               onLongPress={() => itemLongPress(item.id)}
@@ -1457,7 +1486,7 @@ export default function RoutineScreen(){
                     </TouchableOpacity>
                   ) : (
                       <View style={styles.sheetTitleRow}>
-                        <TouchableOpacity onPress={() => routineComplete(detailItem.id)}>
+                        <TouchableOpacity onPress={() => routineComplete(detailItem.id, detailItem.date)}>
                           <Ionicons 
                             name={detailItem.completed ? "checkmark-circle" : "radio-button-off"} 
                             size={28} 
@@ -1465,7 +1494,7 @@ export default function RoutineScreen(){
                           />
                         </TouchableOpacity>
                         
-                        <TouchableOpacity style={{flex: 1}} onPress={() => routineComplete(detailItem.id)}>
+                        <TouchableOpacity style={{flex: 1}} onPress={() => routineComplete(detailItem.id, detailItem.date)}>
                           <NoScaleText style={[
                             styles.sheetTitleText, 
                             detailItem.completed && { textDecorationLine: 'line-through', color: 'gray' }
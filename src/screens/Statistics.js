@@ -1,8 +1,23 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { NoScaleText } from '../components/NoScaleText';
 import {  View, TouchableOpacity, StyleSheet, Keyboard, TouchableWithoutFeedback, } from 'react-native';
 import { Ionicons } from '@expo/vector-icons'; // 아이콘 임포트
 
+import { useData } from '../core/context/dataContext';
+import {
+  aggregateByDay,
+  aggregateByMonth,
+  aggregateByYear,
+  getBucketTotal,
+  getCompletionRate,
+  summarizeBuckets,
+  getCumulativeCounts,
+  getDayRangeEnd,
+} from '../core/utils/statistics';
+
+// 완료율 표시 (예정된 항목이 없으면 '-')
+const formatRate = (rate) => rate === null ? '-' : `${Math.round(rate * 100)}%`;
+
 export default function Statistics() {
   const today = new Date();
   const [year, setYear] = useState(today.getFullYear());
@@ -10,40 +25,21 @@ export default function Statistics() {
   const [filter, setFilter] = useState('월별');
   const [expanded, setExpanded] = useState(false); // 버튼 확장 여부
 
-  // 임시 데이터 (월별)
-  const monthdata = [
-    { label: today.getMonth() - 5, todo: 5, routine: 4},
-    { label: today.getMonth() - 4, todo: 2, routine: 3},
-    { label: today.getMonth() - 3, todo: 4, routine: 2},
-    { label: today.getMonth() - 2, todo: 3, routine: 4},
-    { label: today.getMonth() - 1, todo: 1, routine: 2},
-    { label: today.getMonth(), todo: 4, routine: 5},
-    { label: today.getMonth() + 1, todo: 3, routine: 4},
-  ];
-
-  const yeardata = [
-    { label: today.getFullYear() - 6, todo: 5, routine: 4},
-    { label: today.getFullYear() - 5, todo: 2, routine: 3},
-    { label: today.getFullYear() - 4, todo: 4, routine: 2},
-    { label: today.getFullYear() - 3, todo: 3, routine: 4},
-    { label: today.getFullYear() - 2, todo: 1, routine: 2},
-    { label: today.getFullYear() - 1, todo: 4, routine: 5},
-    { label: today.getFullYear(), todo: 3, routine: 4},
-  ];
-
-  const datedata = [
-    { label: today.getDate() - 6, todo: 5, routine: 4},
-    { label: today.getDate() - 5, todo: 2, routine: 3},
-    { label: today.getDate() - 4, todo: 4, routine: 2},
-    { label: today.getDate() - 3, todo: 3, routine: 4},
-    { label: today.getDate() - 2, todo: 1, routine: 2},
-    { label: today.getDate() - 1, todo: 4, routine: 5},
-    { label: today.getDate(), todo: 3, routine: 4},
-  ];
-
-  const data = filter === '연도별' ? yeardata : filter === '월별' ? monthdata : filter === '일별' ? datedata : [];
-
-  const maxTotal = Math.max(...data.map((d) => d.todo + d.routine));
+  const { todos, routines, records } = useData();
+
+  // 필터별 집계 (연도별: 선택 연도까지 7년, 월별: 선택 연도 12개월, 일별: 선택 월의 7일)
+  const data = useMemo(() => {
+    if (filter === '연도별') return aggregateByYear(todos, routines, year);
+    if (filter === '월별') return aggregateByMonth(todos, routines, year);
+    if (filter === '일별') return aggregateByDay(todos, routines, getDayRangeEnd(year, month));
+    return [];
+  }, [filter, year, month, todos, routines]);
+
+  const periodRate = useMemo(() => getCompletionRate(summarizeBuckets(data)), [data]);
+
+  const cumulative = useMemo(() => getCumulativeCounts(todos, routines, records), [todos, routines, records]);
+
+  const maxTotal = Math.max(1, ...data.map((d) => d.todo.completed + d.routine.completed));
 
   // 옵션 리스트
   const options = ['연도별', '월별', '일별'];
@@ -52,14 +48,20 @@ export default function Statistics() {
   const increaseYear = () => setYear((y) => y + 1);
   const decreaseYear = () => setYear((y) => y - 1);
 
-  // 월 증감 함수
-  const increaseMonth = () => setMonth((m) => (m === 12 ? 1 : m + 1));
-  const decreaseMonth = () => setMonth((m) => (m === 1 ? 12 : m - 1));
+  // 월 증감 함수 (연도 넘김 포함)
+  const increaseMonth = () => {
+    if (month === 12) setYear((y) => y + 1);
+    setMonth((m) => (m === 12 ? 1 : m + 1));
+  };
+  const decreaseMonth = () => {
+    if (month === 1) setYear((y) => y - 1);
+    setMonth((m) => (m === 1 ? 12 : m - 1));
+  };
 
   const getYearText = () => {
-    if (filter === '연도별') return '연도';
+    if (filter === '연도별') return `~${year}`;
     if (filter === '월별') return year.toString();
-    if (filter === '일별') return `${month}월`;
+    if (filter === '일별') return year === today.getFullYear() ? `${month}월` : `${year % 100}.${month}월`;
     return '';
   };
 
@@ -89,9 +91,9 @@ export default function Statistics() {
 
             <View style={styles.yearSelector}>
               {/* 왼쪽 증감 버튼 */}
-              {(filter === '월별' || filter === '일별') && (
+              {(filter === '연도별' || filter === '월별' || filter === '일별') && (
                 <TouchableOpacity
-                  onPress={filter === '월별' ? decreaseYear : decreaseMonth}
+                  onPress={filter === '일별' ? decreaseMonth : decreaseYear}
                   style={styles.arrowButton}
                 >
                   <Ionicons name="chevron-back" size={24} color="#333" />
@@ -99,19 +101,14 @@ export default function Statistics() {
               )}
 
               {/* 중앙 텍스트 */}
-              <NoScaleText
-                style={[
-                  styles.yearText,
-                  filter === '연도별' && { marginTop: 15 },
-                ]}
-              >
+              <NoScaleText style={styles.yearText}>
                 {getYearText()}
               </NoScaleText>
 
               {/* 오른쪽 증감 버튼 */}
-              {(filter === '월별' || filter === '일별') && (
+              {(filter === '연도별' || filter === '월별' || filter === '일별') && (
                 <TouchableOpacity
-                  onPress={filter === '월별' ? increaseYear : increaseMonth}
+                  onPress={filter === '일별' ? increaseMonth : increaseYear}
                   style={styles.arrowButton}
                 >
                   <Ionicons name="chevron-forward" size={24} color="#333" />
@@ -163,12 +160,15 @@ export default function Statistics() {
             </View>
 
             {/* 그래프 막대 */}
-            {data.map(({ label, todo, routine }) => {
+            {data.map((bucket) => {
+              const { key, label, todo, routine } = bucket;
               const totalHeight = 200;
-              const todoHeight = (todo / maxTotal) * totalHeight;
-              const routineHeight = (routine / maxTotal) * totalHeight;
+              const todoHeight = (todo.completed / maxTotal) * totalHeight;
+              const routineHeight = (routine.completed / maxTotal) * totalHeight;
+              const rate = getCompletionRate(getBucketTotal(bucket));
               return (
-                <View key={label} style={styles.graphBarContainer}>
+                <View key={key} style={[styles.graphBarContainer, filter === '월별' && { width: 18 }]}>
+                  <NoScaleText style={styles.rateLabel}>{rate === null ? '' : formatRate(rate)}</NoScaleText>
                   <View style={{ height: routineHeight, backgroundColor: '#CDCDCD', width: '100%' }} />
                   <View style={{ height: todoHeight, backgroundColor: '#3A9CFF', width: '100%' }} />
                   <NoScaleText
@@ -187,19 +187,24 @@ export default function Statistics() {
           <View style={styles.cumulativeContainer}>
             <NoScaleText style={styles.cumulativeTitle}>누적 통계</NoScaleText>
 
+            <View style={styles.cumulativeTextRow}>
+              <NoScaleText style={styles.cumulativeText}>선택 기간 완료율</NoScaleText>
+              <NoScaleText style={styles.countText}>{formatRate(periodRate)}</NoScaleText>
+            </View>
+
             <View style={styles.cumulativeTextRow}>
               <NoScaleText style={styles.cumulativeText}>Todo 누적 완료 횟수</NoScaleText>
-              <NoScaleText style={styles.countText}>23회</NoScaleText>
+              <NoScaleText style={styles.countText}>{cumulative.todo}회</NoScaleText>
             </View>
 
             <View style={styles.cumulativeTextRow}>
               <NoScaleText style={styles.cumulativeText}>Routine 누적 완료 횟수</NoScaleText>
-              <NoScaleText style={styles.countText}>55회</NoScaleText>
+              <NoScaleText style={styles.countText}>{cumulative.routine}회</NoScaleText>
             </View>
 
             <View style={styles.cumulativeTextRow}>
               <NoScaleText style={styles.cumulativeText}>Record 누적 완료 횟수</NoScaleText>
-              <NoScaleText style={styles.countText}>14회</NoScaleText>
+              <NoScaleText style={styles.countText}>{cumulative.record}회</NoScaleText>
             </View>
           </View>
         </View>
@@ -332,6 +337,13 @@ export const styles = StyleSheet.create({
     alignItems: 'center',
     width: 25,
   },
+  rateLabel: {
+    width: 30,
+    textAlign: 'center',
+    fontSize: 9,
+    color: '#3A9CFF',
+    marginBottom: 4,
+  },
   graphLabel: {
     marginTop: 6,
     marginBottom: 15,
@@ -4,7 +4,8 @@ import { SafeAreaView, View, TouchableOpacity, StyleSheet, FlatList, ScrollView,
 
 import { useData } from '../core/context/dataContext';
 import { useAuth } from '../core/context/authContext';
-import userService from '../core/firebase/userService';
+import { showLevelUpToast } from '../components/CustomToast';
+import { ID_PREFIX, createId } from '../core/utils/idUtils';
 
 import Ionicons from '@expo/vector-icons/Ionicons'
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons'
@@ -228,7 +229,7 @@ function TodoHeader({
 // 메인 화면 컴포넌트, 할 일 목록과 상태 관리
 export default function TodoScreen(){
   // 데이터 및 기본 UI 상태
-  const { todos, tags, saveData, updateData, deleteData, refreshData, } = useData();
+  const { todos, tags, saveData, updateData, deleteData, refreshData, grantProgress, revokeProgress } = useData();
   const { user } = useAuth();
   const [isAddSubStep, setIsAddSubStep] = useState(false);
   const [subStepText, setSubStepText] = useState('');
@@ -289,18 +290,19 @@ export default function TodoScreen(){
 
     const newCompleted = !targetTodo.completed;
 
-    if (newCompleted && !targetTodo.expGiven) {
-       try {
-         if (user?.uid) {
-            await userService.incrementTodoStats(user.uid);
-         }
-       } catch (e) {
-         console.error("Exp update failed:", e);
-       }
+    // 완료 시 경험치 지급, 완료 취소 시 회수
+    try {
+      if (user?.uid) {
+        if (newCompleted) {
+          showLevelUpToast(await grantProgress({ type: 'todo', itemId: id, title: targetTodo.title }));
+        } else {
+          await revokeProgress({ type: 'todo', itemId: id });
+        }
+      }
+    } catch (e) {
+      console.error("Exp update failed:", e);
     }
 
-    const newExpGiven = (newCompleted && !targetTodo.expGiven) ? true : targetTodo.expGiven;
-
     // 메인이 완료되면 하위도 모두 완료 처리
     let updatedSubSteps = targetTodo.subs || [];
     if (newCompleted) {
@@ -313,14 +315,15 @@ export default function TodoScreen(){
       setDetailItem(prev => ({
         ...prev,
         completed: newCompleted,
-        subs: updatedSubSteps,
-        expGiven: newExpGiven
+        completedAt: newCompleted ? new Date().toISOString() : null,
+        subs: updatedSubSteps
       }));
     }
 
     try {
       await updateData('todo', id, {
         completed: newCompleted,
+        completedAt: newCompleted ? new Date().toISOString() : null,
         subs: updatedSubSteps
       });
     } catch (e) {
@@ -581,7 +584,7 @@ export default function TodoScreen(){
     const isParentCompleted = detailItem.completed;
 
     const newStep = {
-      id: String(Date.now()),
+      id: createId(ID_PREFIX.sub),
       title: subStepText,
       completed: isParentCompleted
     };
@@ -747,7 +750,7 @@ export default function TodoScreen(){
       title: '',
       date: null,
       completed: false, important: false,
-      remind: null, repeated: null, tag: null, subs:[], expGiven: false,
+      remind: null, repeated: null, tag: null, subs:[],
       createdAt: Date.now(),
     };
 